@@ -10,8 +10,13 @@
 import { fileURLToPath } from 'url';
 import path from 'path';
 import os from 'os';
-import { startMultiTenantServer } from '../src/index.js';
+import fs from 'fs';
+import { once } from 'events';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { startMultiTenantServer, MultiTenantRouter } from '../src/index.js';
 import { startClusterServer } from '../src/cluster.js';
+import { createLogger } from '../src/logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -40,22 +45,113 @@ True concurrent connections, zero config, auto-provision databases.
 
 USAGE:
   pgserve [options]
+  pgserve <drop|reset|truncate> <database> --admin-url <url> [--admin-token <t>]
+  pgserve <drop|reset|truncate> <database> --offline --data <path> [options]
+  pgserve dump <database> [--out <file>] --admin-url <url> [--admin-token <t>]
+  pgserve dump <database> [--out <file>] --offline --data <path>
+  pgserve load <database> <file> --admin-url <url> [--admin-token <t>]
+  pgserve load <database> <file> --offline --data <path>
+  pgserve snapshot <create|restore> <name> --admin-url <url> [--admin-token <t>]
+  pgserve snapshot <create|restore> <name> --offline --data <path> [options]
+  pgserve snapshot list
+
+COMMANDS (on a running server through its admin API, or with --offline on a
+stopped server's --data directory):
+  drop <database>      Drop a database
+  reset <database>     Drop and recreate a database (template, migrations, seeds)
+  truncate <database>  Empty every table, keeping the schema
+  dump <database>      Write schema and data to --out (default: stdout)
+  load <database> <file>
+                       Create the database from a dump ("-" reads stdin)
+  snapshot create <name>   Save the whole data directory as a snapshot
+  snapshot restore <name>  Replace the data directory with a snapshot
+
+COMMANDS (no server needed):
+  snapshot list        List saved snapshots in --snapshot-dir
 
 OPTIONS:
   --port <number>    PostgreSQL port (default: 8432)
   --data <path>      Data directory for persistence (default: in-memory)
+  --memory-dir <path>
+                     RAM-backed directory for in-memory mode (default: /dev/shm,
+                     else the temp directory)
   --host <host>      Host to bind to (default: 127.0.0.1)
   --log <level>      Log level: error, warn, info, debug (default: info)
   --cluster          Force cluster mode (auto-enabled on multi-core systems)
   --no-cluster       Force single-process mode (disables auto-cluster)
   --workers <n>      Number of worker processes (default: CPU cores)
+  --pg-version <n>   PostgreSQL major version (default: the bundled 17); needs
+                     @embedded-postgres/<platform>-<n> installed as an npm alias
+  --pg-bin-dir <dir> Use initdb/postgres from this directory (e.g. a system install)
+                     Without a bundled package, PGSERVE_BIN_DIR, pg_config --bindir
+                     and PATH are searched in that order
+  --pg-setting <name=value>
+                     PostgreSQL server setting (repeatable, e.g. "shared_buffers=256MB")
+  --pg-config <file> Settings file in postgresql.conf syntax
+  --pg-preset <name> Settings preset: fast-tests (fsync, synchronous_commit and
+                     full_page_writes off) or durable (crash-safe defaults)
+  --snapshot <name>  Start a new (or in-memory) data directory from a snapshot
+  --snapshot-dir <dir>
+                     Snapshot store (default: $PGSERVE_SNAPSHOT_DIR, else
+                     ~/.pgserve/snapshots)
   --no-provision     Disable auto-provisioning of databases
+  --provision-allow <patterns>
+                     Only auto-create matching databases (comma-separated globs
+                     or /regex/, e.g. "app_*,test_*")
+  --provision-deny <patterns>
+                     Never auto-create matching databases
+  --max-databases <n>
+                     Stop auto-creating databases beyond this count
+  --db-connection-limit <n>
+                     Max connections per database (0 = unlimited)
+  --db-connection-limit <pattern=n>
+                     Per-pattern limit (repeatable, e.g. "tenant_*=5")
+  --db-queue-size <n>
+                     Clients that may wait for a slot per database (default: 100)
+  --db-queue-timeout <ms>
+                     Max wait for a slot before 53300 (default: 10000, 0 = no limit)
+  --tenancy <mode>   database (default, one database per tenant) or schema
+                     (one schema per tenant inside a shared database)
+  --shared-database <name>
+                     Database holding the tenant schemas (default: tenants)
+  --template <name>  Clone new databases from this template database
+  --template <pattern=name>
+                     Clone matching databases from another template
+                     (repeatable, e.g. "test_*=schema_v42")
+  --migrations <dir> Apply ordered *.sql migrations to each new database
+                     (tracked in a pgserve_migrations table)
+  --seed <path>      Load fixtures (*.sql, *.csv, *.json file or directory)
+                     into each newly created database
+  --seed <pattern=path>
+                     Per-pattern fixtures (repeatable, e.g. "test_*=./fixtures/test")
   --sync-to <url>    Sync to real PostgreSQL (async replication)
   --sync-databases   Database patterns to sync (comma-separated, e.g. "myapp,tenant_*")
+  --restore-schemas <patterns>
+                     Schemas restored from --sync-to on startup (comma-separated,
+                     default: every non-system schema)
+  --restore-exclude-schemas <patterns>
+                     Schemas never restored (e.g. "audit,tmp_*")
+  --tls-mode <mode>  TLS for client connections: disable, allow, require
+                     (default: allow with --tls-cert, else disable)
+  --tls-cert <path>  PEM certificate (self-signed one generated if omitted)
+  --tls-key <path>   PEM private key
+  --auth-file <path> Require SCRAM-SHA-256 login against a JSON credentials file
+                     (clients then run as a per-database owner role)
+  --pool-mode <mode> session (default, one PostgreSQL backend per client) or
+                     transaction (backends shared between clients per transaction;
+                     runs single-process)
+  --pool-size <n>    Backends per database in transaction mode (default: 20)
+  --admin-port <n>   Serve the HTTP admin API (stats, databases, create/drop/reset,
+                     dump/load, snapshots, Prometheus /metrics)
+  --admin-token <t>  Bearer token for the admin API (default: $PGSERVE_ADMIN_TOKEN,
+                     else a random token printed at startup)
+  --admin-url <url>  Admin API of the running server for the commands above
+                     (default: $PGSERVE_ADMIN_URL, else http://<host>:<admin-port>)
+  --offline          Run those commands on a stopped server's --data directory
   --help             Show this help message
 
 MODES:
-  In-memory (default):  Fast, ephemeral - data lost on restart
+  In-memory (default):  Fast, ephemeral - data lost on restart (tmpfs, fsync off)
   Persistent:           Use --data to persist databases to disk
 
 EXAMPLES:
@@ -74,6 +170,62 @@ EXAMPLES:
   # Sync specific databases
   pgserve --sync-to "postgresql://..." --sync-databases "myapp,tenant_*"
 
+  # Require TLS (self-signed certificate generated into the data directory)
+  pgserve --tls-mode require
+
+  # Per-tenant credentials ({"alice": "secret", "bob": {"password": "...", "databases": ["bob_*"]}})
+  pgserve --auth-file ./users.json
+
+  # Clone every new database from a migrated template (test_* from another one)
+  pgserve --data ./data --template myapp_template --template "test_*=schema_v42"
+
+  # Migrate every new database before clients connect
+  pgserve --migrations ./migrations
+
+  # Load fixtures into every new database (test_* get their own set)
+  pgserve --migrations ./migrations --seed ./fixtures --seed "test_*=./fixtures/test"
+
+  # Hand one tenant's data to a colleague
+  pgserve dump tenant_42 --out tenant_42.pgdump --admin-url http://127.0.0.1:9432 --admin-token s3cret
+  pgserve load tenant_42 tenant_42.pgdump --offline --data ./their-data
+
+  # Reset a test database between test files (server running with --admin-port 9432)
+  pgserve reset test_checkout --admin-url http://127.0.0.1:9432 --admin-token s3cret
+
+  # Same on a stopped server's data directory
+  pgserve reset test_checkout --offline --data ./data --migrations ./migrations
+
+  # Save an in-memory session at the end of a run and start the next one from it
+  pgserve snapshot create seeded --admin-url http://127.0.0.1:9432 --admin-token s3cret
+  pgserve --snapshot seeded
+
+  # Snapshot a persistent data directory (server stopped)
+  pgserve snapshot create before-migration --offline --data ./data
+
+  # Only auto-create app_* databases, at most 50 of them
+  pgserve --data ./data --provision-allow "app_*" --max-databases 50
+
+  # One schema per tenant in a shared database (search_path set on connect)
+  pgserve --tenancy schema --migrations ./migrations
+
+  # Test against PostgreSQL 15, installed next to the bundled 17 (releases are all
+  # prereleases, so pin one from: npm view @embedded-postgres/linux-x64 versions)
+  npm install @embedded-postgres/linux-x64-15@npm:@embedded-postgres/linux-x64@15.18.0-beta.17
+  pgserve --pg-version 15
+
+  # Fast throwaway test databases with a bigger work_mem
+  pgserve --pg-preset fast-tests --pg-setting work_mem=64MB
+
+  # Hundreds of short-lived serverless connections on a few backends
+  pgserve --pool-mode transaction --pool-size 10
+
+  # At most 5 connections per tenant (others queue for up to 2s)
+  pgserve --db-connection-limit "tenant_*=5" --db-queue-timeout 2000
+
+  # Manage databases over HTTP from CI scripts
+  PGSERVE_ADMIN_TOKEN=s3cret pgserve --admin-port 9432
+  curl -X POST -H "Authorization: Bearer s3cret" http://127.0.0.1:9432/databases/test_1/reset
+
 CONNECTING:
   # Any PostgreSQL client works (psql, pg, Prisma, etc.)
   postgresql://localhost:5432/mydb     # Auto-creates "mydb" database
@@ -83,10 +235,19 @@ FEATURES:
   - TRUE concurrent connections (native PostgreSQL)
   - Auto-provision databases on first connection
   - Zero configuration required
-  - PostgreSQL 17 (native binaries, auto-downloaded)
+  - PostgreSQL 17 (native binaries, auto-downloaded; other majors via --pg-version)
 `);
 }
 
+/**
+ * Split "pattern=value" (per-database rule) from a plain value (default)
+ * @returns {[string|null, string]}
+ */
+function splitPatternValue(arg) {
+  const eq = arg.lastIndexOf('=');
+  return eq > 0 ? [arg.slice(0, eq), arg.slice(eq + 1)] : [null, arg];
+}
+
 /**
  * Parse command line arguments
  */
@@ -98,12 +259,51 @@ function parseArgs() {
     port: 8432,
     host: '127.0.0.1',
     dataDir: null, // null = memory mode
+    memoryDir: null, // null = /dev/shm (or the temp directory)
     logLevel: 'info',
     autoProvision: true,
     cluster: cpuCount > 1,  // Auto-enable on multi-core (use --no-cluster to disable)
     workers: null, // null = use CPU count
     syncTo: null,  // Sync target PostgreSQL URL
-    syncDatabases: null // Database patterns to sync (comma-separated)
+    syncDatabases: null, // Database patterns to sync (comma-separated)
+    restoreSchemas: null, // Schema patterns restored on startup (null = all)
+    restoreExcludeSchemas: null,
+    tlsMode: null, // null = allow if a cert is given, else disable
+    tlsCert: null,
+    tlsKey: null,
+    authFile: null, // null = no router authentication
+    provisionAllow: null, // null = any name may be auto-created
+    provisionDeny: null,
+    maxDatabases: 0, // 0 = unlimited
+    connectionLimit: 0, // Per database, 0 = unlimited
+    connectionLimits: {}, // pattern → limit
+    connectionQueueSize: undefined, // undefined = default (100)
+    connectionQueueTimeout: null, // null = default (10s)
+    pgVersion: null, // null = bundled binaries
+    pgBinDir: null, // null = resolve from @embedded-postgres packages
+    pgSettings: {}, // name → value (-c name=value)
+    pgSettingsFile: null, // postgresql.conf-style file
+    pgPreset: null, // fast-tests | durable
+    snapshot: null, // Snapshot a new data directory starts from (null = initdb)
+    snapshotDir: process.env.PGSERVE_SNAPSHOT_DIR || null, // null = ~/.pgserve/snapshots
+    tenancy: 'database', // database | schema
+    sharedDatabase: null, // null = default (tenants)
+    template: null, // null = new databases start empty
+    templates: null, // pattern → template (null = none)
+    migrations: null, // Directory of *.sql migrations
+    seed: null, // Fixtures for every new database
+    seeds: null, // pattern → fixtures (null = none)
+    poolMode: 'session', // session | transaction
+    poolSize: null, // null = default (20)
+    adminPort: null, // null = no admin API
+    adminToken: process.env.PGSERVE_ADMIN_TOKEN || null, // null = random token
+    adminUrl: process.env.PGSERVE_ADMIN_URL || null, // Running server for commands (null = from --admin-port)
+    offline: false, // Commands act on --data with their own postgres instead of the admin API
+    command: null, // drop | reset | truncate | dump | load | snapshot (null = run the server)
+    snapshotAction: null, // create | restore | list
+    database: null, // Target of the command (snapshot name for snapshot commands)
+    out: null, // dump destination (null = stdout)
+    file: null // load source ("-" = stdin)
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -146,6 +346,60 @@ function parseArgs() {
         options.autoProvision = false;
         break;
 
+      case '--provision-allow':
+        options.provisionAllow = args[++i];
+        break;
+
+      case '--provision-deny':
+        options.provisionDeny = args[++i];
+        break;
+
+      case '--max-databases':
+        options.maxDatabases = parseInt(args[++i], 10);
+        break;
+
+      case '--db-connection-limit': {
+        const [pattern, limit] = splitPatternValue(args[++i]);
+        if (pattern) {
+          options.connectionLimits[pattern] = parseInt(limit, 10);
+        } else {
+          options.connectionLimit = parseInt(limit, 10);
+        }
+        break;
+      }
+
+      case '--db-queue-size':
+        options.connectionQueueSize = parseInt(args[++i], 10);
+        break;
+
+      case '--db-queue-timeout':
+        options.connectionQueueTimeout = parseInt(args[++i], 10);
+        break;
+
+      case '--template': {
+        const [pattern, template] = splitPatternValue(args[++i]);
+        if (pattern) {
+          options.templates = { ...options.templates, [pattern]: template };
+        } else {
+          options.template = template;
+        }
+        break;
+      }
+
+      case '--seed': {
+        const [pattern, source] = splitPatternValue(args[++i]);
+        if (pattern) {
+          options.seeds = { ...options.seeds, [pattern]: source };
+        } else {
+          options.seed = source;
+        }
+        break;
+      }
+
+      case '--migrations':
+        options.migrations = args[++i];
+        break;
+
       case '--sync-to':
         options.syncTo = args[++i];
         break;
@@ -154,6 +408,133 @@ function parseArgs() {
         options.syncDatabases = args[++i];
         break;
 
+      case '--restore-schemas':
+        options.restoreSchemas = args[++i];
+        break;
+
+      case '--restore-exclude-schemas':
+        options.restoreExcludeSchemas = args[++i];
+        break;
+
+      case '--tls-mode':
+        options.tlsMode = args[++i];
+        break;
+
+      case '--tls-cert':
+        options.tlsCert = args[++i];
+        break;
+
+      case '--tls-key':
+        options.tlsKey = args[++i];
+        break;
+
+      case '--auth-file':
+        options.authFile = args[++i];
+        break;
+
+      case '--memory-dir':
+        options.memoryDir = args[++i];
+        break;
+
+      case '--pg-version':
+        options.pgVersion = args[++i];
+        break;
+
+      case '--pg-bin-dir':
+        options.pgBinDir = args[++i];
+        break;
+
+      case '--pg-setting': {
+        // Split at the first "=" (values like log_line_prefix may contain more)
+        const setting = args[++i] || '';
+        const eq = setting.indexOf('=');
+        if (eq <= 0) {
+          console.error(`--pg-setting expects name=value, got: ${setting}`);
+          process.exit(1);
+        }
+        options.pgSettings[setting.slice(0, eq)] = setting.slice(eq + 1);
+        break;
+      }
+
+      case '--pg-config':
+        options.pgSettingsFile = args[++i];
+        break;
+
+      case '--pg-preset':
+        options.pgPreset = args[++i];
+        break;
+
+      case '--snapshot':
+        options.snapshot = args[++i];
+        break;
+
+      case '--snapshot-dir':
+        options.snapshotDir = args[++i];
+        break;
+
+      case '--tenancy':
+        options.tenancy = args[++i];
+        break;
+
+      case '--shared-database':
+        options.sharedDatabase = args[++i];
+        break;
+
+      case '--pool-mode':
+        options.poolMode = args[++i];
+        break;
+
+      case '--pool-size':
+        options.poolSize = parseInt(args[++i], 10);
+        break;
+
+      case '--admin-port':
+        options.adminPort = parseInt(args[++i], 10);
+        break;
+
+      case '--admin-token':
+        options.adminToken = args[++i];
+        break;
+
+      case '--admin-url':
+        options.adminUrl = args[++i];
+        break;
+
+      case '--offline':
+        options.offline = true;
+        break;
+
+      case 'drop':
+      case 'reset':
+      case 'truncate':
+        options.command = arg;
+        options.database = args[++i];
+        break;
+
+      case 'dump':
+        options.command = arg;
+        options.database = args[++i];
+        break;
+
+      case 'load':
+        options.command = arg;
+        options.database = args[++i];
+        options.file = args[++i];
+        break;
+
+      case '--out':
+      case '-o':
+        options.out = args[++i];
+        break;
+
+      case 'snapshot':
+        options.command = arg;
+        options.snapshotAction = args[++i];
+        if (options.snapshotAction !== 'list') {
+          options.database = args[++i];
+        }
+        break;
+
       case '--help':
       case 'help':
         printHelp();
@@ -169,9 +550,318 @@ function parseArgs() {
     }
   }
 
+  // Pools live in the router process (workers can't share backends)
+  if (options.poolMode === 'transaction') {
+    options.cluster = false;
+  }
+
   return options;
 }
 
+/**
+ * Build the provisioning policy from CLI options (null = no restrictions)
+ */
+function getProvisionPolicy(options) {
+  if (!options.provisionAllow && !options.provisionDeny && !options.maxDatabases) {
+    return null;
+  }
+  return {
+    allow: options.provisionAllow,
+    deny: options.provisionDeny,
+    maxDatabases: options.maxDatabases
+  };
+}
+
+/**
+ * Per-database connection limit options (none unless a limit was given)
+ */
+function getConnectionLimits(options) {
+  if (!options.connectionLimit && Object.keys(options.connectionLimits).length === 0) {
+    return {};
+  }
+  return {
+    connectionLimit: options.connectionLimit,
+    connectionLimits: options.connectionLimits,
+    connectionQueueSize: options.connectionQueueSize,
+    connectionQueueTimeout: options.connectionQueueTimeout
+  };
+}
+
+/**
+ * Admin API line for the startup banner (a generated token is shown, a given one is not)
+ */
+function describeAdmin(options, token) {
+  if (!options.adminPort) {
+    return 'Disabled';
+  }
+  const url = `http://${options.host}:${options.adminPort}`;
+  return options.adminToken ? url : `${url} (token: ${token})`;
+}
+
+/**
+ * Tenancy line of the startup banner
+ */
+function describeTenancy(options) {
+  if (options.tenancy !== 'schema') return 'Database per tenant';
+  return `Schema per tenant (in ${options.sharedDatabase || 'tenants'})`;
+}
+
+/**
+ * Run a database command without serving clients
+ * Commands go to a running server's admin API unless --offline, which starts the
+ * embedded PostgreSQL on --data for the duration of the command.
+ */
+async function runCommand(options) {
+  if (options.command === 'snapshot') {
+    await runSnapshotCommand(options);
+    return;
+  }
+  if (!options.database || (options.command === 'load' && !options.file)) {
+    const usage = options.command === 'load' ? 'load <database> <file>' : `${options.command} <database>`;
+    console.error(`Usage: pgserve ${usage} --admin-url <url>\n       pgserve ${usage} --offline --data <path>`);
+    process.exit(1);
+  }
+  if (options.command === 'load' && options.file !== '-') {
+    fs.accessSync(options.file, fs.constants.R_OK); // Fail before starting PostgreSQL or sending anything
+  }
+  if (!options.offline) {
+    await runAdminCommand(options);
+    return;
+  }
+  if (!options.dataDir) {
+    console.error(`'${options.command}' needs --data (in-memory databases are gone once the server stops)`);
+    process.exit(1);
+  }
+
+  // A dump on stdout must not be mixed with log lines
+  const toStdout = options.command === 'dump' && !options.out;
+  const logLevel = options.logLevel === 'info' ? 'warn' : options.logLevel;
+
+  const router = new MultiTenantRouter({
+    ...getCommandRouterOptions(options),
+    logLevel,
+    logger: toStdout ? createLogger({ level: logLevel, destination: 2 }) : undefined
+  });
+
+  await router.pgManager.start();
+  try {
+    if (options.command === 'drop') {
+      const existed = await router.dropDatabase(options.database);
+      console.log(existed ? `Dropped ${options.database}` : `Database ${options.database} does not exist`);
+    } else if (options.command === 'reset') {
+      await router.resetDatabase(options.database);
+      console.log(`Reset ${options.database}`);
+    } else if (options.command === 'dump') {
+      const result = await runDump(options, output => router.dumpDatabase(options.database, output));
+      // stderr: stdout may be the dump itself
+      console.error(`Dumped ${result.tables} tables (${result.rows} rows) from ${options.database}`);
+    } else if (options.command === 'load') {
+      const input = options.file === '-' ? process.stdin : fs.createReadStream(options.file);
+      const result = await router.loadDatabase(options.database, input);
+      console.log(`Loaded ${result.tables} tables (${result.rows} rows) into ${options.database}`);
+    } else {
+      const tables = await router.truncateAll(options.database);
+      console.log(`Truncated ${tables.length} tables in ${options.database}`);
+    }
+  } finally {
+    await router.pgManager.stop();
+  }
+}
+
+/**
+ * Router options for commands that start their own PostgreSQL on --data: the same
+ * settings, tenancy and provisioning as main() gives the server that owns the directory,
+ * so PostgreSQL starts identically and reset recreates databases identically
+ */
+function getCommandRouterOptions(options) {
+  return {
+    port: options.port,
+    baseDir: options.dataDir,
+    pgVersion: options.pgVersion,
+    pgBinDir: options.pgBinDir,
+    memoryDir: options.memoryDir,
+    pgSettings: options.pgSettings,
+    pgSettingsFile: options.pgSettingsFile,
+    pgPreset: options.pgPreset,
+    snapshotDir: options.snapshotDir,
+    credentials: options.authFile,
+    provisionPolicy: getProvisionPolicy(options),
+    tenancy: options.tenancy,
+    sharedDatabase: options.sharedDatabase,
+    template: options.template,
+    templates: options.templates,
+    migrations: options.migrations,
+    seed: options.seed,
+    seeds: options.seeds
+  };
+}
+
+/**
+ * Send a request to the running server's admin API
+ * @param {Object} options - CLI options (adminUrl, or host and adminPort; adminToken)
+ * @param {string} label - Command name for the usage message
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the admin URL
+ * @param {AsyncIterable<Buffer>} [body] - Request body (streamed)
+ * @returns {Promise<Response>} The successful response
+ * @throws {Error} With the API's message and code (SQLSTATE) when it answers an error
+ */
+async function adminRequest(options, label, method, path, body) {
+  const adminUrl = options.adminUrl || (options.adminPort && `http://${options.host}:${options.adminPort}`);
+  if (!adminUrl) {
+    console.error(
+      `'${label}' acts on a running server: pass --admin-url (or --admin-port) and --admin-token,\n` +
+      `or --offline --data <path> for a stopped server's data directory`
+    );
+    process.exit(1);
+  }
+
+  const response = await fetch(`${adminUrl.replace(/\/$/, '')}${path}`, {
+    method,
+    headers: options.adminToken ? { Authorization: `Bearer ${options.adminToken}` } : {},
+    ...(body && { body, duplex: 'half' })
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw Object.assign(new Error(body.error || `admin API answered HTTP ${response.status}`), { code: body.code });
+  }
+  return response;
+}
+
+/**
+ * Run a database command on a running server through its admin API
+ */
+async function runAdminCommand(options) {
+  const database = encodeURIComponent(options.database);
+  if (options.command === 'dump') {
+    const result = await runDump(options, async (output) => {
+      const response = await adminRequest(options, 'dump', 'GET', `/databases/${database}/dump`);
+      let bytes = 0;
+      const body = Readable.fromWeb(response.body).on('data', chunk => { bytes += chunk.length; });
+      await pipeline(body, output, { end: false });
+      return { bytes };
+    });
+    console.error(`Dumped ${options.database} (${result.bytes} bytes)`);
+    return;
+  }
+  if (options.command === 'load') {
+    const input = options.file === '-' ? process.stdin : fs.createReadStream(options.file);
+    const response = await adminRequest(options, 'load', 'POST', `/databases/${database}/load`, input);
+    const result = await response.json();
+    console.log(`Loaded ${result.tables} tables (${result.rows} rows) into ${options.database}`);
+    return;
+  }
+
+  const action = { drop: '', reset: '/reset', truncate: '/truncate' }[options.command];
+  let response;
+  try {
+    response = await adminRequest(
+      options,
+      options.command,
+      options.command === 'drop' ? 'DELETE' : 'POST',
+      `/databases/${database}${action}`
+    );
+  } catch (error) {
+    if (options.command === 'drop' && error.code === '3D000') {
+      console.log(`Database ${options.database} does not exist`);
+      return;
+    }
+    throw error;
+  }
+
+  if (options.command === 'drop') {
+    console.log(`Dropped ${options.database}`);
+  } else if (options.command === 'reset') {
+    console.log(`Reset ${options.database}`);
+  } else {
+    const { tables } = await response.json();
+    console.log(`Truncated ${tables.length} tables in ${options.database}`);
+  }
+}
+
+/**
+ * Dump a database to --out or stdout (a failed dump leaves no partial file behind)
+ * @param {Object} options - CLI options
+ * @param {Function} dump - async (output) => result, writes the archive to output (left open)
+ * @returns {Promise<Object>} What dump returned
+ */
+async function runDump(options, dump) {
+  const output = options.out ? fs.createWriteStream(options.out) : process.stdout;
+  let result;
+  try {
+    result = await dump(output);
+    if (options.out) {
+      output.end();
+      await once(output, 'finish');
+    }
+  } catch (error) {
+    if (options.out) {
+      output.destroy();
+      fs.rmSync(options.out, { force: true });
+    }
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Create or restore a snapshot of a running server (memory mode too) through its admin API,
+ * or with --offline of a stopped server's data directory; list the saved snapshots
+ */
+async function runSnapshotCommand(options) {
+  const action = options.snapshotAction;
+  if (!['create', 'restore', 'list'].includes(action) || (action !== 'list' && !options.database)) {
+    console.error(
+      'Usage: pgserve snapshot <create|restore> <name> --admin-url <url>\n' +
+      '       pgserve snapshot <create|restore> <name> --offline --data <path>\n' +
+      '       pgserve snapshot list'
+    );
+    process.exit(1);
+  }
+
+  if (action !== 'list' && !options.offline) {
+    const name = encodeURIComponent(options.database);
+    const path = action === 'create' ? `/snapshots/${name}` : `/snapshots/${name}/restore`;
+    await adminRequest(options, `snapshot ${action}`, 'POST', path);
+    console.log(action === 'create' ? `Created snapshot ${options.database}` : `Restored snapshot ${options.database}`);
+    return;
+  }
+
+  const router = new MultiTenantRouter({
+    ...getCommandRouterOptions(options),
+    logLevel: options.logLevel === 'info' ? 'warn' : options.logLevel
+  });
+
+  if (action === 'list') {
+    const snapshots = await router.listSnapshots();
+    if (snapshots.length === 0) {
+      console.log(`No snapshots in ${router.snapshots.dir}`);
+    }
+    for (const { name, createdAt, version, sizeBytes } of snapshots) {
+      console.log(`${name}\t${createdAt}\tPostgreSQL ${version}\t${Math.round(sizeBytes / 1024 / 1024)} MB`);
+    }
+    return;
+  }
+
+  if (!options.dataDir) {
+    console.error(`'snapshot ${action} --offline' needs --data (a running in-memory server is snapshotted through its admin API)`);
+    process.exit(1);
+  }
+
+  await router.pgManager.start();
+  try {
+    if (action === 'create') {
+      await router.createSnapshot(options.database);
+      console.log(`Created snapshot ${options.database} in ${router.snapshots.dir}`);
+    } else {
+      await router.restoreSnapshot(options.database);
+      console.log(`Restored snapshot ${options.database} into ${options.dataDir}`);
+    }
+  } finally {
+    await router.pgManager.stop();
+  }
+}
+
 /**
  * Main entry point
  */
@@ -179,6 +869,16 @@ async function main() {
   const options = parseArgs();
   const memoryMode = !options.dataDir;
 
+  if (options.command) {
+    try {
+      await runCommand(options);
+      process.exit(0);
+    } catch (error) {
+      console.error(`${options.command} failed:`, error.message);
+      process.exit(1);
+    }
+  }
+
   // Only print header if not a cluster worker (workers get PGSERVE_WORKER env)
   if (!process.env.PGSERVE_WORKER) {
     console.log(`
@@ -196,9 +896,32 @@ pgserve - Embedded PostgreSQL Server
         port: options.port,
         host: options.host,
         baseDir: options.dataDir,
+        pgVersion: options.pgVersion,
+        pgBinDir: options.pgBinDir,
+        memoryDir: options.memoryDir,
+        pgSettings: options.pgSettings,
+        pgSettingsFile: options.pgSettingsFile,
+        pgPreset: options.pgPreset,
+        snapshot: options.snapshot,
+        snapshotDir: options.snapshotDir,
         logLevel: options.logLevel,
         autoProvision: options.autoProvision,
-        workers: options.workers
+        workers: options.workers,
+        tlsMode: options.tlsMode,
+        tlsCert: options.tlsCert,
+        tlsKey: options.tlsKey,
+        credentials: options.authFile,
+        provisionPolicy: getProvisionPolicy(options),
+        ...getConnectionLimits(options),
+        tenancy: options.tenancy,
+        sharedDatabase: options.sharedDatabase,
+        template: options.template,
+        templates: options.templates,
+        migrations: options.migrations,
+        seed: options.seed,
+        seeds: options.seeds,
+        adminPort: options.adminPort,
+        adminToken: options.adminToken
       });
 
       // Only primary process shows full startup message
@@ -210,8 +933,11 @@ Cluster started successfully!
   Endpoint:    postgresql://${options.host}:${options.port}/<database>
   Mode:        ${memoryMode ? 'In-memory (ephemeral)' : 'Persistent'} (Cluster)
   Workers:     ${stats.workers} processes
-  Data:        ${memoryMode ? '(temp directory)' : options.dataDir}
+  PostgreSQL:  ${stats.postgres.version}
+  Data:        ${memoryMode ? `(temp directory in ${stats.postgres.memoryDir})` : options.dataDir}
   Auto-create: ${options.autoProvision ? 'Enabled' : 'Disabled'}
+  Tenancy:     ${describeTenancy(options)}
+  Admin API:   ${describeAdmin(options, server.adminToken)}
 
 Examples:
   postgresql://${options.host}:${options.port}/myapp
@@ -226,10 +952,37 @@ Press Ctrl+C to stop
         port: options.port,
         host: options.host,
         baseDir: options.dataDir,
+        pgVersion: options.pgVersion,
+        pgBinDir: options.pgBinDir,
+        memoryDir: options.memoryDir,
+        pgSettings: options.pgSettings,
+        pgSettingsFile: options.pgSettingsFile,
+        pgPreset: options.pgPreset,
+        snapshot: options.snapshot,
+        snapshotDir: options.snapshotDir,
         logLevel: options.logLevel,
         autoProvision: options.autoProvision,
         syncTo: options.syncTo,
-        syncDatabases: options.syncDatabases
+        syncDatabases: options.syncDatabases,
+        restoreSchemas: options.restoreSchemas,
+        restoreExcludeSchemas: options.restoreExcludeSchemas,
+        poolMode: options.poolMode,
+        poolSize: options.poolSize,
+        tlsMode: options.tlsMode,
+        tlsCert: options.tlsCert,
+        tlsKey: options.tlsKey,
+        credentials: options.authFile,
+        provisionPolicy: getProvisionPolicy(options),
+        ...getConnectionLimits(options),
+        tenancy: options.tenancy,
+        sharedDatabase: options.sharedDatabase,
+        template: options.template,
+        templates: options.templates,
+        migrations: options.migrations,
+        seed: options.seed,
+        seeds: options.seeds,
+        adminPort: options.adminPort,
+        adminToken: options.adminToken
       });
 
       server = router;
@@ -244,10 +997,15 @@ Server started successfully!
 
   Endpoint:    postgresql://${options.host}:${options.port}/<database>
   Mode:        ${memoryMode ? 'In-memory (ephemeral)' : 'Persistent'}
-  Data:        ${memoryMode ? '(temp directory)' : options.dataDir}
-  PostgreSQL:  Port ${router.pgPort} (internal)
+  Data:        ${memoryMode ? `(temp directory in ${router.pgManager.getStats().memoryDir})` : options.dataDir}
+  PostgreSQL:  ${router.pgManager.binaries.version} on port ${router.pgPort} (internal)
   Auto-create: ${options.autoProvision ? 'Enabled' : 'Disabled'}
+  Tenancy:     ${describeTenancy(options)}
+  Pooling:     ${options.poolMode === 'transaction' ? `Transaction (${options.poolSize || 20} backends per database)` : 'Session'}
+  TLS:         ${router.tls.mode}
+  Auth:        ${options.authFile ? `SCRAM-SHA-256 (${options.authFile})` : 'PostgreSQL (postgres/postgres)'}
   Sync:        ${syncStatus}${options.syncDatabases ? ` (${options.syncDatabases})` : ''}
+  Admin API:   ${describeAdmin(options, router.adminToken)}
 
 Examples:
   postgresql://${options.host}:${options.port}/myapp
@@ -18,6 +18,8 @@ export default [
         setInterval: 'readonly',
         clearInterval: 'readonly',
         URL: 'readonly',
+        AbortController: 'readonly',
+        fetch: 'readonly',
         __dirname: 'readonly',
       },
     },
@@ -0,0 +1,248 @@
+/**
+ * Admin API - HTTP endpoints for dev tooling and CI scripts
+ *
+ * Every request needs "Authorization: Bearer <token>". Responses are JSON.
+ *
+ *   GET    /stats                      Router and PostgreSQL stats
+ *   GET    /databases                  Databases with size and backend count
+ *   GET    /connections                Active client connections per database
+ *   GET    /replication                SyncManager replication status
+ *   GET    /metrics                    Prometheus text format (see metrics.js)
+ *   POST   /databases/:name            Create (provision) a database
+ *   DELETE /databases/:name            Drop a database
+ *   POST   /databases/:name/reset      Drop and recreate a database
+ *   POST   /databases/:name/truncate   Empty every table in a database
+ *   GET    /databases/:name/dump       Dump a database (the archive is the response body)
+ *   POST   /databases/:name/load       Create a database from the dump in the request body
+ *   GET    /snapshots                  Saved data directory snapshots
+ *   POST   /snapshots/:name            Snapshot the data directory (PostgreSQL restarts briefly)
+ *   POST   /snapshots/:name/restore    Replace the data directory with a snapshot
+ *
+ * Failures answer {error, code}, where code is the SQLSTATE (or Node error code) when there is one.
+ * A dump that fails once its body has started is cut off (readFrames() reports it as truncated).
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+
+/**
+ * HTTP status for a failed action (SQLSTATE classes mapped to the nearest meaning)
+ * @param {Error} error
+ * @returns {number}
+ */
+function statusForError(error) {
+  if (error.code === '3D000' || error.code === 'ENOENT') return 404; // invalid_catalog_name, missing snapshot
+  if (error.code === 'EEXIST') return 409;
+  if (error.code === 'EINVAL') return 400;
+  if (typeof error.code === 'string' && error.code.startsWith('55')) return 409; // object in use
+  if (typeof error.code === 'string' && /^[0-9A-Z]{5}$/.test(error.code)) return 400;
+  return 500;
+}
+
+export class AdminServer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.target - Router (or cluster primary) exposing getStats, getDatabases,
+   *   getConnections, getReplicationStatus, getMetrics, createDatabase, dropDatabase, resetDatabase,
+   *   truncateAll, dumpDatabase, loadDatabase, listSnapshots, createSnapshot, restoreSnapshot
+   * @param {number} options.port - Listen port
+   * @param {string} [options.host='127.0.0.1'] - Listen host
+   * @param {string} [options.token] - Bearer token (random if omitted, see this.token)
+   * @param {Object} options.logger - Pino logger
+   */
+  constructor(options) {
+    this.target = options.target;
+    this.port = options.port;
+    this.host = options.host || '127.0.0.1';
+    this.token = options.token || crypto.randomBytes(24).toString('base64url');
+    this.logger = options.logger;
+    this.server = null;
+
+    // Compared as digests so the check takes the same time for any input length
+    this.tokenDigest = crypto.createHash('sha256').update(this.token).digest();
+
+    this.routes = [
+      { method: 'GET', path: /^\/stats$/, handler: () => this.target.getStats() },
+      { method: 'GET', path: /^\/databases$/, handler: () => this.target.getDatabases() },
+      { method: 'GET', path: /^\/connections$/, handler: () => this.target.getConnections() },
+      { method: 'GET', path: /^\/replication$/, handler: () => this.target.getReplicationStatus() },
+      {
+        method: 'GET',
+        path: /^\/metrics$/,
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+        handler: () => this.target.getMetrics()
+      },
+      {
+        method: 'POST',
+        path: /^\/databases\/([^/]+)$/,
+        handler: async (dbName) => {
+          // Idempotent: an existing database is left as is
+          await this.target.createDatabase(dbName);
+          return { database: dbName, provisioned: true };
+        }
+      },
+      {
+        method: 'DELETE',
+        path: /^\/databases\/([^/]+)$/,
+        handler: async (dbName) => {
+          if (!await this.target.dropDatabase(dbName)) {
+            throw Object.assign(new Error(`database "${dbName}" does not exist`), { code: '3D000' });
+          }
+          return { database: dbName, dropped: true };
+        }
+      },
+      {
+        method: 'POST',
+        path: /^\/databases\/([^/]+)\/reset$/,
+        handler: async (dbName) => {
+          await this.target.resetDatabase(dbName);
+          return { database: dbName, reset: true };
+        }
+      },
+      {
+        method: 'POST',
+        path: /^\/databases\/([^/]+)\/truncate$/,
+        handler: async (dbName) => ({ database: dbName, tables: await this.target.truncateAll(dbName) })
+      },
+      {
+        method: 'GET',
+        path: /^\/databases\/([^/]+)\/dump$/,
+        streams: true,
+        handler: async (dbName, req, res) => {
+          // Headers go out with the first chunk: a dump that fails before it still answers JSON
+          res.setHeader('Content-Type', 'application/octet-stream');
+          res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(dbName)}.pgdump"`);
+          await this.target.dumpDatabase(dbName, res);
+          res.end();
+        }
+      },
+      {
+        method: 'POST',
+        path: /^\/databases\/([^/]+)\/load$/,
+        readsBody: true,
+        handler: (dbName, req) => this.target.loadDatabase(dbName, req)
+      },
+      { method: 'GET', path: /^\/snapshots$/, handler: () => this.target.listSnapshots() },
+      {
+        method: 'POST',
+        path: /^\/snapshots\/([^/]+)$/,
+        handler: (name) => this.target.createSnapshot(name)
+      },
+      {
+        method: 'POST',
+        path: /^\/snapshots\/([^/]+)\/restore$/,
+        handler: async (name) => ({ ...await this.target.restoreSnapshot(name), restored: true })
+      }
+    ];
+  }
+
+  /**
+   * Start listening
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.server.on('error', (error) => this.logger.error({ err: error }, 'Admin server error'));
+    this.logger.info({ host: this.host, port: this.port }, 'Admin API listening');
+  }
+
+  /**
+   * Check the request's bearer token
+   * @param {http.IncomingMessage} req
+   * @returns {boolean}
+   */
+  isAuthorized(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const digest = crypto.createHash('sha256').update(match[1]).digest();
+    return crypto.timingSafeEqual(digest, this.tokenDigest);
+  }
+
+  /**
+   * Route one request and answer with JSON
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    const send = (status, body, contentType) => {
+      res.writeHead(status, { 'Content-Type': contentType || 'application/json' });
+      res.end(contentType ? body : JSON.stringify(body));
+    };
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const matches = this.routes.filter(route => route.path.test(pathname));
+    const route = matches.find(r => r.method === req.method);
+    const authorized = this.isAuthorized(req);
+
+    // Only load reads a body - drain the rest so keep-alive connections stay usable
+    if (!route?.readsBody || !authorized) {
+      req.resume();
+    }
+
+    if (!authorized) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      send(401, { error: 'Missing or invalid admin token' });
+      return;
+    }
+
+    if (!route) {
+      if (matches.length > 0) {
+        res.setHeader('Allow', matches.map(r => r.method).join(', '));
+        send(405, { error: `Method ${req.method} not allowed` });
+      } else {
+        send(404, { error: `Not found: ${pathname}` });
+      }
+      return;
+    }
+
+    // Database or snapshot name from the path
+    let name;
+    try {
+      name = route.path.exec(pathname)[1];
+      name = name && decodeURIComponent(name);
+    } catch {
+      req.resume();
+      send(400, { error: 'Malformed name in path' });
+      return;
+    }
+
+    try {
+      const result = await route.handler(name, req, res);
+      if (!route.streams) {
+        send(200, result, route.contentType);
+      }
+      if (req.method !== 'GET') {
+        this.logger.info({ method: req.method, path: pathname }, 'Admin action');
+      }
+    } catch (error) {
+      this.logger.warn({ method: req.method, path: pathname, err: error.message }, 'Admin request failed');
+      req.resume(); // A failed load leaves the rest of its body unread
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.removeHeader('Content-Disposition');
+        send(statusForError(error), { error: error.message, code: error.code || null });
+      }
+    }
+  }
+
+  /**
+   * Stop listening (open keep-alive connections are closed)
+   */
+  async stop() {
+    if (!this.server) return;
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+}
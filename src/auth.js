@@ -0,0 +1,275 @@
+/**
+ * Router Authentication (SCRAM-SHA-256)
+ *
+ * When credentials are configured, the router terminates authentication itself:
+ * 1. Client ↔ router: SCRAM-SHA-256 against the credentials file/callback
+ * 2. Router → PostgreSQL: login as the database's owner role (see PostgresManager.getDatabaseRole)
+ *
+ * Clients never learn the PostgreSQL superuser password, and each tenant role
+ * can only connect to its own database.
+ *
+ * Credentials file (JSON):
+ *   {
+ *     "alice": "plaintext-password",
+ *     "bob": { "password": "SCRAM-SHA-256$4096:<salt>$<StoredKey>:<ServerKey>", "databases": ["bob_*"] }
+ *   }
+ *
+ * "databases" takes the provisioning policy's patterns (globs like "bob_*", regexes like "/^bob_\d+$/").
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { buildMessage, readMessage, parseErrorResponse, backendError, PgError } from './protocol.js';
+import { compilePatterns } from './provision.js';
+
+const SCRAM_MECHANISM = 'SCRAM-SHA-256';
+const SCRAM_ITERATIONS = 4096;
+
+// Authentication request codes (AuthenticationXXX messages)
+const AUTH_OK = 0;
+const AUTH_CLEARTEXT_PASSWORD = 3;
+const AUTH_MD5_PASSWORD = 5;
+const AUTH_SASL = 10;
+const AUTH_SASL_CONTINUE = 11;
+const AUTH_SASL_FINAL = 12;
+
+/**
+ * Turn a credentials source into a lookup function
+ *
+ * @param {string|Function} source - Path to a JSON credentials file, or
+ *   `async (user, database) => password|null` (password may be plaintext or a SCRAM verifier)
+ * @returns {Function} async (user, database) => secret|null
+ */
+export function loadCredentials(source) {
+  if (typeof source === 'function') {
+    return source;
+  }
+
+  const entries = JSON.parse(fs.readFileSync(source, 'utf8'));
+  const databaseRules = new Map(
+    Object.entries(entries)
+      .filter(([, entry]) => entry?.databases)
+      .map(([user, entry]) => [user, compilePatterns(entry.databases)])
+  );
+
+  return async (user, database) => {
+    const entry = entries[user];
+    if (!entry) return null;
+    if (typeof entry === 'string') return entry;
+    if (databaseRules.has(user) && !databaseRules.get(user).some(regex => regex.test(database))) return null;
+    return entry.password || null;
+  };
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+/**
+ * Parse a SCRAM verifier in pg_authid format
+ * @param {string} secret - SCRAM-SHA-256$<iterations>:<salt>$<StoredKey>:<ServerKey>
+ * @returns {Object|null} Verifier or null if the secret is not a verifier
+ */
+function parseScramVerifier(secret) {
+  const match = /^SCRAM-SHA-256\$(\d+):([^$]+)\$([^:]+):(.+)$/.exec(secret);
+  if (!match) return null;
+  return {
+    iterations: parseInt(match[1], 10),
+    salt: match[2],
+    storedKey: Buffer.from(match[3], 'base64'),
+    serverKey: Buffer.from(match[4], 'base64')
+  };
+}
+
+// Derived verifiers for plaintext passwords (PBKDF2 is deliberately slow, do it once per password)
+const verifierCache = new Map();
+
+// Stand-in secret for unknown users (never matches any client proof)
+const MOCK_SECRET = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Get (or derive) the SCRAM verifier for a secret
+ * @param {string} secret - Plaintext password or SCRAM verifier
+ * @returns {Promise<Object>} {iterations, salt, storedKey, serverKey}
+ */
+async function getVerifier(secret) {
+  const parsed = parseScramVerifier(secret);
+  if (parsed) return parsed;
+
+  if (verifierCache.has(secret)) return verifierCache.get(secret);
+
+  const salt = crypto.randomBytes(16);
+  const saltedPassword = await new Promise((resolve, reject) => {
+    crypto.pbkdf2(secret, salt, SCRAM_ITERATIONS, 32, 'sha256', (err, key) => {
+      if (err) reject(err); else resolve(key);
+    });
+  });
+
+  const verifier = {
+    iterations: SCRAM_ITERATIONS,
+    salt: salt.toString('base64'),
+    storedKey: sha256(hmac(saltedPassword, 'Client Key')),
+    serverKey: hmac(saltedPassword, 'Server Key')
+  };
+  verifierCache.set(secret, verifier);
+  return verifier;
+}
+
+/**
+ * Build an AuthenticationXXX ('R') message
+ * @param {number} code - Authentication request code
+ * @param {Buffer} [data] - Mechanism-specific payload
+ */
+function authMessage(code, data = Buffer.alloc(0)) {
+  const body = Buffer.allocUnsafe(4 + data.length);
+  body.writeInt32BE(code, 0);
+  data.copy(body, 4);
+  return buildMessage('R', body);
+}
+
+/**
+ * Read a password-family ('p') message from the client
+ */
+async function readPasswordMessage(socket) {
+  const message = await readMessage(socket);
+  if (message.type !== 'p') {
+    throw new PgError('08P01', `Expected SASL response, got message type '${message.type}'`);
+  }
+  return message.body;
+}
+
+/**
+ * Parse SCRAM attributes ("a=1,b=2") into an object
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  for (const part of text.split(',')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) attributes[part.slice(0, eq)] = part.slice(eq + 1);
+  }
+  return attributes;
+}
+
+/**
+ * Authenticate a client with SCRAM-SHA-256 (server side, RFC 5802 / RFC 7677)
+ * Unknown users run the full exchange against a random verifier, so they fail
+ * exactly like a wrong password (no user enumeration).
+ *
+ * @param {net.Socket} socket - Client socket (after the startup message)
+ * @param {Object} params - Startup parameters (user, database)
+ * @param {Function} lookup - From loadCredentials()
+ * @throws {PgError} 28P01 on authentication failure
+ */
+export async function authenticateClient(socket, params, lookup) {
+  const user = params.user || '';
+  const failed = new PgError('28P01', `password authentication failed for user "${user}"`);
+
+  const secret = await lookup(user, params.database);
+  const verifier = await getVerifier(secret || MOCK_SECRET);
+
+  // 1. Offer SCRAM-SHA-256
+  socket.write(authMessage(AUTH_SASL, Buffer.from(`${SCRAM_MECHANISM}\0\0`)));
+
+  // 2. SASLInitialResponse: mechanism, int32 length, client-first-message
+  const initial = await readPasswordMessage(socket);
+  const mechanismEnd = initial.indexOf(0);
+  const mechanism = initial.toString('utf8', 0, mechanismEnd);
+  if (mechanism !== SCRAM_MECHANISM) {
+    throw new PgError('28000', `Unsupported SASL mechanism: ${mechanism}`);
+  }
+  const clientFirst = initial.toString('utf8', mechanismEnd + 5);
+
+  // gs2 header: "n,," (no channel binding) or "y,," (client supports it, we didn't offer it)
+  const match = /^([ny]),[^,]*,(.*)$/.exec(clientFirst);
+  if (!match) {
+    throw new PgError('08P01', 'Malformed SCRAM client-first-message (channel binding is not supported)');
+  }
+  const gs2Header = clientFirst.slice(0, clientFirst.length - match[2].length);
+  const clientFirstBare = match[2];
+  const clientNonce = parseAttributes(clientFirstBare).r;
+  if (!clientNonce) {
+    throw new PgError('08P01', 'Malformed SCRAM client-first-message (missing nonce)');
+  }
+
+  // 3. server-first-message
+  const nonce = clientNonce + crypto.randomBytes(18).toString('base64');
+  const serverFirst = `r=${nonce},s=${verifier.salt},i=${verifier.iterations}`;
+  socket.write(authMessage(AUTH_SASL_CONTINUE, Buffer.from(serverFirst)));
+
+  // 4. client-final-message: c=<gs2 header>,r=<nonce>,p=<proof>
+  const clientFinal = (await readPasswordMessage(socket)).toString('utf8');
+  const proofIndex = clientFinal.lastIndexOf(',p=');
+  if (proofIndex === -1) throw failed;
+
+  const attributes = parseAttributes(clientFinal);
+  if (attributes.r !== nonce || attributes.c !== Buffer.from(gs2Header).toString('base64')) {
+    throw failed;
+  }
+
+  const clientFinalWithoutProof = clientFinal.slice(0, proofIndex);
+  const authMessageText = `${clientFirstBare},${serverFirst},${clientFinalWithoutProof}`;
+  const proof = Buffer.from(attributes.p, 'base64');
+  const clientSignature = hmac(verifier.storedKey, authMessageText);
+  if (proof.length !== clientSignature.length) throw failed;
+
+  const clientKey = Buffer.alloc(proof.length);
+  for (let i = 0; i < proof.length; i++) {
+    clientKey[i] = proof[i] ^ clientSignature[i];
+  }
+
+  if (!secret || !crypto.timingSafeEqual(sha256(clientKey), verifier.storedKey)) {
+    throw failed;
+  }
+
+  // 5. server-final-message (proves we know the verifier too)
+  const serverSignature = hmac(verifier.serverKey, authMessageText).toString('base64');
+  socket.write(authMessage(AUTH_SASL_FINAL, Buffer.from(`v=${serverSignature}`)));
+}
+
+/**
+ * Log in to PostgreSQL with explicit credentials
+ * Stops right after AuthenticationOk, which is put back on the socket so the
+ * client receives it (and everything after it) once the sockets are piped.
+ *
+ * @param {net.Socket} pgSocket - Connected backend socket
+ * @param {Buffer} startupMessage - Startup message to send (user = role)
+ * @param {{user: string, password: string}} role - Backend credentials
+ * @throws {PgError} Backend ErrorResponse (e.g. database does not exist)
+ */
+export async function loginToBackend(pgSocket, startupMessage, role) {
+  pgSocket.write(startupMessage);
+
+  for (;;) {
+    const message = await readMessage(pgSocket).catch((error) => {
+      throw backendError(error);
+    });
+
+    if (message.type === 'E') {
+      throw parseErrorResponse(message.body);
+    }
+    if (message.type !== 'R') {
+      throw new PgError('08P01', `Unexpected backend message '${message.type}' during login`);
+    }
+
+    const code = message.body.readInt32BE(0);
+    if (code === AUTH_OK) {
+      pgSocket.unshift(message.raw);
+      return;
+    }
+
+    if (code === AUTH_CLEARTEXT_PASSWORD) {
+      pgSocket.write(buildMessage('p', Buffer.from(`${role.password}\0`)));
+    } else if (code === AUTH_MD5_PASSWORD) {
+      const salt = message.body.subarray(4, 8);
+      const inner = crypto.createHash('md5').update(role.password + role.user).digest('hex');
+      const outer = crypto.createHash('md5').update(Buffer.concat([Buffer.from(inner), salt])).digest('hex');
+      pgSocket.write(buildMessage('p', Buffer.from(`md5${outer}\0`)));
+    } else {
+      throw new PgError('08P01', `Unsupported backend authentication method (code ${code})`);
+    }
+  }
+}
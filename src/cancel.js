@@ -0,0 +1,90 @@
+/**
+ * Query Cancellation Support
+ *
+ * PostgreSQL cancels queries out-of-band: the client opens a NEW connection and
+ * sends a CancelRequest carrying the BackendKeyData (process ID + secret) it
+ * received at startup. The router records those keys for every proxied session
+ * and relays matching cancel packets to the embedded PostgreSQL.
+ *
+ * Unknown keys are dropped, so the router never forwards cancels it didn't see.
+ */
+
+import net from 'net';
+import { buildCancelRequest } from './protocol.js';
+
+/**
+ * Encode backend key data as a string (Map key, IPC-safe)
+ * @param {{processId: number, secretKey: Buffer}} key
+ * @returns {string}
+ */
+export function encodeCancelKey(key) {
+  return `${key.processId}:${key.secretKey.toString('hex')}`;
+}
+
+/**
+ * Decode a string produced by encodeCancelKey()
+ * @param {string} id
+ * @returns {{processId: number, secretKey: Buffer}}
+ */
+export function decodeCancelKey(id) {
+  const [processId, secretHex] = id.split(':');
+  return { processId: parseInt(processId, 10), secretKey: Buffer.from(secretHex, 'hex') };
+}
+
+/**
+ * Registry of backend keys for live sessions
+ * Values are caller-defined (true for local sessions, worker id on the cluster PRIMARY)
+ */
+export class CancelRegistry {
+  constructor() {
+    this.keys = new Map();
+  }
+
+  add(id, value = true) {
+    this.keys.set(id, value);
+  }
+
+  delete(id) {
+    this.keys.delete(id);
+  }
+
+  has(id) {
+    return this.keys.has(id);
+  }
+
+  get(id) {
+    return this.keys.get(id);
+  }
+
+  /**
+   * Drop every key registered with the given value (e.g. all sessions of a dead worker)
+   * @param {*} value
+   */
+  deleteByValue(value) {
+    for (const [id, owner] of this.keys) {
+      if (owner === value) this.keys.delete(id);
+    }
+  }
+
+  get size() {
+    return this.keys.size;
+  }
+}
+
+/**
+ * Send a CancelRequest to PostgreSQL
+ * Fire-and-forget: PostgreSQL closes the connection without replying
+ *
+ * @param {Object} address - net.connect() options ({path} or {host, port})
+ * @param {{processId: number, secretKey: Buffer}} key - Backend key data
+ * @returns {Promise<void>}
+ */
+export function sendCancelRequest(address, key) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(address, () => {
+      socket.end(buildCancelRequest(key));
+    });
+    socket.once('close', () => resolve());
+    socket.once('error', reject);
+  });
+}
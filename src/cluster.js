@@ -7,17 +7,54 @@
  *
  * This enables multi-core scaling (3-5x throughput on multi-core systems)
  * while maintaining a single PostgreSQL instance.
+ *
+ * Query cancellation: workers report the BackendKeyData of their sessions to
+ * PRIMARY, so a CancelRequest landing on another worker is routed (over IPC)
+ * to the worker that owns the session.
+ *
+ * Provisioning: workers ask PRIMARY (over IPC) to create databases and owner
+ * roles, so all PostgresManager logic runs in one place without races.
+ * With schema tenancy PRIMARY creates tenant schemas instead, and workers
+ * point each session's search_path at its schema.
+ * Per-database connection limits are counted on PRIMARY the same way, so caps
+ * and queues hold across all workers.
+ *
+ * Snapshots are taken and restored by PRIMARY; workers drop their provisioning
+ * caches after a restore.
+ *
+ * Admin API: served by PRIMARY, which asks every worker (over IPC) for its
+ * connection counters and sums them (per-database connections, /metrics).
  */
 
 import cluster from 'cluster';
 import os from 'os';
 import net from 'net';
-import pg from 'pg';
 import { createLogger } from './logger.js';
 import { PostgresManager } from './postgres.js';
-import { extractDatabaseNameFromSocket } from './protocol.js';
+import { MigrationRunner } from './migrations.js';
+import { loadFixtures, createSeedHook } from './seed.js';
+import { PatternRules } from './provision.js';
+import {
+  extractDatabaseNameFromSocket,
+  watchBackendKeyData,
+  parseStartupMessage,
+  buildStartupMessage,
+  schemaTenantParameters,
+  rejectConnection,
+  backendError,
+  PgError
+} from './protocol.js';
+import { loadCredentials, authenticateClient, loginToBackend } from './auth.js';
+import { CancelRegistry, encodeCancelKey, decodeCancelKey, sendCancelRequest } from './cancel.js';
+import { resolveTlsFiles, createTlsOptions } from './tls.js';
+import { AdminServer } from './admin.js';
+import { RouterMetrics, mergeRouterSnapshots, renderMetrics } from './metrics.js';
+import { ConnectionLimiter } from './limits.js';
+import { SnapshotStore } from './snapshots.js';
 import { EventEmitter } from 'events';
 
+const METRICS_REPLY_TIMEOUT = 1000; // Workers that don't answer in time are left out
+
 /**
  * ClusterRouter - Lightweight TCP router for worker processes
  * Does NOT start PostgreSQL - connects to PRIMARY's PostgreSQL via Unix socket
@@ -29,15 +66,34 @@ class ClusterRouter extends EventEmitter {
     this.host = options.host || '127.0.0.1';
     this.pgSocketPath = options.pgSocketPath; // From PRIMARY
     this.pgPort = options.pgPort;
-    this.pgUser = options.pgUser || 'postgres';
-    this.pgPassword = options.pgPassword || 'postgres';
     this.autoProvision = options.autoProvision !== false;
     this.maxConnections = options.maxConnections || 1000;
+    this.limitConnections = !!options.limitConnections; // Slots are handed out by PRIMARY
+    this.sharedDatabase = options.sharedDatabase || null; // Set with schema tenancy
+
+    // TLS cert/key resolved by PRIMARY (shared by all workers)
+    this.tls = createTlsOptions({
+      mode: options.tlsMode || 'disable',
+      certPath: options.tlsCert,
+      keyPath: options.tlsKey
+    });
+
+    // Router authentication (credentials file only - callbacks can't cross processes)
+    this.authLookup = options.credentials ? loadCredentials(options.credentials) : null;
 
     this.logger = createLogger({ level: options.logLevel || 'info' });
-    this.adminClient = null;
     this.server = null;
     this.connections = new Set();
+    this.databaseConnections = new Map(); // dbName → active proxied sessions
+    this.metrics = new RouterMetrics(); // Summed by PRIMARY for the admin API
+    this.cancelKeys = new CancelRegistry(); // Sessions proxied by THIS worker
+
+    // IPC calls to PRIMARY (id → {resolve, reject}) and per-worker provisioning caches
+    this.pendingCalls = new Map();
+    this.nextCallId = 1;
+    this.nextSlotWaitId = 1; // Names a queued slot request, so PRIMARY can drop it
+    this.provisionedDatabases = new Map(); // dbName → Promise
+    this.databaseRoles = new Map(); // dbName → Promise<{user, password}>
     this.setMaxListeners(this.maxConnections + 10);
   }
 
@@ -47,46 +103,74 @@ class ClusterRouter extends EventEmitter {
     socket.setTimeout(0);
   }
 
-  async start() {
-    // Admin connection for auto-provisioning databases
-    if (this.autoProvision) {
-      let connectionConfig;
-      if (this.pgSocketPath) {
-        // pg library expects socket DIRECTORY as host, it appends .s.PGSQL.<port>
-        // Socket path format: /tmp/pgserve-sock-xxx/.s.PGSQL.<port>
-        // Extract directory by removing the socket file suffix
-        const socketDir = this.pgSocketPath.replace(/\/\.s\.PGSQL\.\d+$/, '');
-        connectionConfig = {
-          host: socketDir,
-          port: this.pgPort,
-          database: 'postgres',
-          user: this.pgUser,
-          password: this.pgPassword
-        };
-      } else {
-        connectionConfig = {
-          host: '127.0.0.1',
-          port: this.pgPort,
-          database: 'postgres',
-          user: this.pgUser,
-          password: this.pgPassword
-        };
-      }
+  getBackendAddress() {
+    if (this.pgSocketPath) {
+      return { path: this.pgSocketPath };
+    }
+    return { host: '127.0.0.1', port: this.pgPort };
+  }
 
-      this.adminClient = new pg.Client(connectionConfig);
-      // Suppress errors during shutdown (PostgreSQL terminating connections)
-      this.adminClient.on('error', () => {});
-      await this.adminClient.connect();
+  /**
+   * Track a session's backend key locally and in PRIMARY's shared mapping
+   * @param {string} id - Encoded backend key
+   * @param {boolean} active - false when the session ends
+   */
+  trackCancelKey(id, active) {
+    if (active) {
+      this.cancelKeys.add(id);
+    } else {
+      this.cancelKeys.delete(id);
     }
+    if (process.connected) process.send({ type: 'cancel-key', key: id, active });
+  }
 
+  /**
+   * Count a proxied session in or out of its database's total
+   * @param {string} dbName - Database name
+   * @param {number} delta - 1 when the session starts, -1 when it ends
+   */
+  trackDatabaseConnection(dbName, delta) {
+    const count = (this.databaseConnections.get(dbName) || 0) + delta;
+    if (count > 0) {
+      this.databaseConnections.set(dbName, count);
+    } else {
+      this.databaseConnections.delete(dbName);
+    }
+  }
+
+  /**
+   * Handle a CancelRequest received by this worker
+   * Forwarded directly if we own the session, otherwise PRIMARY routes it to the owner
+   * @param {{processId: number, secretKey: Buffer}} key - Backend key data
+   */
+  async cancelQuery(key) {
+    const id = encodeCancelKey(key);
+    if (this.cancelKeys.has(id)) {
+      await this.relayCancel(id);
+    } else {
+      if (process.connected) process.send({ type: 'cancel', key: id });
+    }
+  }
+
+  /**
+   * Forward a cancel for one of this worker's sessions to PostgreSQL
+   * @param {string} id - Encoded backend key
+   */
+  async relayCancel(id) {
+    if (!this.cancelKeys.has(id)) {
+      this.logger.debug({ key: id }, 'Ignoring cancel request for unknown session');
+      return;
+    }
+    await sendCancelRequest(this.getBackendAddress(), decodeCancelKey(id));
+  }
+
+  async start() {
     return new Promise((resolve, _reject) => {
       this.server = net.createServer({
         allowHalfOpen: false,
         pauseOnConnect: true
       }, (socket) => this.handleConnection(socket));
 
-      this.server.maxConnections = this.maxConnections;
-
       this.server.on('error', (error) => {
         this.logger.error({ err: error }, 'Router error');
         this.emit('error', error);
@@ -99,77 +183,223 @@ class ClusterRouter extends EventEmitter {
     });
   }
 
+  /**
+   * Call a PostgresManager method on PRIMARY over IPC
+   * @param {string} method - Method name (see rpcMethods in startClusterServer)
+   * @param {...*} args - Serializable arguments
+   * @returns {Promise<*>} Method result
+   */
+  callPrimary(method, ...args) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextCallId++;
+      this.pendingCalls.set(id, { resolve, reject });
+      process.send({ type: 'rpc', id, method, args });
+    });
+  }
+
+  /**
+   * Settle a pending IPC call with PRIMARY's reply
+   * @param {Object} message - {id, result} or {id, error}
+   */
+  resolveCall(message) {
+    const call = this.pendingCalls.get(message.id);
+    if (!call) return;
+    this.pendingCalls.delete(message.id);
+
+    if (message.error) {
+      const { name, code, message: text, detail } = message.error;
+      call.reject(name === 'PgError'
+        ? new PgError(code, text, { detail })
+        : Object.assign(new Error(text), { code }));
+    } else {
+      call.resolve(message.result);
+    }
+  }
+
+  /**
+   * Call PRIMARY once per database, sharing the in-flight promise (failures are retried)
+   */
+  _cachedCall(cache, method, dbName) {
+    if (!cache.has(dbName)) {
+      const promise = this.callPrimary(method, dbName);
+      cache.set(dbName, promise);
+      promise.catch(() => cache.delete(dbName));
+    }
+    return cache.get(dbName);
+  }
+
   async createDatabase(dbName) {
-    if (!this.autoProvision || !this.adminClient) return;
+    if (!this.autoProvision) return;
+    await this._cachedCall(this.provisionedDatabases, 'createDatabase', dbName);
+  }
 
+  getDatabaseRole(dbName) {
+    return this._cachedCall(this.databaseRoles, 'getDatabaseRole', dbName);
+  }
+
+  /**
+   * Take a per-database connection slot from PRIMARY (may wait in its queue)
+   * @param {string} dbName - Database name
+   * @param {AbortSignal} signal - Takes the request out of PRIMARY's queue (client went away)
+   * @returns {Promise<Function>} Releases the slot (safe to call more than once)
+   */
+  async acquireConnectionSlot(dbName, signal) {
+    if (!this.limitConnections) return () => {};
+
+    const waitId = this.nextSlotWaitId++;
+    const cancel = () => {
+      if (process.connected) process.send({ type: 'cancel-slot', waitId });
+    };
+    signal.addEventListener('abort', cancel, { once: true });
+    let slotId;
     try {
-      const result = await this.adminClient.query(
-        'SELECT 1 FROM pg_database WHERE datname = $1',
-        [dbName]
-      );
+      slotId = await this.callPrimary('acquireConnectionSlot', dbName, waitId);
+    } finally {
+      signal.removeEventListener('abort', cancel);
+    }
+    if (!slotId) return () => {};
 
-      if (result.rows.length === 0) {
-        await this.adminClient.query(`CREATE DATABASE "${dbName}"`);
-      }
-    } catch (error) {
-      // Ignore "already exists" (race condition between workers)
-      if (!error.message.includes('already exists')) {
-        this.logger.error({ database: dbName, err: error }, 'Failed to create database');
-      }
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      if (process.connected) process.send({ type: 'release-slot', slotId });
+    };
+  }
+
+  /**
+   * Forget cached provisioning state (PRIMARY dropped, reset or restored databases)
+   * @param {string|null} dbName - Database name (null = all, after a snapshot restore)
+   */
+  invalidateDatabase(dbName) {
+    if (dbName === null) {
+      this.provisionedDatabases.clear();
+      this.databaseRoles.clear();
+      return;
     }
+    this.provisionedDatabases.delete(dbName);
+    this.databaseRoles.delete(dbName);
   }
 
   async handleConnection(socket) {
+    const acceptedAt = process.hrtime.bigint();
     this.connections.add(socket);
+    this.metrics.accepted++;
     this.optimizeSocket(socket);
 
     let dbName = null;
     let pgSocket = null;
+    let clientSocket = socket;
+    let releaseSlot = null;
+    let clientGone = null;
 
     try {
-      const { dbName: extractedDbName, buffered } = await extractDatabaseNameFromSocket(socket);
-      dbName = extractedDbName;
+      const startup = await extractDatabaseNameFromSocket(socket, { tls: this.tls });
+      clientSocket = startup.socket;
+      this.metrics.observeStartup(acceptedAt);
+
+      if (startup.cancel) {
+        await this.cancelQuery(startup.cancel);
+        clientSocket.destroy();
+        this.connections.delete(socket);
+        return;
+      }
+
+      if (this.connections.size > this.maxConnections) {
+        throw new PgError('53300', 'sorry, too many clients already');
+      }
+
+      dbName = startup.dbName;
+      let buffered = startup.buffered;
+
+      let params = null;
+      if (this.authLookup) {
+        params = { ...parseStartupMessage(buffered, false), database: dbName };
+        await authenticateClient(clientSocket, params, this.authLookup);
+      }
 
+      // A client that leaves while queued or provisioned gives its place back
+      clientGone = new AbortController();
+      const onClientGone = () => clientGone.abort(new Error('Client disconnected before its session started'));
+      clientSocket.once('close', onClientGone);
+      clientSocket.once('error', onClientGone);
+      if (clientSocket.destroyed) onClientGone();
+
+      releaseSlot = await this.acquireConnectionSlot(dbName, clientGone.signal);
       await this.createDatabase(dbName);
 
-      // Connect to PRIMARY's PostgreSQL
-      if (this.pgSocketPath) {
-        pgSocket = net.connect({ path: this.pgSocketPath });
-      } else {
-        pgSocket = net.connect({ host: '127.0.0.1', port: this.pgPort });
+      // Schema tenancy: open the shared database with search_path on the tenant's schema
+      if (this.sharedDatabase) {
+        params ??= parseStartupMessage(buffered, false);
+        params = { ...params, ...schemaTenantParameters(this.sharedDatabase, dbName, params.options) };
+        buffered = buildStartupMessage(params);
       }
 
+      // Its 'close' has fired already, so nothing would end the session
+      clientGone.signal.throwIfAborted();
+
+      // Connect to PRIMARY's PostgreSQL
+      pgSocket = net.connect(this.getBackendAddress());
+
       await new Promise((resolve, reject) => {
         pgSocket.once('connect', resolve);
-        pgSocket.once('error', reject);
+        pgSocket.once('error', error => reject(backendError(error)));
       });
 
       this.optimizeSocket(pgSocket);
-      pgSocket.write(buffered);
-      socket.resume();
+
+      if (this.authLookup) {
+        const role = await this.getDatabaseRole(params.database);
+        await loginToBackend(pgSocket, buildStartupMessage({ ...params, user: role.user }), role);
+      } else {
+        pgSocket.write(buffered);
+      }
+      clientSocket.resume();
 
       // Bidirectional pipe
-      socket.pipe(pgSocket);
-      pgSocket.pipe(socket);
+      clientSocket.pipe(pgSocket);
+      pgSocket.pipe(clientSocket);
+
+      let cancelKeyId = null;
+      watchBackendKeyData(pgSocket, (key) => {
+        cancelKeyId = encodeCancelKey(key);
+        this.trackCancelKey(cancelKeyId, true);
+      });
+
+      this.trackDatabaseConnection(dbName, 1);
+      this.metrics.trackBackend(pgSocket);
+      let tracked = true;
 
       const cleanup = () => {
         this.connections.delete(socket);
+        if (tracked) {
+          this.trackDatabaseConnection(dbName, -1);
+          releaseSlot();
+          tracked = false;
+        }
+        if (cancelKeyId) {
+          this.trackCancelKey(cancelKeyId, false);
+          cancelKeyId = null;
+        }
         if (pgSocket && !pgSocket.destroyed) pgSocket.destroy();
-        if (socket && !socket.destroyed) socket.destroy();
+        if (clientSocket && !clientSocket.destroyed) clientSocket.destroy();
       };
 
-      socket.once('close', cleanup);
-      socket.once('error', cleanup);
-      pgSocket.once('close', () => {
-        if (socket && !socket.destroyed) socket.destroy();
-      });
+      clientSocket.once('close', cleanup);
+      clientSocket.once('error', cleanup);
+      pgSocket.once('close', cleanup);
       pgSocket.once('error', cleanup);
+      if (clientSocket.destroyed) cleanup(); // Left during the backend login
 
     } catch (error) {
-      this.logger.error({ dbName, err: error }, 'Connection error');
+      if (!clientGone?.signal.aborted) {
+        this.logger.error({ dbName, err: error }, 'Connection error');
+        this.metrics.recordFailure(error);
+      }
       if (pgSocket && !pgSocket.destroyed) pgSocket.destroy();
-      socket.destroy();
+      rejectConnection(error.socket || clientSocket, error);
       this.connections.delete(socket);
+      releaseSlot?.();
     }
   }
 
@@ -179,14 +409,6 @@ class ClusterRouter extends EventEmitter {
     }
     this.connections.clear();
 
-    if (this.adminClient) {
-      try {
-        await this.adminClient.end();
-      } catch {
-        // Ignore - connection may already be terminated
-      }
-    }
-
     if (this.server) {
       await new Promise((resolve) => this.server.close(resolve));
     }
@@ -205,35 +427,247 @@ export async function startClusterServer(options = {}) {
   if (cluster.isPrimary) {
     console.log(`[pgserve] Cluster mode: ${numWorkers} workers`);
 
+    if (typeof options.credentials === 'function') {
+      throw new Error('Cluster mode needs a credentials file (callbacks cannot be shared with worker processes)');
+    }
+    if (options.route) {
+      throw new Error('Cluster mode does not support a routing hook (functions cannot be shared with worker processes)');
+    }
+
+    const tenancy = options.tenancy || 'database';
+    if (!['database', 'schema'].includes(tenancy)) {
+      throw new Error(`Invalid tenancy: ${tenancy} (expected database or schema)`);
+    }
+    const sharedDatabase = tenancy === 'schema' ? (options.sharedDatabase || 'tenants') : null;
+
     // PRIMARY: Start our embedded PostgreSQL (single instance)
     const logger = createLogger({ level: options.logLevel || 'info' });
+    const snapshots = new SnapshotStore({
+      dir: options.snapshotDir,
+      logger: logger.child({ component: 'snapshots' })
+    });
     const pgManager = new PostgresManager({
       dataDir: options.baseDir,
       port: pgPort,
-      logger: logger.child({ component: 'postgres' })
+      logger: logger.child({ component: 'postgres' }),
+      ownerRoles: !!options.credentials,
+      provisionPolicy: options.provisionPolicy,
+      template: options.template,
+      templates: options.templates,
+      pgVersion: options.pgVersion,
+      pgBinDir: options.pgBinDir,
+      memoryDir: options.memoryDir,
+      preset: options.pgPreset,
+      settingsFile: options.pgSettingsFile,
+      settings: options.pgSettings,
+      snapshotStore: snapshots,
+      snapshot: options.snapshot
     });
 
+    // Migrations run here too (createDatabase is an RPC to PRIMARY)
+    if (options.migrations) {
+      const migrations = new MigrationRunner({ dir: options.migrations, logger: logger.child({ component: 'migrations' }) });
+      pgManager.addProvisionHook((client, dbName) => migrations.apply(client, dbName));
+    }
+    const seedLogger = logger.child({ component: 'seed' });
+    if (options.seed || options.seeds) {
+      pgManager.addProvisionHook(createSeedHook(new PatternRules(options.seed, options.seeds), seedLogger));
+    }
+
+    // Schema tenancy: tenants are schemas of the shared database
+    const provisionTenant = (dbName) => (sharedDatabase
+      ? pgManager.createSchema(sharedDatabase, dbName)
+      : pgManager.createDatabase(dbName));
+    const connectToTenant = (dbName) => (sharedDatabase
+      ? pgManager.connectToSchema(sharedDatabase, dbName)
+      : pgManager.connectAsOwner(dbName));
+    const dropTenant = (dbName) => (sharedDatabase
+      ? pgManager.dropSchema(sharedDatabase, dbName)
+      : pgManager.dropDatabase(dbName));
+    const resetTenant = (dbName) => (sharedDatabase
+      ? pgManager.resetSchema(sharedDatabase, dbName)
+      : pgManager.resetDatabase(dbName));
+    const truncateTenant = (dbName) => (sharedDatabase
+      ? pgManager.truncateSchema(sharedDatabase, dbName)
+      : pgManager.truncateAll(dbName));
+    // Dumps hold whole databases, tenants here are schemas
+    const assertDumpable = () => {
+      if (sharedDatabase) {
+        throw new PgError('0A000', 'Dumps are not supported with schema tenancy (tenants are schemas, dumps hold whole databases)');
+      }
+    };
+
     await pgManager.start();
     const pgSocketPath = pgManager.getSocketPath();
 
-    console.log(`[pgserve] Embedded PostgreSQL started`);
+    console.log(`[pgserve] Embedded PostgreSQL ${pgManager.binaries.version} started`);
     console.log(`[pgserve] Socket: ${pgSocketPath || `TCP port ${pgPort}`}`);
 
+    // Resolve TLS once so every worker serves the same certificate
+    const tlsFiles = await resolveTlsFiles({
+      mode: options.tlsMode,
+      certPath: options.tlsCert,
+      keyPath: options.tlsKey,
+      dataDir: pgManager.databaseDir,
+      logger
+    });
+    if (tlsFiles.mode !== 'disable') {
+      console.log(`[pgserve] TLS: ${tlsFiles.mode} (${tlsFiles.certPath})`);
+    }
+
+    // Worker environment (PostgreSQL connection info + router settings)
+    const workerEnv = {
+      PGSERVE_WORKER: 'true',
+      PGSERVE_PORT: String(port),
+      PGSERVE_HOST: host,
+      PGSERVE_PG_SOCKET: pgSocketPath || '',
+      PGSERVE_PG_PORT: String(pgPort),
+      PGSERVE_LOG_LEVEL: options.logLevel || 'info',
+      PGSERVE_AUTO_PROVISION: options.autoProvision !== false ? 'true' : 'false',
+      PGSERVE_TLS_MODE: tlsFiles.mode,
+      PGSERVE_TLS_CERT: tlsFiles.certPath || '',
+      PGSERVE_TLS_KEY: tlsFiles.keyPath || '',
+      PGSERVE_AUTH_FILE: options.credentials || '',
+      PGSERVE_SHARED_DATABASE: sharedDatabase || '',
+      PGSERVE_CONNECTION_LIMITS: options.connectionLimit || Object.keys(options.connectionLimits || {}).length ? 'true' : 'false'
+    };
+
     const workers = new Map();
 
+    // Backend key → worker id, shared so any worker can cancel any session
+    const cancelOwners = new CancelRegistry();
+
+    // Per-database connection caps for all workers (slot id → {release, workerId})
+    const connectionLimiter = new ConnectionLimiter({
+      limit: options.connectionLimit,
+      limits: options.connectionLimits,
+      queueSize: options.connectionQueueSize,
+      queueTimeout: options.connectionQueueTimeout
+    });
+    const connectionSlots = new Map();
+    let nextSlotId = 1;
+    const slotWaits = new Map(); // "workerId:waitId" → AbortController of a queued request
+
+    const releaseWorkerSlots = (workerId) => {
+      for (const [slotId, slot] of connectionSlots) {
+        if (slot.workerId === workerId) {
+          connectionSlots.delete(slotId);
+          slot.release();
+        }
+      }
+      for (const [key, waiting] of slotWaits) {
+        if (key.startsWith(`${workerId}:`)) waiting.abort();
+      }
+    };
+
+    // Methods workers may call over IPC (the calling worker's id is passed last)
+    const rpcMethods = {
+      createDatabase: (dbName) => provisionTenant(dbName),
+      getDatabaseRole: (dbName) => pgManager.getDatabaseRole(dbName),
+      acquireConnectionSlot: async (dbName, waitId, workerId) => {
+        const key = `${workerId}:${waitId}`;
+        const waiting = new AbortController();
+        slotWaits.set(key, waiting);
+        let release;
+        try {
+          release = await connectionLimiter.acquire(dbName, { signal: waiting.signal });
+        } finally {
+          slotWaits.delete(key);
+        }
+        if (!workers.has(workerId)) {
+          release(); // Worker died while its client was queued
+          return null;
+        }
+        const slotId = nextSlotId++;
+        connectionSlots.set(slotId, { release, workerId });
+        return slotId;
+      }
+    };
+
+    cluster.on('message', (worker, message) => {
+      if (message.type === 'rpc') {
+        const method = rpcMethods[message.method];
+        Promise.resolve()
+          .then(() => {
+            if (!method) throw new Error(`Unknown IPC method: ${message.method}`);
+            return method(...message.args, worker.id);
+          })
+          .then(
+            (result) => worker.send({ type: 'rpc-result', id: message.id, result }),
+            (error) => worker.send({
+              type: 'rpc-result',
+              id: message.id,
+              error: { name: error.name, code: error.code, message: error.message, detail: error.detail }
+            })
+          );
+      } else if (message.type === 'cancel-key') {
+        if (message.active) {
+          cancelOwners.add(message.key, worker.id);
+        } else if (cancelOwners.get(message.key) === worker.id) {
+          cancelOwners.delete(message.key);
+        }
+      } else if (message.type === 'cancel') {
+        const owner = workers.get(cancelOwners.get(message.key));
+        if (owner) {
+          owner.send({ type: 'cancel', key: message.key });
+        }
+      } else if (message.type === 'cancel-slot') {
+        slotWaits.get(`${worker.id}:${message.waitId}`)?.abort();
+      } else if (message.type === 'release-slot') {
+        const slot = connectionSlots.get(message.slotId);
+        if (slot) {
+          connectionSlots.delete(message.slotId);
+          slot.release();
+        }
+      } else if (message.type === 'metrics') {
+        metricsReplies.get(message.id)?.(message);
+      }
+    });
+
+    // Pending worker metrics requests (id → reply handler)
+    const metricsReplies = new Map();
+    let nextMetricsId = 1;
+
+    // Ask every worker for its RouterMetrics snapshot
+    const collectWorkerMetrics = async () => {
+      const id = nextMetricsId++;
+      const replies = [];
+      const expected = workers.size;
+
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, METRICS_REPLY_TIMEOUT);
+        metricsReplies.set(id, (reply) => {
+          replies.push(reply);
+          if (replies.length === expected) {
+            clearTimeout(timer);
+            resolve();
+          }
+        });
+        for (const worker of workers.values()) {
+          worker.send({ type: 'metrics', id });
+        }
+        if (expected === 0) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      metricsReplies.delete(id);
+      return replies;
+    };
+
+    // Sum every worker's per-database connection counts
+    const getConnections = async () => {
+      const replies = await collectWorkerMetrics();
+      return {
+        total: replies.reduce((sum, reply) => sum + reply.total, 0),
+        workers: replies.length,
+        databases: mergeRouterSnapshots(replies.map(reply => reply.snapshot)).databases
+      };
+    };
+
     // Fork workers with PostgreSQL connection info
     for (let i = 0; i < numWorkers; i++) {
-      const worker = cluster.fork({
-        PGSERVE_WORKER: 'true',
-        PGSERVE_PORT: String(port),
-        PGSERVE_HOST: host,
-        PGSERVE_PG_SOCKET: pgSocketPath || '',
-        PGSERVE_PG_PORT: String(pgPort),
-        PGSERVE_PG_USER: 'postgres',
-        PGSERVE_PG_PASSWORD: 'postgres',
-        PGSERVE_LOG_LEVEL: options.logLevel || 'info',
-        PGSERVE_AUTO_PROVISION: options.autoProvision !== false ? 'true' : 'false'
-      });
+      const worker = cluster.fork(workerEnv);
       workers.set(worker.id, worker);
     }
 
@@ -243,26 +677,29 @@ export async function startClusterServer(options = {}) {
     // Restart dead workers (unless shutting down)
     cluster.on('exit', (worker, code, signal) => {
       workers.delete(worker.id);
+      cancelOwners.deleteByValue(worker.id);
+      releaseWorkerSlots(worker.id);
 
       if (shuttingDown) {
         return; // Don't restart during shutdown
       }
 
       console.log(`[pgserve] Worker ${worker.id} died (${signal || code}), restarting...`);
-      const newWorker = cluster.fork({
-        PGSERVE_WORKER: 'true',
-        PGSERVE_PORT: String(port),
-        PGSERVE_HOST: host,
-        PGSERVE_PG_SOCKET: pgSocketPath || '',
-        PGSERVE_PG_PORT: String(pgPort),
-        PGSERVE_PG_USER: 'postgres',
-        PGSERVE_PG_PASSWORD: 'postgres',
-        PGSERVE_LOG_LEVEL: options.logLevel || 'info',
-        PGSERVE_AUTO_PROVISION: options.autoProvision !== false ? 'true' : 'false'
-      });
+      const newWorker = cluster.fork(workerEnv);
       workers.set(newWorker.id, newWorker);
     });
 
+    // Drop/reset/restore change what workers have cached (provisioned flag, owner role password)
+    const withInvalidation = async (dbName, operation) => {
+      try {
+        return await operation();
+      } finally {
+        for (const worker of workers.values()) {
+          worker.send({ type: 'invalidate', dbName });
+        }
+      }
+    };
+
     // Wait for workers to be ready
     let readyCount = 0;
     await new Promise((resolve) => {
@@ -277,13 +714,19 @@ export async function startClusterServer(options = {}) {
     console.log(`[pgserve] All ${numWorkers} workers ready`);
     console.log(`[pgserve] Listening on ${host}:${port}`);
 
-    return {
+    let admin = null;
+
+    const primary = {
       workers,
       pgPort,
       pgSocketPath,
+      adminToken: null,
       stop: async () => {
         console.log('[pgserve] Stopping cluster...');
         shuttingDown = true; // Prevent worker restart during shutdown
+        if (admin) {
+          await admin.stop();
+        }
         for (const worker of workers.values()) {
           worker.send({ type: 'shutdown' });
         }
@@ -300,9 +743,62 @@ export async function startClusterServer(options = {}) {
       },
       getStats: () => ({
         workers: workers.size,
-        pids: Array.from(workers.values()).map(w => w.process.pid)
-      })
+        pids: Array.from(workers.values()).map(w => w.process.pid),
+        connectionLimits: connectionLimiter.getStats(),
+        postgres: pgManager.getStats()
+      }),
+      getDatabases: () => pgManager.getDatabases(),
+      getConnections,
+      getMetrics: async () => {
+        const replies = await collectWorkerMetrics();
+        return renderMetrics({
+          router: mergeRouterSnapshots(replies.map(reply => reply.snapshot)),
+          postgres: await pgManager.getMetrics(),
+          workers: workers.size
+        });
+      },
+      getReplicationStatus: async () => ({ enabled: false }), // No sync in cluster mode
+      createDatabase: (dbName) => provisionTenant(dbName),
+      markAsTemplate: (dbName, isTemplate = true) => pgManager.markAsTemplate(dbName, isTemplate),
+      dropDatabase: (dbName) => withInvalidation(dbName, () => dropTenant(dbName)),
+      resetDatabase: (dbName) => withInvalidation(dbName, () => resetTenant(dbName)),
+      truncateAll: (dbName) => truncateTenant(dbName),
+      dumpDatabase: async (dbName, output) => {
+        assertDumpable();
+        return pgManager.dumpDatabase(dbName, output);
+      },
+      loadDatabase: async (dbName, input) => {
+        assertDumpable();
+        return pgManager.loadDatabase(dbName, input);
+      },
+      listSnapshots: () => snapshots.list(),
+      createSnapshot: (name) => pgManager.createSnapshot(snapshots, name),
+      restoreSnapshot: (name) => withInvalidation(null, () => pgManager.restoreSnapshot(snapshots, name)),
+      seed: async (dbName, fixtures, seedOptions = {}) => {
+        await provisionTenant(dbName);
+        const client = await connectToTenant(dbName);
+        try {
+          await loadFixtures(client, fixtures, { ...seedOptions, dbName, logger: seedLogger });
+        } finally {
+          await client.end();
+        }
+      }
     };
+
+    if (options.adminPort) {
+      admin = new AdminServer({
+        target: primary,
+        port: options.adminPort,
+        host: options.adminHost || host,
+        token: options.adminToken,
+        logger: logger.child({ component: 'admin' })
+      });
+      await admin.start();
+      primary.adminToken = admin.token;
+      console.log(`[pgserve] Admin API: http://${admin.host}:${admin.port}`);
+    }
+
+    return primary;
   } else {
     // WORKER: Only run TCP routing, connect to PRIMARY's PostgreSQL
     const router = new ClusterRouter({
@@ -310,10 +806,14 @@ export async function startClusterServer(options = {}) {
       host: process.env.PGSERVE_HOST || '127.0.0.1',
       pgSocketPath: process.env.PGSERVE_PG_SOCKET || null,
       pgPort: parseInt(process.env.PGSERVE_PG_PORT) || 6432,
-      pgUser: process.env.PGSERVE_PG_USER || 'postgres',
-      pgPassword: process.env.PGSERVE_PG_PASSWORD || 'postgres',
       logLevel: process.env.PGSERVE_LOG_LEVEL || 'info',
-      autoProvision: process.env.PGSERVE_AUTO_PROVISION === 'true'
+      autoProvision: process.env.PGSERVE_AUTO_PROVISION === 'true',
+      tlsMode: process.env.PGSERVE_TLS_MODE || 'disable',
+      tlsCert: process.env.PGSERVE_TLS_CERT || null,
+      tlsKey: process.env.PGSERVE_TLS_KEY || null,
+      credentials: process.env.PGSERVE_AUTH_FILE || null,
+      limitConnections: process.env.PGSERVE_CONNECTION_LIMITS === 'true',
+      sharedDatabase: process.env.PGSERVE_SHARED_DATABASE || null
     });
 
     await router.start();
@@ -321,9 +821,23 @@ export async function startClusterServer(options = {}) {
     // Tell PRIMARY we're ready
     process.send({ type: 'ready' });
 
-    // Handle shutdown
+    // Handle IPC replies, cancels routed by PRIMARY and shutdown
     process.on('message', async (message) => {
-      if (message.type === 'shutdown') {
+      if (message.type === 'rpc-result') {
+        router.resolveCall(message);
+      } else if (message.type === 'cancel') {
+        router.relayCancel(message.key)
+          .catch(err => router.logger.warn({ err: err.message }, 'Failed to relay cancel request'));
+      } else if (message.type === 'invalidate') {
+        router.invalidateDatabase(message.dbName);
+      } else if (message.type === 'metrics') {
+        process.send({
+          type: 'metrics',
+          id: message.id,
+          total: router.connections.size,
+          snapshot: router.metrics.snapshot(router.databaseConnections)
+        });
+      } else if (message.type === 'shutdown') {
         await router.stop();
         process.exit(0);
       }
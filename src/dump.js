@@ -0,0 +1,223 @@
+/**
+ * Database Dumps - one database's schema and data as a self-contained archive
+ *
+ * A dump holds the schema DDL (read by RestoreManager, so a load creates the
+ * same schema a restore does), every table's rows as binary COPY data and the
+ * sequence positions. Everything is read in one REPEATABLE READ transaction,
+ * so the rows are consistent even while clients keep writing.
+ *
+ * Layout: "PGSERVE DUMP 1\n", then frames of [type: 1 byte][length: uint32 BE][payload]
+ *   M  manifest JSON {database, version, createdAt, schemas: [name], schema: [{type, object, sql}],
+ *      tables: [{schema, name}], postData: [{type, object, sql}]}
+ *   D  a chunk of binary COPY data for the current table
+ *   E  end of the current table (tables come in manifest order)
+ *   S  sequence positions JSON - always the last frame
+ *
+ * Loading creates views, indexes, constraints and triggers (postData) after
+ * the last table. Any object that can't be recreated fails the load.
+ */
+
+import { finished } from 'stream/promises';
+import { from as copyFrom, to as copyTo } from 'pg-copy-streams';
+import { RestoreManager } from './restore.js';
+
+const MAGIC = Buffer.from('PGSERVE DUMP 1\n');
+
+/**
+ * Encode one frame
+ * @param {string} type - One letter (M, D, E, S)
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+export function frame(type, payload = Buffer.alloc(0)) {
+  const header = Buffer.alloc(5);
+  header.write(type, 0, 'latin1');
+  header.writeUInt32BE(payload.length, 1);
+  return Buffer.concat([header, payload]);
+}
+
+// "schema"."table" for COPY
+function tableName(client, table) {
+  return `${client.escapeIdentifier(table.schema)}.${client.escapeIdentifier(table.name)}`;
+}
+
+// A load is all or nothing: list every object that could not be created
+function assertApplied(failures) {
+  if (failures.length > 0) {
+    throw new Error(`Could not recreate ${failures.map(f => `${f.object} (${f.error})`).join(', ')}`);
+  }
+}
+
+// Write with backpressure; fails instead of waiting forever on a broken or closed stream
+// (an HTTP response whose client went away closes without an error)
+async function write(stream, chunk) {
+  if (stream.errored || stream.destroyed) {
+    throw stream.errored || new Error('Dump output was closed');
+  }
+  if (!stream.write(chunk)) {
+    await new Promise((resolve, reject) => {
+      const onDrain = () => {
+        stream.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        stream.off('drain', onDrain);
+        reject(stream.errored || new Error('Dump output was closed'));
+      };
+      stream.once('drain', onDrain);
+      stream.once('close', onClose);
+    });
+  }
+}
+
+/**
+ * Split a dump stream into frames
+ * @param {AsyncIterable<Buffer>} input
+ * @yields {{type: string, payload: Buffer}}
+ */
+export async function* readFrames(input) {
+  let buffer = Buffer.alloc(0);
+  let started = false;
+
+  for await (const chunk of input) {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+    if (!started) {
+      if (buffer.length < MAGIC.length) continue;
+      if (!buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('Not a pgserve dump (bad header)');
+      }
+      buffer = buffer.subarray(MAGIC.length);
+      started = true;
+    }
+
+    while (buffer.length >= 5) {
+      const length = buffer.readUInt32BE(1);
+      if (buffer.length < 5 + length) break;
+      yield { type: String.fromCharCode(buffer[0]), payload: buffer.subarray(5, 5 + length) };
+      buffer = buffer.subarray(5 + length);
+    }
+  }
+
+  if (!started || buffer.length > 0) {
+    throw new Error('Dump is truncated');
+  }
+}
+
+/**
+ * Write a database's schema, data and sequence positions to a stream
+ * @param {pg.Client} client - Connection to the database (superuser)
+ * @param {stream.Writable} output - Left open
+ * @param {Object} options
+ * @param {string} options.database - Recorded in the manifest
+ * @param {string} options.version - PostgreSQL major version, recorded in the manifest
+ * @param {Object} options.logger - Pino logger
+ * @returns {Promise<{database: string, tables: number, rows: number, bytes: number}>}
+ */
+export async function writeDump(client, output, { database, version, logger }) {
+  const restore = new RestoreManager({ logger });
+  let rows = 0;
+  let bytes = 0;
+
+  await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+  try {
+    const { schemas } = await restore.getSchemas(client);
+    const schema = await restore.getSchemaStatements(client, schemas);
+    const tables = await restore.getTables(client, schemas);
+    const postData = await restore.getPostDataStatements(client, schemas);
+    const manifest = { database, version, createdAt: new Date().toISOString(), schemas, schema, tables, postData };
+
+    await write(output, MAGIC);
+    await write(output, frame('M', Buffer.from(JSON.stringify(manifest))));
+
+    for (const table of tables) {
+      const copy = client.query(copyTo(`COPY ${tableName(client, table)} TO STDOUT WITH (FORMAT binary)`));
+      for await (const chunk of copy) {
+        bytes += chunk.length;
+        await write(output, frame('D', chunk));
+      }
+      rows += copy.rowCount;
+      await write(output, frame('E'));
+      logger.debug({ table: tableName(client, table), rows: copy.rowCount }, 'Table dumped');
+    }
+
+    // Read last: sequences aren't transactional, so this covers every dumped row
+    const sequences = await restore.getSequenceValues(client, schemas);
+    await write(output, frame('S', Buffer.from(JSON.stringify(sequences))));
+
+    await client.query('COMMIT');
+    return { database, tables: tables.length, rows, bytes };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Create a dump's schema in an empty database and load its data
+ * @param {pg.Client} client - Connection to the target database (objects belong to its user)
+ * @param {AsyncIterable<Buffer>} input - Dump stream (e.g. fs.createReadStream)
+ * @param {Object} options
+ * @param {Object} options.logger - Pino logger
+ * @returns {Promise<{database: string, tables: number, rows: number}>} database = name in the dump
+ */
+export async function readDump(client, input, { logger }) {
+  const restore = new RestoreManager({ logger });
+  let manifest = null;
+  let table = 0;
+  let copy = null;
+  let copyDone = null;
+  let rows = 0;
+  let complete = false;
+
+  for await (const { type, payload } of readFrames(input)) {
+    if (!manifest && type !== 'M') {
+      throw new Error(`Dump has no manifest (found a "${type}" frame first)`);
+    }
+
+    switch (type) {
+      case 'M':
+        manifest = JSON.parse(payload);
+        assertApplied(await restore.applyStatements(client, manifest.schema));
+        break;
+
+      case 'D':
+        if (!copy) {
+          const name = tableName(client, manifest.tables[table]);
+          copy = client.query(copyFrom(`COPY ${name} FROM STDIN WITH (FORMAT binary)`));
+          // Listening right away keeps a failed COPY from being an unhandled 'error'
+          copyDone = finished(copy);
+          copyDone.catch(() => {}); // Rethrown by the await at the end of the table
+        }
+        await write(copy, payload);
+        break;
+
+      case 'E':
+        if (copy) {
+          copy.end();
+          await copyDone;
+          rows += copy.rowCount;
+          logger.debug({ table: tableName(client, manifest.tables[table]), rows: copy.rowCount }, 'Table loaded');
+          copy = null;
+        }
+        table++;
+        break;
+
+      case 'S': {
+        // Every table is in: views, indexes, constraints and triggers
+        assertApplied(await restore.applyStatements(client, manifest.postData));
+        await restore.applySequenceValues(client, JSON.parse(payload));
+        complete = true;
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown frame "${type}" in dump`);
+    }
+  }
+
+  if (!complete) {
+    throw new Error('Dump is truncated (no sequence positions at the end)');
+  }
+  return { database: manifest.database, tables: manifest.tables.length, rows };
+}
@@ -0,0 +1,128 @@
+/**
+ * Connection Limits - per-database caps with a bounded FIFO wait queue
+ *
+ * The global maxConnections protects the router; these caps keep one noisy
+ * tenant from taking every backend slot. Each database gets a limit from
+ * pattern rules ("tenant_*" -> 5) or the default. Clients over the limit wait
+ * in a per-database queue (first come, first served) until a slot frees up;
+ * a full queue or a timeout answers 53300 like PostgreSQL's own limits.
+ */
+
+import { PatternRules } from './provision.js';
+import { PgError } from './protocol.js';
+
+const DEFAULT_QUEUE_SIZE = 100;
+const DEFAULT_QUEUE_TIMEOUT = 10000;
+
+export class ConnectionLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.limit=0] - Connections per database (0 = unlimited)
+   * @param {Object|Array} [options.limits] - Per-pattern limits, e.g. {"tenant_*": 5}
+   * @param {number} [options.queueSize=100] - Clients that may wait per database (0 = reject at once)
+   * @param {number} [options.queueTimeout=10000] - Max wait for a slot (ms), 0 = wait until a slot
+   *   frees up or the client leaves (like PostgreSQL's timeouts, 0 disables it)
+   */
+  constructor(options = {}) {
+    this.rules = new PatternRules(options.limit || 0, options.limits);
+    this.queueSize = options.queueSize ?? DEFAULT_QUEUE_SIZE;
+    this.queueTimeout = options.queueTimeout ?? DEFAULT_QUEUE_TIMEOUT;
+    this.databases = new Map(); // dbName → {limit, active, queue}
+  }
+
+  /**
+   * Take a connection slot, waiting in the database's queue if it is full
+   * @param {string} dbName - Database name
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Leaves the queue (the client went away)
+   * @returns {Promise<Function>} Releases the slot (safe to call more than once)
+   * @throws {PgError} 53300 when the queue is full or the wait times out
+   * @throws {*} The signal's reason when it aborts while waiting
+   */
+  async acquire(dbName, { signal } = {}) {
+    signal?.throwIfAborted();
+    const limit = this.rules.resolve(dbName);
+    if (!limit) return () => {};
+
+    let state = this.databases.get(dbName);
+    if (!state) {
+      state = { limit, active: 0, queue: [] };
+      this.databases.set(dbName, state);
+    }
+
+    if (state.active < limit) {
+      state.active++;
+    } else {
+      if (state.queue.length >= this.queueSize) {
+        throw new PgError('53300', `too many connections for database "${dbName}"`, {
+          detail: `${limit} connections in use and ${state.queue.length} waiting`
+        });
+      }
+      await new Promise((resolve, reject) => {
+        const leave = (error) => {
+          clearTimeout(waiter.timer);
+          signal?.removeEventListener('abort', onAbort);
+          state.queue.splice(state.queue.indexOf(waiter), 1);
+          this._cleanup(dbName, state);
+          reject(error);
+        };
+        const onAbort = () => leave(signal.reason);
+
+        const waiter = {
+          resolve: () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+          },
+          timer: this.queueTimeout > 0
+            ? setTimeout(() => leave(new PgError('53300', `too many connections for database "${dbName}"`, {
+              detail: `No connection slot became free within ${this.queueTimeout / 1000}s`
+            })), this.queueTimeout)
+            : null
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        state.queue.push(waiter);
+      });
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this._release(dbName, state);
+    };
+  }
+
+  /**
+   * Hand a freed slot to the next waiting client (the active count stays the same)
+   */
+  _release(dbName, state) {
+    const waiter = state.queue.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+      return;
+    }
+    state.active--;
+    this._cleanup(dbName, state);
+  }
+
+  _cleanup(dbName, state) {
+    if (state.active === 0 && state.queue.length === 0) {
+      this.databases.delete(dbName);
+    }
+  }
+
+  /**
+   * Limited databases with open or waiting connections
+   * @returns {{queued: number, databases: Object<string, {limit: number, active: number, queued: number}>}}
+   */
+  getStats() {
+    const databases = {};
+    let queued = 0;
+    for (const [dbName, state] of this.databases) {
+      databases[dbName] = { limit: state.limit, active: state.active, queued: state.queue.length };
+      queued += state.queue.length;
+    }
+    return { queued, databases };
+  }
+}
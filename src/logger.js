@@ -12,6 +12,7 @@ import pino from 'pino';
  * @param {Object} options - Logger options
  * @param {string} options.level - Log level (default: 'info')
  * @param {string} options.component - Component name for log context
+ * @param {number} options.destination - File descriptor to write to (default: 1, stdout)
  * @returns {pino.Logger} Configured pino logger
  */
 export function createLogger(options = {}) {
@@ -26,6 +27,7 @@ export function createLogger(options = {}) {
         ignore: 'pid,hostname',           // Remove noise
         translateTime: 'HH:MM:ss',        // Short timestamp
         singleLine: false,                // Multi-line for readable objects
+        destination: options.destination ?? 1
       }
     }
   });
@@ -0,0 +1,236 @@
+/**
+ * Metrics - Prometheus text exposition for router, PostgreSQL and sync
+ *
+ * Served by the admin API at GET /metrics:
+ * - Router counters: connections accepted/rejected/errored, bytes proxied each way,
+ *   startup-parse latency histogram, active connections per database
+ * - PostgreSQL gauges: databases, backend processes, data directory size
+ * - Replication lag per logical slot (when --sync-to is set)
+ *
+ * Router counters are plain snapshots so cluster workers can send them to
+ * PRIMARY over IPC, where they are summed before rendering.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PgError } from './protocol.js';
+
+// Startup-parse latency buckets (seconds): local clients take well under 1ms, TLS a few ms
+const STARTUP_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/**
+ * Connection counters of one router process
+ */
+export class RouterMetrics {
+  constructor() {
+    this.accepted = 0;
+    this.rejected = 0; // Refused with an ErrorResponse (auth, policy, limits, TLS)
+    this.errored = 0; // Failed unexpectedly (backend unreachable, client hung up mid-startup)
+    this.bytesFromClients = 0; // Of closed sessions - live ones are added in snapshot()
+    this.bytesToClients = 0;
+    this.startupBuckets = new Array(STARTUP_BUCKETS.length + 1).fill(0); // Last one = +Inf
+    this.startupSum = 0;
+    this.startupCount = 0;
+    this.backendSockets = new Set();
+  }
+
+  /**
+   * Record how long reading the startup packet took
+   * @param {bigint} startedAt - process.hrtime.bigint() when the socket was accepted
+   */
+  observeStartup(startedAt) {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const index = STARTUP_BUCKETS.findIndex(bound => seconds <= bound);
+    this.startupBuckets[index === -1 ? STARTUP_BUCKETS.length : index]++;
+    this.startupSum += seconds;
+    this.startupCount++;
+  }
+
+  /**
+   * Count a connection that ended in the router's catch block
+   * @param {Error} error
+   */
+  recordFailure(error) {
+    if (error instanceof PgError) {
+      this.rejected++;
+    } else {
+      this.errored++;
+    }
+  }
+
+  /**
+   * Count the bytes of a proxied session (its backend socket sees the plaintext protocol)
+   * @param {net.Socket} pgSocket - Connection to PostgreSQL
+   */
+  trackBackend(pgSocket) {
+    this.backendSockets.add(pgSocket);
+    pgSocket.once('close', () => {
+      this.backendSockets.delete(pgSocket);
+      this.bytesFromClients += pgSocket.bytesWritten;
+      this.bytesToClients += pgSocket.bytesRead;
+    });
+  }
+
+  /**
+   * Serializable counters (IPC-safe)
+   * @param {Map<string, number>} databaseConnections - dbName → active sessions
+   * @returns {Object}
+   */
+  snapshot(databaseConnections) {
+    let bytesFromClients = this.bytesFromClients;
+    let bytesToClients = this.bytesToClients;
+    for (const socket of this.backendSockets) {
+      bytesFromClients += socket.bytesWritten;
+      bytesToClients += socket.bytesRead;
+    }
+
+    return {
+      accepted: this.accepted,
+      rejected: this.rejected,
+      errored: this.errored,
+      bytesFromClients,
+      bytesToClients,
+      startupBuckets: [...this.startupBuckets],
+      startupSum: this.startupSum,
+      startupCount: this.startupCount,
+      databases: Object.fromEntries(databaseConnections)
+    };
+  }
+}
+
+/**
+ * Sum router snapshots (one per cluster worker)
+ * @param {Object[]} snapshots - RouterMetrics.snapshot() results
+ * @returns {Object} Combined snapshot
+ */
+export function mergeRouterSnapshots(snapshots) {
+  const merged = new RouterMetrics().snapshot(new Map());
+  for (const snapshot of snapshots) {
+    for (const key of ['accepted', 'rejected', 'errored', 'bytesFromClients', 'bytesToClients', 'startupSum', 'startupCount']) {
+      merged[key] += snapshot[key];
+    }
+    snapshot.startupBuckets.forEach((count, i) => { merged.startupBuckets[i] += count; });
+    for (const [dbName, count] of Object.entries(snapshot.databases)) {
+      merged.databases[dbName] = (merged.databases[dbName] || 0) + count;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Total size of a directory tree in bytes (files that vanish mid-walk are skipped)
+ * @param {string} dir
+ * @returns {Promise<number>}
+ */
+export async function directorySize(dir) {
+  let total = 0;
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      total += await fs.promises.stat(entryPath).then(stat => stat.size, () => 0);
+    }
+  }
+  return total;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Prometheus text format writer
+ */
+class Exposition {
+  constructor() {
+    this.lines = [];
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} help - HELP text
+   * @param {Array<[string, Object, number]>} samples - [sample name, labels, value]
+   *   (sample names differ from the family name for histograms: _bucket, _sum, _count)
+   */
+  family(name, type, help, samples) {
+    this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [sampleName, labels, value] of samples) {
+      const labelText = Object.entries(labels)
+        .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+        .join(',');
+      this.lines.push(`${sampleName}${labelText ? `{${labelText}}` : ''} ${value}`);
+    }
+  }
+
+  toString() {
+    return this.lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Render all metrics in Prometheus text format
+ *
+ * @param {Object} sources
+ * @param {Object} sources.router - RouterMetrics snapshot (merged in cluster mode)
+ * @param {Object} sources.postgres - PostgresManager.getMetrics() result
+ * @param {Object|null} [sources.replication] - SyncManager.getReplicationStatus() result
+ * @param {number} [sources.workers] - Cluster worker count
+ * @returns {string}
+ */
+export function renderMetrics({ router, postgres, replication, workers }) {
+  const out = new Exposition();
+
+  out.family('pgserve_connections_accepted_total', 'counter', 'Client connections accepted by the router',
+    [['pgserve_connections_accepted_total', {}, router.accepted]]);
+  out.family('pgserve_connections_rejected_total', 'counter', 'Client connections refused with an ErrorResponse',
+    [['pgserve_connections_rejected_total', {}, router.rejected]]);
+  out.family('pgserve_connections_errored_total', 'counter', 'Client connections that failed unexpectedly',
+    [['pgserve_connections_errored_total', {}, router.errored]]);
+  out.family('pgserve_connections_active', 'gauge', 'Active proxied sessions per database',
+    Object.entries(router.databases).map(([database, count]) => ['pgserve_connections_active', { database }, count]));
+  out.family('pgserve_proxied_bytes_total', 'counter', 'Bytes proxied between clients and PostgreSQL', [
+    ['pgserve_proxied_bytes_total', { direction: 'client_to_server' }, router.bytesFromClients],
+    ['pgserve_proxied_bytes_total', { direction: 'server_to_client' }, router.bytesToClients]
+  ]);
+
+  let cumulative = 0;
+  const buckets = STARTUP_BUCKETS.map((bound, i) => {
+    cumulative += router.startupBuckets[i];
+    return ['pgserve_startup_duration_seconds_bucket', { le: bound }, cumulative];
+  });
+  out.family('pgserve_startup_duration_seconds', 'histogram', 'Time to read and parse the client startup packet', [
+    ...buckets,
+    ['pgserve_startup_duration_seconds_bucket', { le: '+Inf' }, router.startupCount],
+    ['pgserve_startup_duration_seconds_sum', {}, router.startupSum],
+    ['pgserve_startup_duration_seconds_count', {}, router.startupCount]
+  ]);
+
+  if (workers !== undefined) {
+    out.family('pgserve_workers', 'gauge', 'Cluster worker processes', [['pgserve_workers', {}, workers]]);
+  }
+
+  out.family('pgserve_databases', 'gauge', 'Databases in PostgreSQL (excluding templates)',
+    [['pgserve_databases', {}, postgres.databases]]);
+  out.family('pgserve_backends', 'gauge', 'PostgreSQL client backend processes',
+    [['pgserve_backends', {}, postgres.backends]]);
+  out.family('pgserve_data_dir_bytes', 'gauge', 'Size of the PostgreSQL data directory',
+    [['pgserve_data_dir_bytes', {}, postgres.dataDirBytes]]);
+
+  if (replication?.replicationSlots) {
+    out.family('pgserve_replication_lag_bytes', 'gauge', 'WAL not yet confirmed by the sync target, per slot',
+      replication.replicationSlots.map(slot => ['pgserve_replication_lag_bytes', { slot: slot.name }, slot.lagBytes || 0]));
+    out.family('pgserve_replication_slot_active', 'gauge', 'Whether the replication slot is being streamed',
+      replication.replicationSlots.map(slot => ['pgserve_replication_slot_active', { slot: slot.name }, slot.active ? 1 : 0]));
+  }
+
+  return out.toString();
+}
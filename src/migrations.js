@@ -0,0 +1,102 @@
+/**
+ * Migrations Runner - ordered SQL files applied to every new database
+ *
+ * Runs as a PostgresManager provision hook, so migrations finish before the
+ * router forwards the client's startup packet (no half-migrated schemas).
+ *
+ * - Files: *.sql in one directory, applied in natural order (2_x.sql before 10_x.sql)
+ * - Tracking: pgserve_migrations table in each database (version = file name without .sql)
+ * - Each file runs in its own transaction together with its tracking row
+ * - Databases cloned from a migrated template only get the pending files
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const MIGRATIONS_TABLE = 'pgserve_migrations';
+
+export class MigrationRunner {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory with *.sql migration files
+   * @param {Object} options.logger - Pino logger
+   */
+  constructor(options) {
+    this.dir = path.resolve(options.dir);
+    this.logger = options.logger;
+    this.migrations = this.load();
+  }
+
+  /**
+   * Read migration files (once - every database gets the same set)
+   * @returns {Array<{version: string, sql: string, checksum: string}>}
+   */
+  load() {
+    if (!fs.existsSync(this.dir)) {
+      throw new Error(`Migrations directory not found: ${this.dir}`);
+    }
+
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.sql'))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(file => {
+        const sql = fs.readFileSync(path.join(this.dir, file), 'utf8');
+        return {
+          version: path.basename(file, '.sql'),
+          sql,
+          checksum: crypto.createHash('sha256').update(sql).digest('hex')
+        };
+      });
+  }
+
+  /**
+   * Apply pending migrations to a database
+   * @param {pg.Client} client - Connection to the database
+   * @param {string} dbName - Database name (for logging)
+   * @returns {Promise<string[]>} Versions applied by this call
+   */
+  async apply(client, dbName) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+        version text PRIMARY KEY,
+        checksum text NOT NULL,
+        applied_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+
+    const result = await client.query(`SELECT version, checksum FROM ${MIGRATIONS_TABLE}`);
+    const applied = new Map(result.rows.map(row => [row.version, row.checksum]));
+    const appliedNow = [];
+
+    for (const migration of this.migrations) {
+      if (applied.has(migration.version)) {
+        if (applied.get(migration.version) !== migration.checksum) {
+          this.logger.warn({ dbName, version: migration.version }, 'Applied migration was modified since');
+        }
+        continue;
+      }
+
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, checksum) VALUES ($1, $2)`,
+          [migration.version, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw Object.assign(
+          new Error(`Migration ${migration.version} failed on '${dbName}': ${error.message}`),
+          { code: error.code, detail: error.detail }
+        );
+      }
+
+      appliedNow.push(migration.version);
+      this.logger.info({ dbName, version: migration.version }, 'Migration applied');
+    }
+
+    return appliedNow;
+  }
+}
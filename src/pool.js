@@ -0,0 +1,463 @@
+/**
+ * Transaction Pooling - backend connections shared between client sessions
+ *
+ * In session mode (default) the router pipes bytes and every client holds its
+ * own PostgreSQL backend. In transaction mode clients talk to the router, which
+ * lends them a backend from a per-database pool only while a transaction (or a
+ * single statement outside one) runs - like PgBouncer's transaction pooling.
+ *
+ * A backend goes back to the pool when PostgreSQL reports ReadyForQuery with
+ * status idle and the client has nothing in flight. Caveats (same as PgBouncer):
+ * - Session state doesn't follow the client: SET, named prepared statements,
+ *   LISTEN, advisory locks and temp tables may land on another backend
+ * - Startup parameters other than user and database are not applied
+ */
+
+import { buildMessage, readMessage, parseErrorResponse, rejectConnection, backendError, PgError } from './protocol.js';
+import { EventEmitter } from 'events';
+
+const DEFAULT_POOL_SIZE = 20;
+const DEFAULT_IDLE_TIMEOUT = 60000; // Close backends idle this long
+const DEFAULT_ACQUIRE_TIMEOUT = 30000; // Fail clients waiting this long for a backend
+
+// Client messages that open or continue an extended-protocol batch (answered after Sync)
+const EXTENDED_MESSAGES = new Set(['P', 'B', 'D', 'E', 'C', 'H']);
+// Client messages answered with ReadyForQuery
+const SYNC_MESSAGES = new Set(['Q', 'S', 'F']);
+
+/**
+ * Incremental message framer for a protocol stream
+ * Reports each message's type (plus the first body byte, i.e. the
+ * ReadyForQuery status) without buffering bodies, so large rows pass through.
+ *
+ * @param {Function} onMessage - (type, firstByte, start) where start is the message's
+ *   offset in the current chunk (negative if it began in an earlier chunk)
+ * @returns {Function} Feed function: (chunk) => void
+ */
+export function createScanner(onMessage) {
+  let header = Buffer.alloc(0); // Partial header (type + length [+ first body byte])
+  let headerStart = 0;
+  let skip = 0; // Body bytes of the current message still to pass
+
+  return (chunk) => {
+    let offset = 0;
+    while (offset < chunk.length) {
+      if (skip > 0) {
+        const passed = Math.min(skip, chunk.length - offset);
+        skip -= passed;
+        offset += passed;
+        continue;
+      }
+
+      if (header.length === 0) headerStart = offset;
+      const needed = header.length < 5 ? 5 : 6;
+      const take = Math.min(needed - header.length, chunk.length - offset);
+      header = Buffer.concat([header, chunk.subarray(offset, offset + take)]);
+      offset += take;
+      if (header.length < 5) continue;
+
+      const type = String.fromCharCode(header[0]);
+      const bodyLength = header.readInt32BE(1) - 4;
+
+      // ReadyForQuery: wait for the status byte
+      if (type === 'Z' && bodyLength > 0 && header.length < 6) continue;
+
+      const consumed = header.length - 5;
+      onMessage(type, consumed > 0 ? header[5] : null, headerStart);
+      skip = bodyLength - consumed;
+      header = Buffer.alloc(0);
+    }
+    headerStart -= chunk.length; // Relative to the next chunk
+  };
+}
+
+/**
+ * Read login replies up to ReadyForQuery
+ * @param {net.Socket} socket - Backend socket right after loginToBackend()
+ * @returns {Promise<{parameters: Buffer[], key: Object}>} ParameterStatus messages and BackendKeyData
+ */
+async function readUntilReady(socket) {
+  const parameters = [];
+  let key = null;
+
+  for (;;) {
+    const message = await readMessage(socket).catch((error) => {
+      throw backendError(error);
+    });
+    if (message.type === 'E') {
+      throw parseErrorResponse(message.body);
+    }
+    if (message.type === 'S') {
+      parameters.push(Buffer.from(message.raw));
+    } else if (message.type === 'K') {
+      key = { processId: message.body.readInt32BE(0), secretKey: Buffer.from(message.body.subarray(4)) };
+    } else if (message.type === 'Z') {
+      return { parameters, key };
+    }
+  }
+}
+
+/**
+ * Pool of logged-in backend connections to one database
+ */
+export class BackendPool {
+  /**
+   * @param {Object} options
+   * @param {string} options.dbName - Database name
+   * @param {Function} options.connect - async () => net.Socket logged in up to AuthenticationOk
+   *   (see loginToBackend)
+   * @param {number} [options.size=20] - Max backends
+   * @param {number} [options.idleTimeout=60000] - Close backends idle this long (ms)
+   * @param {number} [options.acquireTimeout=30000] - Fail waiting clients after this long (ms)
+   */
+  constructor(options) {
+    this.dbName = options.dbName;
+    this.connect = options.connect;
+    this.size = options.size || DEFAULT_POOL_SIZE;
+    this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+    this.acquireTimeout = options.acquireTimeout || DEFAULT_ACQUIRE_TIMEOUT;
+
+    this.total = 0; // Open + connecting
+    this.idle = [];
+    this.waiters = [];
+    this.parameters = null; // ParameterStatus messages of the first backend (replayed to clients)
+    this.closed = false;
+  }
+
+  /**
+   * Open a backend
+   * @returns {Promise<{socket: net.Socket, key: Object}>}
+   */
+  async _open() {
+    const socket = await this.connect();
+    try {
+      const { parameters, key } = await readUntilReady(socket);
+      this.parameters ??= parameters;
+
+      const backend = { socket, key, idleTimer: null };
+      socket.once('close', () => this._forget(backend));
+      socket.on('error', () => {}); // 'close' follows and does the bookkeeping
+      return backend;
+    } catch (error) {
+      socket.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Bookkeeping for a backend whose socket closed (idle or in use)
+   */
+  _forget(backend) {
+    clearTimeout(backend.idleTimer);
+    this.total--;
+    const index = this.idle.indexOf(backend);
+    if (index !== -1) this.idle.splice(index, 1);
+    this._serveWaiter();
+  }
+
+  /**
+   * Open a backend for the longest-waiting client if there's room
+   */
+  _serveWaiter() {
+    if (this.closed || this.waiters.length === 0 || this.total >= this.size) return;
+    const waiter = this.waiters.shift();
+    clearTimeout(waiter.timer);
+    this.total++;
+    this._open().then(waiter.resolve, (error) => {
+      this.total--;
+      waiter.reject(error);
+      this._serveWaiter();
+    });
+  }
+
+  /**
+   * Get a backend (idle one, new one, or the next one released)
+   * @returns {Promise<{socket: net.Socket, key: Object}>}
+   */
+  async acquire() {
+    if (this.closed) {
+      throw new PgError('57P01', 'terminating connection due to administrator command');
+    }
+
+    const idle = this.idle.pop();
+    if (idle) {
+      clearTimeout(idle.idleTimer);
+      return idle;
+    }
+
+    if (this.total < this.size) {
+      this.total++;
+      try {
+        return await this._open();
+      } catch (error) {
+        this.total--;
+        this._serveWaiter();
+        throw error;
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new PgError('53300',
+          `no pooled connection to "${this.dbName}" became available within ${this.acquireTimeout / 1000}s`));
+      }, this.acquireTimeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Return an idle backend (status 'I', nothing in flight)
+   * Backends coming back after close() are closed like the idle ones were.
+   */
+  release(backend) {
+    if (backend.socket.destroyed) return; // 'close' handler already did the bookkeeping
+    if (this.closed) {
+      backend.socket.destroy();
+      return;
+    }
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(backend);
+      return;
+    }
+
+    backend.socket.pause();
+    backend.idleTimer = setTimeout(() => backend.socket.destroy(), this.idleTimeout);
+    this.idle.push(backend);
+  }
+
+  /**
+   * Close a backend whose state is unknown (client left mid-transaction)
+   */
+  discard(backend) {
+    backend.socket.destroy();
+  }
+
+  /**
+   * ParameterStatus messages to replay to new clients (opens a first backend if needed)
+   * @returns {Promise<Buffer[]>}
+   */
+  async getParameters() {
+    if (!this.parameters) {
+      this.release(await this.acquire());
+    }
+    return this.parameters;
+  }
+
+  /**
+   * @returns {{backends: number, idle: number, waiting: number}}
+   */
+  getStats() {
+    return { backends: this.total, idle: this.idle.length, waiting: this.waiters.length };
+  }
+
+  /**
+   * Close idle backends and fail waiting clients (in-use backends close with their sessions)
+   */
+  close() {
+    this.closed = true;
+    for (const waiter of this.waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new PgError('57P01', 'terminating connection due to administrator command'));
+    }
+    for (const backend of this.idle.splice(0)) {
+      clearTimeout(backend.idleTimer);
+      backend.socket.destroy();
+    }
+  }
+}
+
+/**
+ * One client connection in transaction pooling mode
+ * Emits 'close' once the client is gone and its backend was returned or discarded.
+ */
+export class PooledSession extends EventEmitter {
+  /**
+   * @param {net.Socket} clientSocket - Authenticated client (paused)
+   * @param {BackendPool} pool - Pool of the client's database
+   */
+  constructor(clientSocket, pool) {
+    super();
+    this.clientSocket = clientSocket;
+    this.pool = pool;
+    this.backend = null;
+    this.acquiring = false;
+    this.queue = []; // Client bytes waiting for a backend
+    this.pendingSyncs = 0; // ReadyForQuery messages still expected
+    this.unsynced = false; // Extended-protocol messages sent since the last Sync
+    this.status = 'I'; // Last ReadyForQuery status: I (idle), T (transaction), E (failed transaction)
+    this.terminating = false;
+    this.closed = false;
+
+    this.onBackendData = this.onBackendData.bind(this);
+    this.onBackendClose = this.onBackendClose.bind(this);
+    this.scanBackend = null;
+  }
+
+  /**
+   * Finish the client's login and start relaying
+   * @param {Buffer[]} parameters - ParameterStatus messages (from the pool)
+   * @param {{processId: number, secretKey: Buffer}} key - BackendKeyData for the client
+   *   (the router's own, mapped to whichever backend runs the client's query)
+   */
+  start(parameters, key) {
+    const keyData = Buffer.alloc(8);
+    keyData.writeInt32BE(key.processId, 0);
+    key.secretKey.copy(keyData, 4);
+
+    this.clientSocket.write(Buffer.concat([
+      buildMessage('R', Buffer.alloc(4)), // AuthenticationOk
+      ...parameters,
+      buildMessage('K', keyData),
+      buildMessage('Z', Buffer.from('I'))
+    ]));
+
+    let terminateAt = -1;
+    const scanClient = createScanner((type, _status, start) => {
+      if (this.terminating) return;
+      if (SYNC_MESSAGES.has(type)) {
+        this.pendingSyncs++;
+        this.unsynced = false;
+      } else if (EXTENDED_MESSAGES.has(type)) {
+        this.unsynced = true;
+      } else if (type === 'X') {
+        // Terminate is for the router - the backend stays open for the next client
+        this.terminating = true;
+        terminateAt = start;
+      }
+    });
+
+    this.clientSocket.on('data', (chunk) => {
+      if (this.terminating) return;
+      terminateAt = -1;
+      scanClient(chunk);
+      if (this.terminating) {
+        // A Terminate split across chunks already went out in part - that backend can't be reused
+        if (terminateAt < 0) this.unsynced = true;
+        chunk = chunk.subarray(0, Math.max(terminateAt, 0));
+      }
+      if (chunk.length > 0) this.send(chunk);
+      if (this.terminating) this.clientSocket.end();
+    });
+
+    const close = () => this.close();
+    this.clientSocket.once('close', close);
+    this.clientSocket.on('error', close);
+    this.clientSocket.resume();
+  }
+
+  /**
+   * Forward client bytes, borrowing a backend first if needed
+   * @param {Buffer} chunk
+   */
+  send(chunk) {
+    if (this.backend) {
+      this.backend.socket.write(chunk);
+      return;
+    }
+
+    this.queue.push(chunk);
+    if (this.acquiring) return;
+
+    this.acquiring = true;
+    this.clientSocket.pause();
+    this.pool.acquire().then((backend) => {
+      this.acquiring = false;
+      if (this.closed) {
+        this.pool.release(backend);
+        return;
+      }
+      this.attach(backend);
+      this.backend.socket.write(Buffer.concat(this.queue.splice(0)));
+      this.clientSocket.resume();
+    }, (error) => {
+      this.acquiring = false;
+      this.fail(error);
+    });
+  }
+
+  /**
+   * Start relaying a backend's replies to the client
+   */
+  attach(backend) {
+    this.backend = backend;
+    this.status = 'I';
+    this.scanBackend = createScanner((type, status) => {
+      if (type === 'Z') {
+        this.pendingSyncs = Math.max(0, this.pendingSyncs - 1);
+        this.status = String.fromCharCode(status);
+      }
+    });
+    backend.socket.on('data', this.onBackendData);
+    backend.socket.once('close', this.onBackendClose);
+    backend.socket.resume();
+  }
+
+  /**
+   * Stop relaying and hand the backend back (or close it if its state is unknown)
+   */
+  detach() {
+    const backend = this.backend;
+    this.backend = null;
+    backend.socket.off('data', this.onBackendData);
+    backend.socket.off('close', this.onBackendClose);
+
+    if (this.isIdle()) {
+      this.pool.release(backend);
+    } else {
+      this.pool.discard(backend);
+    }
+  }
+
+  /**
+   * Backend can be shared: outside a transaction and nothing in flight
+   */
+  isIdle() {
+    return this.status === 'I' && this.pendingSyncs === 0 && !this.unsynced;
+  }
+
+  onBackendData(chunk) {
+    this.scanBackend(chunk);
+
+    // Backpressure: stop reading replies until the client catches up
+    if (!this.clientSocket.write(chunk)) {
+      const socket = this.backend.socket;
+      socket.pause();
+      this.clientSocket.once('drain', () => {
+        if (this.backend?.socket === socket) socket.resume();
+      });
+    }
+
+    if (this.isIdle()) {
+      this.detach();
+    }
+  }
+
+  onBackendClose() {
+    this.backend = null;
+    this.fail(new PgError('08006', 'server closed the connection unexpectedly'));
+  }
+
+  /**
+   * End the client's session with an ErrorResponse
+   * @param {Error} error
+   */
+  fail(error) {
+    rejectConnection(this.clientSocket, error);
+    this.close();
+  }
+
+  /**
+   * Client is gone: return or discard the backend, then emit 'close'
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.backend) this.detach();
+    this.emit('close');
+  }
+}
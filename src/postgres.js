@@ -7,58 +7,251 @@
  *
  * Features:
  * - Uses embedded-postgres binaries (auto-downloaded via npm)
- * - Memory mode (default) or persistent storage
+ * - Selectable PostgreSQL major version (version-specific packages or a binary directory)
+ * - Falls back to a system PostgreSQL install (offline machines, platforms without a package)
+ * - Custom server settings (presets, postgresql.conf-style file, individual overrides)
+ * - Snapshots of the whole data directory (saved and restored with a short restart)
+ * - Per-database dumps (schema + binary COPY data) loadable into a fresh database
+ * - Memory mode (default, on tmpfs with non-durable settings) or persistent storage
  * - True concurrent connections (native PostgreSQL process forking)
- * - Auto-provision databases on demand
+ * - Auto-provision databases on demand (optionally cloned from template databases)
+ * - Optional per-database owner roles (router authentication)
  * - No locale dependency (works on any system)
  */
 
-import { spawn } from 'child_process';
+import { spawn, execFile, execFileSync } from 'child_process';
+import { promisify } from 'util';
 import os from 'os';
 import path from 'path';
 import fs from 'fs';
 import crypto from 'crypto';
+import { ProvisionPolicy, PatternRules } from './provision.js';
+import { PgError } from './protocol.js';
+import { directorySize } from './metrics.js';
+import { resolveSettings } from './settings.js';
+import { writeDump, readDump } from './dump.js';
+
+const MIN_PG_VERSION = 13; // DROP DATABASE ... WITH (FORCE), wal_keep_size
+
+const DEFAULT_MEMORY_DIR = '/dev/shm'; // tmpfs on Linux
+const MIN_MEMORY_FREE = 256 * 1024 * 1024; // A fresh cluster is ~40MB, plus WAL segments and data
+
+// Free bytes on the filesystem of a directory (throws if it is missing or not writable)
+async function freeBytes(dir) {
+  await fs.promises.access(dir, fs.constants.W_OK);
+  const stats = await fs.promises.statfs(dir);
+  return stats.bavail * stats.bsize;
+}
+
+// "256MB" style size for messages
+function formatMegabytes(bytes) {
+  return `${Math.floor(bytes / (1024 * 1024))}MB`;
+}
+
+// initdb and postgres in a binary directory, or null if either is missing
+function findBinaries(binDir) {
+  const ext = os.platform() === 'win32' ? '.exe' : '';
+  const initdb = path.join(binDir, `initdb${ext}`);
+  const postgres = path.join(binDir, `postgres${ext}`);
+  if (fs.existsSync(initdb) && fs.existsSync(postgres)) {
+    return { initdb, postgres, binDir };
+  }
+  return null;
+}
+
+// Major version of an installed package (null if it has no readable package.json)
+function packageMajor(pkgDir) {
+  try {
+    const { version } = JSON.parse(fs.readFileSync(path.join(pkgDir, 'package.json'), 'utf8'));
+    return version.split('.')[0];
+  } catch {
+    return null;
+  }
+}
 
-// Resolve binary paths from embedded-postgres platform packages
-function getBinaryPaths() {
+// @embedded-postgres package for this platform (null = none published for it)
+function platformPackage() {
   const platform = os.platform();
   const arch = os.arch();
 
-  let pkgName;
-  if (platform === 'linux' && arch === 'x64') {
-    pkgName = '@embedded-postgres/linux-x64';
-  } else if (platform === 'darwin' && arch === 'arm64') {
-    pkgName = '@embedded-postgres/darwin-arm64';
-  } else if (platform === 'darwin' && arch === 'x64') {
-    pkgName = '@embedded-postgres/darwin-x64';
-  } else if (platform === 'win32' && arch === 'x64') {
-    pkgName = '@embedded-postgres/win32-x64';
-  } else {
-    throw new Error(`Unsupported platform: ${platform}-${arch}`);
-  }
+  if (platform === 'linux' && arch === 'x64') return '@embedded-postgres/linux-x64';
+  if (platform === 'darwin' && arch === 'arm64') return '@embedded-postgres/darwin-arm64';
+  if (platform === 'darwin' && arch === 'x64') return '@embedded-postgres/darwin-x64';
+  if (platform === 'win32' && arch === 'x64') return '@embedded-postgres/win32-x64';
+  return null;
+}
 
+/**
+ * Binaries from an installed @embedded-postgres package
+ *
+ * With a version, "@embedded-postgres/<platform>-<version>" is tried first (an npm alias,
+ * so several majors can be installed side by side), then the plain package if it is
+ * that major.
+ *
+ * @param {string} pkgName - Platform package
+ * @param {string} [version] - PostgreSQL major version
+ * @returns {Object|null}
+ */
+function findPackageBinaries(pkgName, version) {
   // Find the package in node_modules (check multiple locations for npx/pnpm/npm compatibility)
-  const possiblePaths = [
-    path.join(process.cwd(), 'node_modules', pkgName, 'native', 'bin'),
-    path.join(import.meta.dirname, '..', 'node_modules', pkgName, 'native', 'bin'),
-    path.join(import.meta.dirname, '..', '..', pkgName, 'native', 'bin'), // Hoisted (npx flat structure)
-    path.join(import.meta.dirname, '..', '..', '..', pkgName, 'native', 'bin'), // Extra level for some package managers
+  const nodeModules = [
+    path.join(process.cwd(), 'node_modules'),
+    path.join(import.meta.dirname, '..', 'node_modules'),
+    path.join(import.meta.dirname, '..', '..'), // Hoisted (npx flat structure)
+    path.join(import.meta.dirname, '..', '..', '..'), // Extra level for some package managers
   ];
+  const candidates = version ? [`${pkgName}-${version}`, pkgName] : [pkgName];
+
+  for (const candidate of candidates) {
+    for (const dir of nodeModules) {
+      const pkgDir = path.join(dir, candidate);
+      const binaries = findBinaries(path.join(pkgDir, 'native', 'bin'));
+      if (!binaries) continue;
+      // The unaliased package only counts if it happens to be the requested major
+      if (version && candidate === pkgName && packageMajor(pkgDir) !== String(version)) continue;
+      return { ...binaries, source: 'package', reason: `${candidate} is installed` };
+    }
+  }
+  return null;
+}
+
+// Output of `pg_config --bindir` (null if pg_config isn't installed)
+function pgConfigBinDir() {
+  try {
+    return execFileSync('pg_config', ['--bindir'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * System PostgreSQL: PGSERVE_BIN_DIR, then `pg_config --bindir`, then PATH
+ * @returns {Object|null}
+ */
+function findSystemBinaries() {
+  if (process.env.PGSERVE_BIN_DIR) {
+    const binaries = findBinaries(path.resolve(process.env.PGSERVE_BIN_DIR));
+    if (!binaries) {
+      throw new Error(
+        `PostgreSQL binaries not found in PGSERVE_BIN_DIR=${process.env.PGSERVE_BIN_DIR} (expected initdb and postgres)`
+      );
+    }
+    return { ...binaries, source: 'PGSERVE_BIN_DIR' };
+  }
+
+  const pgConfigDir = pgConfigBinDir();
+  const fromPgConfig = pgConfigDir && findBinaries(pgConfigDir);
+  if (fromPgConfig) {
+    return { ...fromPgConfig, source: 'pg_config' };
+  }
+
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    const binaries = findBinaries(dir);
+    if (binaries) return { ...binaries, source: 'PATH' };
+  }
+  return null;
+}
 
-  for (const binDir of possiblePaths) {
-    const initdb = path.join(binDir, platform === 'win32' ? 'initdb.exe' : 'initdb');
-    const postgres = path.join(binDir, platform === 'win32' ? 'postgres.exe' : 'postgres');
-    if (fs.existsSync(initdb) && fs.existsSync(postgres)) {
-      return { initdb, postgres, binDir };
+/**
+ * Resolve PostgreSQL binaries
+ *
+ * Order: binDir option, then the @embedded-postgres package (preferred), then a system
+ * install (PGSERVE_BIN_DIR, pg_config --bindir, PATH) for offline machines and
+ * platforms without a package.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.version] - PostgreSQL major version, e.g. "15"
+ * @param {string} [options.binDir] - Directory with initdb and postgres (skips the lookup)
+ * @returns {{initdb: string, postgres: string, binDir: string, source: string, reason: string}}
+ *   source = option, package, PGSERVE_BIN_DIR, pg_config or PATH; reason says why it was chosen
+ */
+function getBinaryPaths({ version, binDir } = {}) {
+  if (binDir) {
+    const binaries = findBinaries(path.resolve(binDir));
+    if (!binaries) {
+      throw new Error(`PostgreSQL binaries not found in ${binDir} (expected initdb and postgres)`);
     }
+    return { ...binaries, source: 'option', reason: 'pgBinDir is set' };
+  }
+
+  const pkgName = platformPackage();
+  const fromPackage = pkgName && findPackageBinaries(pkgName, version);
+  if (fromPackage) {
+    return fromPackage;
   }
 
+  const missing = !pkgName
+    ? `no @embedded-postgres package for ${os.platform()}-${os.arch()}`
+    : `${version ? `${pkgName}-${version}` : pkgName} is not installed`;
+  const fromSystem = findSystemBinaries();
+  if (fromSystem) {
+    return { ...fromSystem, reason: missing };
+  }
+
+  if (!pkgName) {
+    throw new Error(
+      `Unsupported platform: ${os.platform()}-${os.arch()} (${missing}). ` +
+      'Install PostgreSQL and put its bin directory on PATH, or set PGSERVE_BIN_DIR'
+    );
+  }
+  if (version) {
+    throw new Error(
+      `Could not find PostgreSQL ${version} binaries. ` +
+      `Please run: npm install ${pkgName}-${version}@npm:${pkgName}@<version> with an exact ${version}.x ` +
+      `version from \`npm view ${pkgName} versions\` (every release is a prerelease, so ^${version} matches none)`
+    );
+  }
   throw new Error(`Could not find PostgreSQL binaries. Please run: npm install ${pkgName}`);
 }
 
+/**
+ * Major version of a postgres binary ("postgres (PostgreSQL) 15.8" → "15", 9.6.x → "9.6")
+ * Same format as the PG_VERSION file of a data directory.
+ * @param {string} postgres - Path to the postgres binary
+ * @returns {Promise<string>}
+ */
+async function getBinaryVersion(postgres) {
+  const { stdout } = await promisify(execFile)(postgres, ['--version']);
+  const match = /\(PostgreSQL\) (\d+)(?:\.(\d+))?/.exec(stdout);
+  if (!match) {
+    throw new Error(`Could not read the PostgreSQL version of ${postgres}: ${stdout.trim()}`);
+  }
+  return Number(match[1]) >= 10 ? match[1] : `${match[1]}.${match[2]}`;
+}
+
+// Name of the login role that owns a tenant database (fits NAMEDATALEN - 1 = 63 bytes)
+function ownerRoleName(dbName) {
+  const role = `${dbName}_owner`;
+  if (Buffer.byteLength(role) <= 63) return role;
+  const hash = crypto.createHash('sha256').update(dbName).digest('hex').slice(0, 16);
+  return `pgserve_${hash}_owner`;
+}
+
+// The maintenance database is shared by the router and admin tools
+function assertDroppable(dbName) {
+  if (dbName === 'postgres') {
+    throw Object.assign(new Error("The 'postgres' database can't be dropped or reset"), { code: '42501' });
+  }
+}
+
+// Lock and cache key of a tenant schema (NUL never appears in database names)
+function schemaKey(dbName, schema) {
+  return `${dbName}\0${schema}`;
+}
+
+// Tenant names that would hit the shared database's own schemas
+function assertTenantSchema(schema) {
+  if (schema === 'public' || schema === 'information_schema' || schema.startsWith('pg_')) {
+    throw new PgError('3D000', `database "${schema}" does not exist`, {
+      detail: `"${schema}" is a system schema`
+    });
+  }
+}
+
 export class PostgresManager {
   constructor(options = {}) {
     this.dataDir = options.dataDir || null; // null = memory mode (temp dir)
+    this.memoryDir = options.memoryDir || null; // RAM-backed parent for memory mode (null = /dev/shm if usable)
     this.port = options.port || 5433; // Internal PG port (router listens on different port)
     this.user = options.user || 'postgres';
     this.password = options.password || 'postgres';
@@ -67,10 +260,46 @@ export class PostgresManager {
     this.databaseDir = null;
     this.persistent = !!options.dataDir;
     this.createdDatabases = new Set();
-    this.binaries = null;
-    this.creatingDatabases = new Map(); // Track in-progress creations
+    this.createdSchemas = new Set(); // Tenant schemas provisioned this session (schemaKey())
+    this.binaries = null; // {initdb, postgres, binDir, source, reason, version} (set in start())
+    this.pgVersion = options.pgVersion ? String(options.pgVersion) : null; // null = bundled package
+    this.pgBinDir = options.pgBinDir || null; // Directory with initdb/postgres (overrides packages)
+
+    // Snapshot a new (empty) data directory starts from instead of initdb (see snapshots.js)
+    this.initialSnapshot = options.snapshot || null;
+    this.snapshotStore = options.snapshotStore || null;
+
+    // Server settings passed as -c name=value: preset < settings file < individual settings
+    // Memory mode data is gone on exit anyway, so it skips durability unless told otherwise
+    this.settings = resolveSettings({
+      preset: options.preset || (this.persistent ? null : 'fast-tests'),
+      file: options.settingsFile,
+      settings: options.settings
+    });
+    this.creatingDatabases = new Map(); // Per-database locks (creation, drop, reset in progress)
+    this.provisioning = Promise.resolve(); // Last holder of the provisioning lock (see _lockProvisioning)
     this.socketDir = null; // Unix socket directory for faster local connections
-    this.adminPool = null; // Connection pool for database admin operations
+    this.adminPool = null; // Connection pool for database admin operations (use _getAdminPool())
+    this.maintenance = null; // Promise while postgres is stopped for a snapshot (see _whileStopped)
+    this.connectionConfig = null; // Superuser connection settings (set in start())
+
+    // Per-database owner roles (used when the router terminates authentication)
+    this.ownerRoles = options.ownerRoles || false;
+    this.databaseRoles = new Map(); // dbName → Promise<{user, password}>
+
+    // Which names may be auto-created (null = any)
+    this.provisionPolicy = options.provisionPolicy
+      ? new ProvisionPolicy(options.provisionPolicy)
+      : null;
+
+    // Which template new databases are cloned from: default + per-pattern (null = empty databases)
+    this.templateRules = (options.template || options.templates)
+      ? new PatternRules(options.template, options.templates)
+      : null;
+    this.databaseTemplates = new Map(); // dbName → template it was cloned from (this session)
+
+    // Run against each newly provisioned database before clients connect (see addProvisionHook)
+    this.provisionHooks = [];
 
     // Sync/Replication options (for async sync to real PostgreSQL)
     this.syncEnabled = options.syncEnabled || false;
@@ -92,11 +321,14 @@ export class PostgresManager {
    */
   async start() {
     // Get binary paths
-    this.binaries = getBinaryPaths();
+    this.binaries = getBinaryPaths({ version: this.pgVersion, binDir: this.pgBinDir });
 
-    // Make binaries executable
-    await fs.promises.chmod(this.binaries.initdb, '755');
-    await fs.promises.chmod(this.binaries.postgres, '755');
+    // Make binaries executable (package installs may drop the bit - a system install is left alone)
+    if (this.binaries.source === 'package') {
+      await fs.promises.chmod(this.binaries.initdb, '755');
+      await fs.promises.chmod(this.binaries.postgres, '755');
+    }
+    await this._checkBinaryVersion();
 
     // Determine data directory
     if (this.persistent) {
@@ -106,14 +338,21 @@ export class PostgresManager {
         fs.mkdirSync(this.databaseDir, { recursive: true });
       }
     } else {
-      // Memory mode: use temp directory with unique suffix
-      this.databaseDir = path.join(os.tmpdir(), `pgserve-${process.pid}-${Date.now()}`);
+      // Memory mode: use a RAM-backed directory with unique suffix
+      this.databaseDir = path.join(await this._resolveMemoryDir(), `pgserve-${process.pid}-${Date.now()}`);
       // Clean up if exists from a previous failed run
       if (fs.existsSync(this.databaseDir)) {
         fs.rmSync(this.databaseDir, { recursive: true, force: true });
       }
     }
 
+    // An existing data directory must match the binaries' major version
+    const pgVersionFile = path.join(this.databaseDir, 'PG_VERSION');
+    const initialized = fs.existsSync(pgVersionFile);
+    if (initialized) {
+      this._checkDataDirVersion(pgVersionFile);
+    }
+
     // Create Unix socket directory (Linux/macOS only, Windows uses TCP)
     if (os.platform() !== 'win32') {
       this.socketDir = path.join(os.tmpdir(), `pgserve-sock-${process.pid}-${Date.now()}`);
@@ -125,15 +364,20 @@ export class PostgresManager {
     this.logger.info({
       databaseDir: this.databaseDir,
       persistent: this.persistent,
-      port: this.port
+      port: this.port,
+      version: this.binaries.version
     }, 'Starting embedded PostgreSQL');
 
     // Check if data directory is already initialized
-    const pgVersionFile = path.join(this.databaseDir, 'PG_VERSION');
-    if (!fs.existsSync(pgVersionFile)) {
+    if (!initialized && this.initialSnapshot) {
+      await this.snapshotStore.load(this.initialSnapshot, this.databaseDir, { version: this.binaries.version });
+    } else if (!initialized) {
       await this._runInitDb();
     } else {
       this.logger.debug({ databaseDir: this.databaseDir }, 'Using existing data directory');
+      if (this.initialSnapshot) {
+        this.logger.warn({ snapshot: this.initialSnapshot }, 'Data directory already initialized - not loading snapshot');
+      }
     }
 
     // Start PostgreSQL server
@@ -142,6 +386,13 @@ export class PostgresManager {
     // Initialize admin connection pool (for database creation operations)
     await this._initAdminPool();
 
+    try {
+      await this._checkSettings();
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+
     this.logger.info({
       databaseDir: this.databaseDir,
       port: this.port,
@@ -152,6 +403,82 @@ export class PostgresManager {
     return this;
   }
 
+  /**
+   * Pick the parent directory of a memory-mode cluster
+   * A configured memoryDir must exist and have room. The default, /dev/shm, falls back to
+   * the (usually disk-backed) temp directory where it is missing or too small - Docker
+   * gives containers a 64MB /dev/shm unless --shm-size says otherwise.
+   * @returns {Promise<string>}
+   */
+  async _resolveMemoryDir() {
+    if (this.memoryDir) {
+      const free = await freeBytes(this.memoryDir).catch((error) => {
+        throw new Error(`Memory directory ${this.memoryDir} is not usable: ${error.message}`);
+      });
+      if (free < MIN_MEMORY_FREE) {
+        throw new Error(
+          `Memory directory ${this.memoryDir} has ${formatMegabytes(free)} free ` +
+          `(need at least ${formatMegabytes(MIN_MEMORY_FREE)})`
+        );
+      }
+      return this.memoryDir;
+    }
+
+    if (os.platform() === 'linux') {
+      let free = null;
+      try {
+        free = await freeBytes(DEFAULT_MEMORY_DIR);
+      } catch {
+        // Not mounted or not writable - fall through to the temp directory
+      }
+      if (free !== null && free >= MIN_MEMORY_FREE) {
+        return DEFAULT_MEMORY_DIR;
+      }
+      this.logger.warn({
+        memoryDir: DEFAULT_MEMORY_DIR,
+        free: free === null ? null : formatMegabytes(free),
+        fallback: os.tmpdir()
+      }, 'RAM directory unavailable or too small, using the temp directory (set memoryDir for another RAM path)');
+    }
+    return os.tmpdir();
+  }
+
+  /**
+   * Read the binaries' major version and check it against the requested one
+   */
+  async _checkBinaryVersion() {
+    const version = await getBinaryVersion(this.binaries.postgres);
+    this.binaries.version = version;
+
+    if (this.pgVersion && version !== this.pgVersion) {
+      throw new Error(
+        `PostgreSQL ${this.pgVersion} was requested, but ${this.binaries.binDir} ` +
+        `(from ${this.binaries.source}) has PostgreSQL ${version}`
+      );
+    }
+    if (parseFloat(version) < MIN_PG_VERSION) {
+      throw new Error(`PostgreSQL ${version} is not supported (need ${MIN_PG_VERSION} or newer)`);
+    }
+    const { binDir, source, reason } = this.binaries;
+    this.logger.info({ version, binDir, source, reason }, 'PostgreSQL binaries selected');
+  }
+
+  /**
+   * Refuse a data directory initialized by another major version (its files are incompatible)
+   * @param {string} pgVersionFile - PG_VERSION in the data directory
+   */
+  _checkDataDirVersion(pgVersionFile) {
+    const dataVersion = fs.readFileSync(pgVersionFile, 'utf8').trim();
+    if (dataVersion !== this.binaries.version) {
+      throw new Error(
+        `Data directory ${this.databaseDir} was initialized by PostgreSQL ${dataVersion}, ` +
+        `but the selected binaries are PostgreSQL ${this.binaries.version}. ` +
+        `Start with --pg-version ${dataVersion} (or --pg-bin-dir with PostgreSQL ${dataVersion} binaries), ` +
+        'or upgrade the data directory with pg_upgrade.'
+      );
+    }
+  }
+
   /**
    * Run initdb to initialize the data directory
    */
@@ -207,6 +534,33 @@ export class PostgresManager {
     });
   }
 
+  /**
+   * Check custom settings against pg_settings and log their effective values
+   * (invalid values already stop postgres from starting; this catches names it
+   * accepts without knowing them, like a misspelled extension parameter)
+   */
+  async _checkSettings() {
+    const names = Object.keys(this.settings);
+    if (names.length === 0) return;
+
+    const result = await this.adminPool.query(
+      'SELECT name, current_setting(name) AS value, source FROM pg_settings WHERE name = ANY($1)',
+      [names]
+    );
+    const known = new Set(result.rows.map(row => row.name));
+    const unknown = names.filter(name => !known.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown PostgreSQL setting${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+    }
+
+    for (const row of result.rows.filter(row => row.source !== 'command line')) {
+      this.logger.warn({ name: row.name, value: row.value, source: row.source }, 'PostgreSQL setting overridden');
+    }
+    this.logger.info({
+      settings: Object.fromEntries(result.rows.map(row => [row.name, row.value]))
+    }, 'PostgreSQL settings applied');
+  }
+
   /**
    * Initialize admin connection pool for database operations
    * Uses Unix socket when available for faster connections
@@ -215,27 +569,36 @@ export class PostgresManager {
     const { default: pg } = await import('pg');
 
     // Pool config - use Unix socket when available
-    const poolConfig = {
+    this.connectionConfig = {
       user: this.user,
       password: this.password,
-      database: 'postgres',
-      max: 5, // Small pool - only for CREATE DATABASE operations
-      idleTimeoutMillis: 30000,
       connectionTimeoutMillis: 5000,
     };
 
     // Use Unix socket for faster local connections (Linux/macOS)
     // Note: pg library needs both host (socket dir) AND port to find the socket file
     if (this.socketDir) {
-      poolConfig.host = this.socketDir;
-      poolConfig.port = this.port; // Required for Unix socket path construction
+      this.connectionConfig.host = this.socketDir;
+      this.connectionConfig.port = this.port; // Required for Unix socket path construction
     } else {
-      poolConfig.host = '127.0.0.1';
-      poolConfig.port = this.port;
+      this.connectionConfig.host = '127.0.0.1';
+      this.connectionConfig.port = this.port;
     }
 
+    const poolConfig = {
+      ...this.connectionConfig,
+      database: 'postgres',
+      max: 5, // Small pool - only for CREATE DATABASE operations
+      idleTimeoutMillis: 30000,
+    };
+
     this.adminPool = new pg.Pool(poolConfig);
 
+    // Idle clients error out when PostgreSQL goes away - must not crash the process
+    this.adminPool.on('error', (err) => {
+      this.logger.warn({ err: err.message }, 'Admin pool connection lost');
+    });
+
     // Verify pool is working
     const client = await this.adminPool.connect();
     client.release();
@@ -278,6 +641,11 @@ export class PostgresManager {
         this.logger.info('Logical replication enabled for sync');
       }
 
+      // Custom settings go last, so they win over the replication ones above
+      for (const [name, value] of Object.entries(this.settings)) {
+        pgArgs.push('-c', `${name}=${value}`);
+      }
+
       this.process = spawn(this.binaries.postgres, pgArgs, {
         env: { ...process.env, LC_ALL: 'C', LANG: 'C' }
       });
@@ -325,8 +693,12 @@ export class PostgresManager {
    * Create a database if it doesn't exist
    * Uses a promise-based lock to prevent race conditions
    * @param {string} dbName - Database name to create
+   * @throws {PgError} 3D000 when the provisioning policy rejects the name
    */
   async createDatabase(dbName) {
+    // Clients arriving during a snapshot wait for postgres to come back
+    await this._waitForMaintenance();
+
     // Skip if already created this session
     if (this.createdDatabases.has(dbName)) {
       return;
@@ -338,51 +710,482 @@ export class PostgresManager {
       return;
     }
 
-    // Check if creation is already in progress for this database
-    // If so, wait for it to complete
-    if (this.creatingDatabases.has(dbName)) {
-      await this.creatingDatabases.get(dbName);
+    await this._withDatabaseLock(dbName, async () => {
+      // Re-check: another request may have finished it while we waited
+      if (!this.createdDatabases.has(dbName)) {
+        await this._provisionDatabase(dbName);
+      }
+    });
+  }
+
+  /**
+   * Create a tenant schema inside a shared database if it doesn't exist (schema-per-tenant)
+   * Same locking, policy and provision hooks as createDatabase(); hooks get the schema name
+   * as dbName and run with search_path set to the schema, so migrations and seeds land in it.
+   * The shared database itself is created without policy checks or hooks.
+   * @param {string} dbName - Shared database
+   * @param {string} schema - Tenant schema (the database name the client asked for)
+   * @throws {PgError} 3D000 when the name is a system schema or the policy rejects it
+   */
+  async createSchema(dbName, schema) {
+    await this._waitForMaintenance();
+
+    const key = schemaKey(dbName, schema);
+    if (this.createdSchemas.has(key)) {
       return;
     }
 
-    // Create a promise that other concurrent requests will wait on
-    let resolveCreation;
-    const creationPromise = new Promise((resolve) => {
-      resolveCreation = resolve;
+    assertTenantSchema(schema);
+    await this._ensureSharedDatabase(dbName);
+
+    await this._withDatabaseLock(key, async () => {
+      if (!this.createdSchemas.has(key)) {
+        await this._provisionSchema(dbName, schema);
+        this.createdSchemas.add(key);
+      }
     });
-    this.creatingDatabases.set(dbName, creationPromise);
+  }
+
+  /**
+   * Create the schema-per-tenant shared database (no policy checks or hooks) if needed
+   * @param {string} dbName - Shared database
+   */
+  async _ensureSharedDatabase(dbName) {
+    if (this.createdDatabases.has(dbName)) return;
+    await this._withDatabaseLock(dbName, async () => {
+      if (!this.createdDatabases.has(dbName)) {
+        await this._provisionDatabase(dbName, { shared: true });
+      }
+    });
+  }
+
+  /**
+   * Run CREATE SCHEMA (as the shared database's owner) and the provision hooks
+   * Caller must hold the schema's lock.
+   * @param {string} dbName - Shared database
+   * @param {string} schema - Tenant schema
+   * @param {{checkPolicy?: boolean}} [options] - false when the caller has checked it already
+   */
+  async _provisionSchema(dbName, schema, { checkPolicy = true } = {}) {
+    const client = await this.connectToSchema(dbName, schema);
+    try {
+      const existing = await client.query('SELECT 1 FROM pg_namespace WHERE nspname = $1', [schema]);
+      const created = existing.rowCount === 0;
+      if (created) {
+        const unlock = checkPolicy ? await this._lockProvisioning() : null;
+        try {
+          if (this.provisionPolicy && checkPolicy) {
+            await this._checkSchemaPolicy(client, schema);
+          }
+          await client.query(`CREATE SCHEMA IF NOT EXISTS ${client.escapeIdentifier(schema)}`);
+        } finally {
+          unlock?.();
+        }
+        this.logger.info({ dbName, schema }, 'Schema created');
+      }
+
+      for (const hook of this.provisionHooks) {
+        await hook(client, schema, { created, schema });
+      }
+    } catch (error) {
+      if (error instanceof PgError) {
+        throw error;
+      }
+      throw Object.assign(
+        new Error(`Failed to create schema '${schema}' in '${dbName}': ${error.message}`),
+        { code: error.code, detail: error.detail }
+      );
+    } finally {
+      await client.end();
+    }
+  }
+
+  /**
+   * Run fn while holding a database's lock (creation, drop and reset never overlap)
+   * Promise-based: later callers wait for the current holder, then re-check state.
+   * Nobody gets a lock while postgres is stopped for a snapshot.
+   * @param {string} dbName - Database name
+   * @param {Function} fn - async () => result
+   */
+  async _withDatabaseLock(dbName, fn) {
+    while (this.maintenance || this.creatingDatabases.has(dbName)) {
+      await (this.maintenance || this.creatingDatabases.get(dbName));
+    }
+
+    let release;
+    this.creatingDatabases.set(dbName, new Promise((resolve) => {
+      release = resolve;
+    }));
+
+    try {
+      return await fn();
+    } finally {
+      // Signal completion to waiting requests
+      this.creatingDatabases.delete(dbName);
+      release();
+    }
+  }
+
+  /**
+   * Wait until no snapshot is being taken or restored (postgres is up)
+   */
+  async _waitForMaintenance() {
+    while (this.maintenance) {
+      await this.maintenance;
+    }
+  }
+
+  /**
+   * The admin pool, once postgres is back from a snapshot
+   * Operations that were running when the snapshot started carry on afterwards.
+   * @returns {Promise<pg.Pool>}
+   * @throws {Error} When postgres is not running
+   */
+  async _getAdminPool() {
+    while (!this.adminPool && this.maintenance) {
+      await this.maintenance;
+    }
+    if (!this.adminPool) {
+      throw new Error('PostgreSQL is not running');
+    }
+    return this.adminPool;
+  }
 
+  /**
+   * Create a database (if missing), its owner role and run provision hooks
+   * Caller must hold the database lock.
+   * @param {string} dbName - Database name
+   * @param {{shared?: boolean, checkPolicy?: boolean}} [options] - shared: the schema-per-tenant
+   *   database (no policy check, hooks run per schema instead); checkPolicy: false when the
+   *   caller has checked it already
+   */
+  async _provisionDatabase(dbName, { shared = false, checkPolicy = !shared } = {}) {
+    const created = await this._createDatabaseIfMissing(dbName, { checkPolicy });
+
+    // Create the owner role alongside the database
+    if (this.ownerRoles) {
+      await this.getDatabaseRole(dbName);
+    }
+
+    // Provision hooks (migrations, seeds) finish before any client gets in
+    if (this.provisionHooks.length > 0 && !shared) {
+      await this._runProvisionHooks(dbName, { created });
+    }
+
+    this.createdDatabases.add(dbName);
+  }
+
+  /**
+   * Run CREATE DATABASE (from a template if one applies)
+   * @param {string} dbName - Database name to create
+   * @param {{checkPolicy: boolean}} [options] - Apply the provisioning policy
+   * @returns {Promise<boolean>} true if created, false if it already existed
+   */
+  async _createDatabaseIfMissing(dbName, { checkPolicy = true } = {}) {
     // Use pooled connection for faster database creation
-    let createError = null;
-    const client = await this.adminPool.connect();
+    const unlock = checkPolicy ? await this._lockProvisioning() : null;
+    let client;
     try {
-      await client.query(`CREATE DATABASE ${client.escapeIdentifier(dbName)}`);
-      this.createdDatabases.add(dbName);
-      this.logger.info({ dbName }, 'Database created');
+      client = await (await this._getAdminPool()).connect();
+      if (this.provisionPolicy && checkPolicy) {
+        await this._checkProvisionPolicy(client, dbName);
+      }
+
+      // A template is never cloned into itself (first connection creates it empty)
+      let template = this.templateRules?.resolve(dbName) || null;
+      if (template === dbName) template = null;
+      if (template) {
+        // FILE_COPY clones the template's files directly (no per-page WAL logging)
+        // PostgreSQL 14 has no STRATEGY option and always copies files
+        const strategy = Number(this.binaries.version) >= 15 ? ' STRATEGY FILE_COPY' : '';
+        await client.query(
+          `CREATE DATABASE ${client.escapeIdentifier(dbName)} ` +
+          `TEMPLATE ${client.escapeIdentifier(template)}${strategy}`
+        );
+        this.databaseTemplates.set(dbName, template);
+      } else {
+        await client.query(`CREATE DATABASE ${client.escapeIdentifier(dbName)}`);
+      }
+      this.logger.info({ dbName, template }, 'Database created');
 
       // Trigger async sync setup (non-blocking, doesn't affect hot path)
       if (this.syncManager) {
         this.syncManager.setupDatabaseSync(dbName)
           .catch(err => this.logger.warn({ dbName, err: err.message }, 'Sync setup failed (non-fatal)'));
       }
+      return true;
     } catch (error) {
       // Database might already exist (from previous persistent session or race condition)
       // 42P04 = duplicate_database, 23505 = unique_violation
       if (error.code === '42P04' || error.code === '23505') {
-        this.createdDatabases.add(dbName);
         this.logger.debug({ dbName }, 'Database already exists');
-      } else {
-        createError = error;
+        return false;
+      }
+      // Already client-facing (policy rejection) - don't wrap
+      if (error instanceof PgError) {
+        throw error;
       }
+      throw Object.assign(
+        new Error(`Failed to create database '${dbName}': ${error.message}`),
+        { code: error.code, detail: error.detail }
+      );
+    } finally {
+      client?.release();
+      unlock?.();
+    }
+  }
+
+  /**
+   * Take the provisioning lock, held from the policy check until CREATE is done
+   * The per-database locks don't cover this: requests for two new names could both
+   * count the same databases and pass maxDatabases. Only taken when the policy has a limit.
+   * @returns {Promise<Function|null>} Releases the lock (null when there's no limit)
+   */
+  async _lockProvisioning() {
+    if (!this.provisionPolicy?.maxDatabases) {
+      return null;
+    }
+    const previous = this.provisioning;
+    let release;
+    this.provisioning = new Promise((resolve) => {
+      release = resolve;
+    });
+    await previous;
+    return release;
+  }
+
+  /**
+   * Register a function to run against every database provisioned in this session
+   * Hooks run in order, after CREATE DATABASE (and the owner role), and before
+   * createDatabase() resolves - so the router only lets clients in afterwards.
+   * Databases that already existed go through the hooks too (created = false).
+   *
+   * @param {Function} hook - async (client, dbName, {created}) => void, where client is a
+   *   connection to dbName (running as the database's owner role when ownerRoles is on)
+   */
+  addProvisionHook(hook) {
+    this.provisionHooks.push(hook);
+  }
+
+  /**
+   * Run provision hooks on one connection to the new database
+   * @param {string} dbName - Database name
+   * @param {{created: boolean}} context - Passed to every hook
+   */
+  async _runProvisionHooks(dbName, context) {
+    const client = await this.connectAsOwner(dbName);
+    try {
+      for (const hook of this.provisionHooks) {
+        await hook(client, dbName, context);
+      }
+    } finally {
+      await client.end();
+    }
+  }
+
+  /**
+   * Reject names the provisioning policy doesn't allow
+   * Databases that already exist (e.g. from a previous persistent session) always pass.
+   * @param {pg.PoolClient} client - Admin connection
+   * @param {string} dbName - Requested database name
+   */
+  async _checkProvisionPolicy(client, dbName) {
+    const result = await client.query(`
+      SELECT count(*)::int AS count,
+             bool_or(datname = $1) AS exists
+      FROM pg_database
+      WHERE NOT datistemplate AND datname <> 'postgres'
+    `, [dbName]);
+    const { count, exists } = result.rows[0];
+    if (exists) return;
+
+    const reason = this.provisionPolicy.check(dbName, count);
+    if (reason) {
+      this.logger.warn({ dbName, reason }, 'Database provisioning rejected');
+      throw new PgError('3D000', `database "${dbName}" does not exist`, {
+        detail: `Auto-provisioning rejected: ${reason}`
+      });
+    }
+  }
+
+  /**
+   * Reject tenant schema names the provisioning policy doesn't allow
+   * (maxDatabases counts the tenant schemas of the shared database)
+   * @param {pg.Client} client - Connection to the shared database
+   * @param {string} schema - Requested tenant name
+   */
+  async _checkSchemaPolicy(client, schema) {
+    const result = await client.query(`
+      SELECT count(*)::int AS count
+      FROM pg_namespace
+      WHERE nspname NOT LIKE 'pg\\_%' AND nspname NOT IN ('public', 'information_schema')
+    `);
+    const reason = this.provisionPolicy.check(schema, result.rows[0].count);
+    if (reason) {
+      this.logger.warn({ schema, reason }, 'Schema provisioning rejected');
+      throw new PgError('3D000', `database "${schema}" does not exist`, {
+        detail: `Auto-provisioning rejected: ${reason}`
+      });
+    }
+  }
+
+  /**
+   * Get login credentials for a database's owner role, creating the role on first use
+   * The role owns the database and is the only non-superuser allowed to connect to it.
+   * Passwords are random per session (the role is re-keyed after a restart).
+   * @param {string} dbName - Database name
+   * @returns {Promise<{user: string, password: string}>}
+   */
+  async getDatabaseRole(dbName) {
+    if (!this.databaseRoles.has(dbName)) {
+      const rolePromise = this._ensureDatabaseRole(dbName);
+      this.databaseRoles.set(dbName, rolePromise);
+      // Don't cache failures (e.g. database doesn't exist yet)
+      rolePromise.catch(() => this.databaseRoles.delete(dbName));
+    }
+    return this.databaseRoles.get(dbName);
+  }
+
+  /**
+   * Create (or re-key) the owner role and lock the database down to it
+   * @param {string} dbName - Database name
+   */
+  async _ensureDatabaseRole(dbName) {
+    const user = ownerRoleName(dbName);
+    const password = crypto.randomBytes(24).toString('base64url');
+
+    const client = await (await this._getAdminPool()).connect();
+    try {
+      const role = client.escapeIdentifier(user);
+      const secret = client.escapeLiteral(password);
+
+      try {
+        await client.query(`CREATE ROLE ${role} LOGIN PASSWORD ${secret}`);
+      } catch (error) {
+        // 42710 = duplicate_object (role from a previous session or another database request)
+        if (error.code !== '42710') throw error;
+        await client.query(`ALTER ROLE ${role} LOGIN PASSWORD ${secret}`);
+      }
+
+      // The shared 'postgres' database keeps its superuser owner
+      if (dbName !== 'postgres') {
+        const db = client.escapeIdentifier(dbName);
+        await client.query(`ALTER DATABASE ${db} OWNER TO ${role}`);
+        await client.query(`REVOKE CONNECT, TEMPORARY ON DATABASE ${db} FROM PUBLIC`);
+
+        if (this.databaseTemplates.has(dbName)) {
+          await this._adoptTemplateObjects(client, dbName, user);
+        }
+      }
+
+      this.logger.debug({ dbName, role: user }, 'Database owner role ready');
+      return { user, password };
     } finally {
       client.release();
-      // Signal completion to waiting requests
-      this.creatingDatabases.delete(dbName);
-      resolveCreation();
     }
+  }
+
+  /**
+   * Hand a cloned database's objects to its own owner role
+   * Objects copied from a template keep the template's owner. When that is a tenant
+   * role (template prepared through the router), reassign them so the clone's owner
+   * can run migrations. Templates prepared as the superuser are left as they are.
+   *
+   * @param {pg.PoolClient} client - Admin connection
+   * @param {string} dbName - Cloned database
+   * @param {string} user - The clone's owner role
+   */
+  async _adoptTemplateObjects(client, dbName, user) {
+    const template = this.databaseTemplates.get(dbName);
+    const result = await client.query(`
+      SELECT r.rolname FROM pg_database d
+      JOIN pg_roles r ON r.oid = d.datdba
+      WHERE d.datname = $1 AND NOT r.rolsuper
+    `, [template]);
+    const templateOwner = result.rows[0]?.rolname;
+    if (!templateOwner || templateOwner === user) return;
+
+    const db = await this.connect(dbName);
+    try {
+      await db.query(`REASSIGN OWNED BY ${db.escapeIdentifier(templateOwner)} TO ${db.escapeIdentifier(user)}`);
+    } finally {
+      await db.end();
+    }
+
+    // REASSIGN OWNED also moves shared objects (the template database itself) - give it back
+    await client.query(
+      `ALTER DATABASE ${client.escapeIdentifier(template)} OWNER TO ${client.escapeIdentifier(templateOwner)}`
+    );
+  }
+
+  /**
+   * Open a superuser connection to a database
+   * @param {string} dbName - Database to connect to
+   * @returns {Promise<pg.Client>} Connected client (caller must end() it)
+   */
+  async connect(dbName) {
+    const { default: pg } = await import('pg');
+    const client = new pg.Client({ ...this.connectionConfig, database: dbName });
+    await client.connect();
+    return client;
+  }
+
+  /**
+   * Open a connection to a database acting as its owner
+   * With ownerRoles the session runs SET ROLE to the owner role, so objects it
+   * creates belong to the tenant rather than the superuser.
+   * @param {string} dbName - Database to connect to
+   * @returns {Promise<pg.Client>} Connected client (caller must end() it)
+   */
+  async connectAsOwner(dbName) {
+    const client = await this.connect(dbName);
+    if (this.ownerRoles && dbName !== 'postgres') {
+      try {
+        const role = await this.getDatabaseRole(dbName);
+        await client.query(`SET ROLE ${client.escapeIdentifier(role.user)}`);
+      } catch (error) {
+        await client.end();
+        throw error;
+      }
+    }
+    return client;
+  }
+
+  /**
+   * Open a connection to a tenant schema of a shared database, acting as the database's owner
+   * (search_path is the schema, then public)
+   * @param {string} dbName - Shared database
+   * @param {string} schema - Tenant schema
+   * @returns {Promise<pg.Client>} Connected client (caller must end() it)
+   */
+  async connectToSchema(dbName, schema) {
+    const client = await this.connectAsOwner(dbName);
+    try {
+      await client.query(`SET search_path TO ${client.escapeIdentifier(schema)}, public`);
+    } catch (error) {
+      await client.end();
+      throw error;
+    }
+    return client;
+  }
 
-    if (createError) {
-      throw new Error(`Failed to create database '${dbName}': ${createError.message}`);
+  /**
+   * Mark a database as a template (or clear the flag)
+   * Templates can be cloned by CREATE DATABASE ... TEMPLATE but not dropped.
+   * Cloning fails while other sessions are connected to the template.
+   *
+   * @param {string} dbName - Database name
+   * @param {boolean} [isTemplate=true]
+   */
+  async markAsTemplate(dbName, isTemplate = true) {
+    const client = await (await this._getAdminPool()).connect();
+    try {
+      await client.query(
+        `ALTER DATABASE ${client.escapeIdentifier(dbName)} WITH IS_TEMPLATE ${isTemplate ? 'true' : 'false'}`
+      );
+      this.logger.info({ dbName, isTemplate }, 'Database template flag updated');
+    } finally {
+      client.release();
     }
   }
 
@@ -391,7 +1194,315 @@ export class PostgresManager {
    * @param {string} dbName - Database name to check
    */
   async databaseExists(dbName) {
-    return this.createdDatabases.has(dbName);
+    const result = await (await this._getAdminPool()).query('SELECT 1 FROM pg_database WHERE datname = $1', [dbName]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * List databases (except template0/template1) with their size and backend count
+   * @returns {Promise<Array<{name: string, sizeBytes: number, template: boolean, backends: number}>>}
+   */
+  async getDatabases() {
+    const result = await (await this._getAdminPool()).query(`
+      SELECT d.datname AS name,
+             pg_database_size(d.datname) AS size_bytes,
+             d.datistemplate AS template,
+             (SELECT count(*) FROM pg_stat_activity a WHERE a.datname = d.datname)::int AS backends
+      FROM pg_database d
+      WHERE d.datname NOT IN ('template0', 'template1')
+      ORDER BY d.datname
+    `);
+    return result.rows.map(row => ({
+      name: row.name,
+      sizeBytes: Number(row.size_bytes),
+      template: row.template,
+      backends: row.backends
+    }));
+  }
+
+  /**
+   * Gauges for the /metrics endpoint
+   * @returns {Promise<{databases: number, backends: number, dataDirBytes: number}>}
+   */
+  async getMetrics() {
+    const result = await (await this._getAdminPool()).query(`
+      SELECT (SELECT count(*) FROM pg_database WHERE NOT datistemplate AND datname <> 'postgres')::int AS databases,
+             (SELECT count(*) FROM pg_stat_activity WHERE backend_type = 'client backend')::int AS backends
+    `);
+    return {
+      ...result.rows[0],
+      dataDirBytes: await directorySize(this.databaseDir)
+    };
+  }
+
+  /**
+   * Drop a database, terminating its live sessions first
+   * The owner role (ownerRoles) is dropped with it.
+   * @param {string} dbName - Database name
+   * @returns {Promise<boolean>} false if the database didn't exist
+   */
+  async dropDatabase(dbName) {
+    assertDroppable(dbName);
+    return this._withDatabaseLock(dbName, () => this._dropDatabase(dbName, { dropRole: true }));
+  }
+
+  /**
+   * Drop and re-provision a database: terminates live sessions, then recreates it
+   * from its template and re-runs provision hooks (migrations, seeds)
+   * @param {string} dbName - Database name
+   */
+  async resetDatabase(dbName) {
+    assertDroppable(dbName);
+    await this._withDatabaseLock(dbName, async () => {
+      // Checked before the drop (an existing database always passes), so a database the
+      // policy no longer allows - or one from `pgserve load` - is never left dropped
+      if (this.provisionPolicy) {
+        const client = await (await this._getAdminPool()).connect();
+        try {
+          await this._checkProvisionPolicy(client, dbName);
+        } finally {
+          client.release();
+        }
+      }
+      await this._dropDatabase(dbName, { dropRole: false });
+      await this._provisionDatabase(dbName, { checkPolicy: false });
+    });
+    this.logger.info({ dbName }, 'Database reset');
+  }
+
+  /**
+   * Empty every table in a database (schema and pgserve_migrations are kept)
+   * @param {string} dbName - Database name
+   * @returns {Promise<string[]>} Truncated tables
+   */
+  async truncateAll(dbName) {
+    return this._withDatabaseLock(dbName, async () => {
+      const client = await this.connect(dbName);
+      try {
+        const tables = await this._truncateTables(client, null);
+        this.logger.info({ dbName, tables: tables.length }, 'Database truncated');
+        return tables;
+      } finally {
+        await client.end();
+      }
+    });
+  }
+
+  /**
+   * TRUNCATE every table (but pgserve_migrations) of a database or of one schema
+   * @param {pg.Client} client - Superuser connection to the database
+   * @param {string|null} schema - Only this schema (null = all but the system schemas)
+   * @returns {Promise<string[]>} Truncated tables
+   */
+  async _truncateTables(client, schema) {
+    const result = await client.query(`
+      SELECT format('%I.%I', schemaname, tablename) AS name
+      FROM pg_tables
+      WHERE schemaname NOT IN ('pg_catalog', 'information_schema')
+        AND ($1::text IS NULL OR schemaname = $1)
+        AND tablename <> 'pgserve_migrations'
+    `, [schema]);
+    const tables = result.rows.map(row => row.name);
+    if (tables.length > 0) {
+      await client.query(`TRUNCATE ${tables.join(', ')} RESTART IDENTITY CASCADE`);
+    }
+    return tables;
+  }
+
+  /**
+   * Drop a tenant schema and everything in it (schema-per-tenant)
+   * Open sessions on it stay connected, with nothing left on their search_path.
+   * @param {string} dbName - Shared database
+   * @param {string} schema - Tenant schema
+   * @returns {Promise<boolean>} false if the schema didn't exist
+   */
+  async dropSchema(dbName, schema) {
+    assertTenantSchema(schema);
+    return this._withDatabaseLock(schemaKey(dbName, schema), () => this._dropSchema(dbName, schema));
+  }
+
+  /**
+   * Drop a tenant schema and re-provision it (policy, migrations and seeds run again)
+   * @param {string} dbName - Shared database
+   * @param {string} schema - Tenant schema
+   */
+  async resetSchema(dbName, schema) {
+    assertTenantSchema(schema);
+    await this._ensureSharedDatabase(dbName);
+    const key = schemaKey(dbName, schema);
+    await this._withDatabaseLock(key, async () => {
+      // An existing tenant always passes the policy (like resetDatabase), a new one is checked
+      const existed = await this._dropSchema(dbName, schema);
+      await this._provisionSchema(dbName, schema, { checkPolicy: !existed });
+      this.createdSchemas.add(key);
+    });
+    this.logger.info({ dbName, schema }, 'Schema reset');
+  }
+
+  /**
+   * Empty every table in a tenant schema (pgserve_migrations is kept)
+   * @param {string} dbName - Shared database
+   * @param {string} schema - Tenant schema
+   * @returns {Promise<string[]>} Truncated tables
+   * @throws {PgError} 3D000 if the schema doesn't exist
+   */
+  async truncateSchema(dbName, schema) {
+    assertTenantSchema(schema);
+    return this._withDatabaseLock(schemaKey(dbName, schema), async () => {
+      const client = await this.connect(dbName);
+      try {
+        const existing = await client.query('SELECT 1 FROM pg_namespace WHERE nspname = $1', [schema]);
+        if (existing.rowCount === 0) {
+          throw new PgError('3D000', `database "${schema}" does not exist`);
+        }
+        const tables = await this._truncateTables(client, schema);
+        this.logger.info({ dbName, schema, tables: tables.length }, 'Schema truncated');
+        return tables;
+      } finally {
+        await client.end();
+      }
+    });
+  }
+
+  /**
+   * DROP SCHEMA ... CASCADE and forget it was provisioned
+   * Caller must hold the schema's lock.
+   * @param {string} dbName - Shared database
+   * @param {string} schema - Tenant schema
+   * @returns {Promise<boolean>} false if the schema (or the shared database) didn't exist
+   */
+  async _dropSchema(dbName, schema) {
+    let client;
+    try {
+      client = await this.connect(dbName);
+    } catch (error) {
+      if (error.code === '3D000') return false;
+      throw error;
+    }
+
+    let existed;
+    try {
+      const result = await client.query('SELECT 1 FROM pg_namespace WHERE nspname = $1', [schema]);
+      existed = result.rowCount > 0;
+      await client.query(`DROP SCHEMA IF EXISTS ${client.escapeIdentifier(schema)} CASCADE`);
+    } finally {
+      await client.end();
+    }
+
+    this.createdSchemas.delete(schemaKey(dbName, schema));
+    if (existed) {
+      this.logger.info({ dbName, schema }, 'Schema dropped');
+    }
+    return existed;
+  }
+
+  /**
+   * Write a database's schema, data and sequence positions as a dump archive (see dump.js)
+   * @param {string} dbName - Database name
+   * @param {stream.Writable} output - Destination (left open)
+   * @returns {Promise<{database: string, tables: number, rows: number, bytes: number}>}
+   * @throws {Error} 3D000 if the database doesn't exist
+   */
+  async dumpDatabase(dbName, output) {
+    if (!await this.databaseExists(dbName)) {
+      throw Object.assign(new Error(`database "${dbName}" does not exist`), { code: '3D000' });
+    }
+
+    const client = await this.connect(dbName);
+    try {
+      const result = await writeDump(client, output, {
+        database: dbName,
+        version: this.binaries.version,
+        logger: this.logger
+      });
+      this.logger.info({ dbName, tables: result.tables, rows: result.rows, bytes: result.bytes }, 'Database dumped');
+      return result;
+    } finally {
+      await client.end();
+    }
+  }
+
+  /**
+   * Create a database from a dump archive
+   * The database is created empty - no template, migrations or seeds, the dump has
+   * everything - and objects belong to its owner role (ownerRoles). A failed load
+   * drops the database again.
+   * @param {string} dbName - Database name (need not match the dumped one)
+   * @param {AsyncIterable<Buffer>} input - Dump stream
+   * @returns {Promise<{database: string, tables: number, rows: number}>}
+   * @throws {Error} 42P04 if the database already exists
+   */
+  async loadDatabase(dbName, input) {
+    return this._withDatabaseLock(dbName, async () => {
+      const admin = await (await this._getAdminPool()).connect();
+      try {
+        await admin.query(`CREATE DATABASE ${admin.escapeIdentifier(dbName)}`);
+      } finally {
+        admin.release();
+      }
+
+      try {
+        // Owner role first, as for provisioned databases, so loaded objects belong to it
+        if (this.ownerRoles) {
+          await this.getDatabaseRole(dbName);
+        }
+        const client = await this.connectAsOwner(dbName);
+        try {
+          const result = await readDump(client, input, { logger: this.logger });
+          // Provisioned: clients connecting next don't run migrations and seeds over the loaded data
+          this.createdDatabases.add(dbName);
+          this.logger.info({ dbName, from: result.database, tables: result.tables, rows: result.rows }, 'Database loaded');
+          return { ...result, database: dbName };
+        } finally {
+          await client.end();
+        }
+      } catch (error) {
+        await this._dropDatabase(dbName, { dropRole: true });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * DROP DATABASE ... WITH (FORCE) and forget everything cached about it
+   * Caller must hold the database lock.
+   * @param {string} dbName - Database name
+   * @param {{dropRole: boolean}} options - Also drop the owner role
+   * @returns {Promise<boolean>} false if the database didn't exist
+   */
+  async _dropDatabase(dbName, { dropRole }) {
+    const client = await (await this._getAdminPool()).connect();
+    let existed;
+    try {
+      const result = await client.query('SELECT 1 FROM pg_database WHERE datname = $1', [dbName]);
+      existed = result.rowCount > 0;
+
+      // FORCE terminates other sessions connected to the database (PostgreSQL 13+)
+      await client.query(`DROP DATABASE IF EXISTS ${client.escapeIdentifier(dbName)} WITH (FORCE)`);
+
+      if (dropRole && this.ownerRoles) {
+        try {
+          await client.query(`DROP ROLE IF EXISTS ${client.escapeIdentifier(ownerRoleName(dbName))}`);
+        } catch (error) {
+          // 2BP01 = dependent_objects_still_exist (role owns objects elsewhere) - keep it
+          if (error.code !== '2BP01') throw error;
+        }
+      }
+    } finally {
+      client.release();
+    }
+
+    this.createdDatabases.delete(dbName);
+    this.databaseRoles.delete(dbName);
+    this.databaseTemplates.delete(dbName);
+    for (const key of this.createdSchemas) {
+      if (key.startsWith(schemaKey(dbName, ''))) this.createdSchemas.delete(key);
+    }
+
+    if (existed) {
+      this.logger.info({ dbName }, 'Database dropped');
+    }
+    return existed;
   }
 
   /**
@@ -406,47 +1517,120 @@ export class PostgresManager {
 
     if (this.process) {
       this.logger.info('Stopping PostgreSQL');
+      await this._stopPostgres();
 
-      return new Promise((resolve) => {
-        this.process.on('close', () => {
-          this.process = null;
-
-          // Clean up temp directory in memory mode
-          if (!this.persistent && this.databaseDir) {
-            try {
-              fs.rmSync(this.databaseDir, { recursive: true, force: true });
-              this.logger.debug({ databaseDir: this.databaseDir }, 'Cleaned up temp directory');
-            } catch (error) {
-              this.logger.warn({ error: error.message }, 'Failed to clean up temp directory');
-            }
-          }
+      // Clean up temp directory in memory mode
+      if (!this.persistent && this.databaseDir) {
+        try {
+          fs.rmSync(this.databaseDir, { recursive: true, force: true });
+          this.logger.debug({ databaseDir: this.databaseDir }, 'Cleaned up temp directory');
+        } catch (error) {
+          this.logger.warn({ error: error.message }, 'Failed to clean up temp directory');
+        }
+      }
 
-          // Clean up socket directory
-          if (this.socketDir) {
-            try {
-              fs.rmSync(this.socketDir, { recursive: true, force: true });
-              this.logger.debug({ socketDir: this.socketDir }, 'Cleaned up socket directory');
-            } catch (error) {
-              this.logger.warn({ error: error.message }, 'Failed to clean up socket directory');
-            }
-          }
+      // Clean up socket directory
+      if (this.socketDir) {
+        try {
+          fs.rmSync(this.socketDir, { recursive: true, force: true });
+          this.logger.debug({ socketDir: this.socketDir }, 'Cleaned up socket directory');
+        } catch (error) {
+          this.logger.warn({ error: error.message }, 'Failed to clean up socket directory');
+        }
+      }
+    }
+  }
 
-          resolve();
-        });
+  /**
+   * Shut the postgres process down (fast shutdown: sessions are disconnected, then a checkpoint)
+   * Leaves the data and socket directories in place.
+   */
+  async _stopPostgres() {
+    await new Promise((resolve) => {
+      this.process.on('close', () => {
+        this.process = null;
+        resolve();
+      });
 
-        // Send SIGINT for graceful shutdown
-        this.process.kill('SIGINT');
+      // Send SIGINT for graceful shutdown
+      this.process.kill('SIGINT');
 
-        // Force kill after 5 seconds
-        setTimeout(() => {
-          if (this.process) {
-            this.process.kill('SIGKILL');
-          }
-        }, 5000);
-      });
+      // Force kill after 5 seconds
+      setTimeout(() => {
+        if (this.process) {
+          this.process.kill('SIGKILL');
+        }
+      }, 5000);
+    });
+  }
+
+  /**
+   * Run fn with postgres shut down cleanly, then start it again
+   * Every session is disconnected. Provisioning, drops, resets and admin queries that
+   * start meanwhile wait until postgres is back; running ones finish before it stops.
+   * @param {Function} fn - async () => result, free to read or replace the data directory
+   */
+  async _whileStopped(fn) {
+    await this._waitForMaintenance();
+    let done;
+    this.maintenance = new Promise((resolve) => {
+      done = resolve;
+    });
+
+    try {
+      while (this.creatingDatabases.size > 0) {
+        await Promise.all(this.creatingDatabases.values());
+      }
+
+      // Checkpoint while still serving, so the shutdown checkpoint has little left to write
+      await this.adminPool.query('CHECKPOINT');
+      await this.adminPool.end();
+      this.adminPool = null;
+      await this._stopPostgres();
+
+      try {
+        return await fn();
+      } finally {
+        await this._startPostgres();
+        await this._initAdminPool();
+      }
+    } finally {
+      this.maintenance = null;
+      done();
     }
   }
 
+  /**
+   * Save the data directory as a named snapshot (postgres restarts briefly)
+   * @param {SnapshotStore} store - Snapshot store
+   * @param {string} name - Snapshot name
+   * @returns {Promise<Object>} Snapshot metadata
+   */
+  async createSnapshot(store, name) {
+    return this._whileStopped(() => store.save(name, this.databaseDir, { version: this.binaries.version }));
+  }
+
+  /**
+   * Replace the data directory with a snapshot (postgres restarts; open sessions are dropped)
+   * Provisioning caches are cleared: databases and owner roles are re-checked on next use.
+   * @param {SnapshotStore} store - Snapshot store
+   * @param {string} name - Snapshot name
+   * @returns {Promise<Object>} Snapshot metadata
+   */
+  async restoreSnapshot(store, name) {
+    // Fail before stopping anything if the snapshot doesn't exist
+    await store.get(name);
+
+    const metadata = await this._whileStopped(
+      () => store.load(name, this.databaseDir, { version: this.binaries.version })
+    );
+    this.createdDatabases.clear();
+    this.createdSchemas.clear();
+    this.databaseRoles.clear();
+    this.databaseTemplates.clear();
+    return metadata;
+  }
+
   /**
    * Get the Unix socket path for PostgreSQL connections
    * Returns null on Windows (use TCP instead)
@@ -474,6 +1658,8 @@ export class PostgresManager {
       socketDir: this.socketDir,
       socketPath: this.getSocketPath(),
       persistent: this.persistent,
+      memoryDir: this.persistent || !this.databaseDir ? null : path.dirname(this.databaseDir),
+      version: this.binaries?.version || null,
       databases: Array.from(this.createdDatabases)
     };
   }
@@ -10,6 +10,8 @@
  * - Use Buffer.indexOf for faster null-byte search
  */
 
+import { upgradeSocket } from './tls.js';
+
 const PROTOCOL_VERSION_3 = 196608;
 const SSL_REQUEST_CODE = 80877103;    // PostgreSQL SSL negotiation request
 const GSSAPI_REQUEST_CODE = 80877104; // PostgreSQL GSSAPI encryption request
@@ -122,15 +124,16 @@ function extractDatabaseFast(data, offset, length) {
  *
  * @param {Buffer} data - Raw startup message data
  * @returns {string} Database name (defaults to 'postgres')
+ * @throws {PgError} 08P01 when the message can't be parsed (e.g. an unsupported protocol version)
  */
 export function extractDatabaseName(data) {
+  let params;
   try {
-    const params = parseStartupMessage(data);
-    return params.database || 'postgres';
+    params = parseStartupMessage(data);
   } catch (error) {
-    console.warn('Failed to parse startup message:', error.message);
-    return 'postgres'; // Fallback to default
+    throw new PgError('08P01', `invalid startup packet: ${error.message}`);
   }
+  return params.database || 'postgres';
 }
 
 // Pre-allocated buffer pool for startup message parsing (avoids allocation per connection)
@@ -211,7 +214,7 @@ export async function readStartupMessage(socket) {
       socket.removeListener('data', onData);
       socket.removeListener('error', onError);
       releaseBuffer(buffer);
-      reject(new Error('Timeout reading startup message'));
+      reject(new PgError('08P01', 'Timeout reading startup message'));
     }, 2000);
   });
 }
@@ -219,39 +222,390 @@ export async function readStartupMessage(socket) {
 /**
  * Extract database name from socket connection (with SSL negotiation support)
  *
+ * When TLS is enabled the socket is upgraded in place, so callers must use the
+ * returned socket for all further I/O (it may differ from the one passed in).
+ *
  * @param {net.Socket} socket - TCP socket
- * @returns {Promise<{dbName: string, buffered: Buffer}>} Database name and buffered data
+ * @param {Object} [options]
+ * @param {{mode: string, secureContext: tls.SecureContext|null}} [options.tls] - From createTlsOptions()
+ * @returns {Promise<{dbName: string, buffered: Buffer, socket: net.Socket, cancel?: Object}>} Database name, buffered data and client socket
+ *   (or `cancel` with the BackendKeyData of a CancelRequest, in which case there is no database)
+ * @throws {Error} With `error.socket` set to the socket to answer on (the TLS one if already upgraded)
+ */
+export async function extractDatabaseNameFromSocket(socket, options = {}) {
+  const state = { socket };
+  try {
+    return await negotiateStartup(state, options);
+  } catch (error) {
+    error.socket = state.socket;
+    throw error;
+  }
+}
+
+/**
+ * Startup negotiation loop for extractDatabaseNameFromSocket()
+ * Keeps state.socket pointing at the current client socket
  */
-export async function extractDatabaseNameFromSocket(socket) {
+async function negotiateStartup(state, options) {
+  let socket = state.socket;
+  const tlsMode = options.tls?.mode || 'disable';
   let { message, allData } = await readStartupMessage(socket);
+  let encrypted = false;
 
-  // Check if this is a protocol negotiation request (SSL, GSSAPI, Cancel)
-  if (message.length >= 8) {
+  // Handle protocol negotiation requests (SSL, GSSAPI, Cancel)
+  // libpq may send GSSENCRequest then SSLRequest before the real startup message
+  while (message.length >= 8) {
     const version = message.readInt32BE(4);
 
-    if (version === SSL_REQUEST_CODE) {
-      // Respond with 'N' (no SSL support)
-      socket.write(Buffer.from('N'));
-
-      // Read the actual startup message
-      const result = await readStartupMessage(socket);
-      message = result.message;
-      allData = result.allData;
+    if (version === SSL_REQUEST_CODE && !encrypted) {
+      if (tlsMode === 'disable') {
+        // Respond with 'N' (no SSL support)
+        socket.write(Buffer.from('N'));
+      } else {
+        // Respond with 'S' and run the TLS handshake on the same connection
+        socket.write(Buffer.from('S'));
+        socket = await upgradeSocket(socket, options.tls.secureContext);
+        state.socket = socket;
+        encrypted = true;
+      }
     } else if (version === GSSAPI_REQUEST_CODE) {
       // Respond with 'N' (no GSSAPI support)
       socket.write(Buffer.from('N'));
-
-      // Read the actual startup message
-      const result = await readStartupMessage(socket);
-      message = result.message;
-      allData = result.allData;
     } else if (version === CANCEL_REQUEST_CODE) {
-      // Cancel request - PGlite doesn't support query cancellation
-      // Just close gracefully (cancel requests don't expect a response)
-      throw new Error('Cancel request received (not supported)');
+      // Cancel request - caller relays it to the backend that owns the session
+      // (cancel requests don't expect a response, the connection is just closed)
+      return { cancel: parseCancelRequest(message), socket };
+    } else {
+      break;
     }
+
+    // Read the next message (another negotiation or the actual startup message)
+    const result = await readStartupMessage(socket);
+    message = result.message;
+    allData = result.allData;
+  }
+
+  if (tlsMode === 'require' && !encrypted) {
+    throw new PgError('28000', 'TLS required but client sent a plaintext startup message');
   }
 
   const dbName = extractDatabaseName(message);
-  return { dbName, buffered: allData };
+  return { dbName, buffered: allData, socket };
+}
+
+/**
+ * Parse a CancelRequest packet (int32 length, int32 code, int32 process ID, secret key)
+ * The secret is kept as raw bytes (4 bytes in protocol 3.0, longer in newer versions)
+ *
+ * @param {Buffer} message - Cancel request packet
+ * @returns {{processId: number, secretKey: Buffer}} Backend key data
+ */
+function parseCancelRequest(message) {
+  const length = message.readInt32BE(0);
+  return {
+    processId: message.readInt32BE(8),
+    secretKey: Buffer.from(message.subarray(12, length))
+  };
+}
+
+/**
+ * Build a CancelRequest packet for the given backend key
+ *
+ * @param {{processId: number, secretKey: Buffer}} key - Backend key data
+ * @returns {Buffer} Cancel request packet
+ */
+export function buildCancelRequest(key) {
+  const packet = Buffer.allocUnsafe(12 + key.secretKey.length);
+  packet.writeInt32BE(packet.length, 0);
+  packet.writeInt32BE(CANCEL_REQUEST_CODE, 4);
+  packet.writeInt32BE(key.processId, 8);
+  key.secretKey.copy(packet, 12);
+  return packet;
+}
+
+/**
+ * Watch a backend socket for the BackendKeyData ('K') message sent after authentication
+ * Stops listening as soon as the key is found, or at ReadyForQuery/ErrorResponse
+ * (the key always comes before ReadyForQuery, so there is no hot path cost)
+ *
+ * Must be attached in the same tick as pipe() so no chunk is missed.
+ *
+ * @param {net.Socket} socket - Socket connected to PostgreSQL
+ * @param {Function} onKey - Called with {processId, secretKey}
+ */
+export function watchBackendKeyData(socket, onKey) {
+  let pending = null;
+
+  const onData = (chunk) => {
+    pending = pending ? Buffer.concat([pending, chunk]) : chunk;
+    let offset = 0;
+
+    // Backend messages: 1-byte type, int32 length (including itself), body
+    while (pending.length - offset >= 5) {
+      const type = pending[offset];
+      const length = pending.readInt32BE(offset + 1);
+
+      if (type === 0x5a /* Z */ || type === 0x45 /* E */) {
+        socket.removeListener('data', onData);
+        return;
+      }
+
+      if (pending.length - offset < 1 + length) break;
+
+      if (type === 0x4b /* K */) {
+        socket.removeListener('data', onData);
+        onKey({
+          processId: pending.readInt32BE(offset + 5),
+          secretKey: Buffer.from(pending.subarray(offset + 9, offset + 1 + length))
+        });
+        return;
+      }
+
+      offset += 1 + length;
+    }
+
+    pending = pending.subarray(offset);
+  };
+
+  socket.on('data', onData);
+}
+
+/**
+ * Error carrying a PostgreSQL SQLSTATE, sent to the client as an ErrorResponse
+ */
+export class PgError extends Error {
+  /**
+   * @param {string} code - SQLSTATE (e.g. '28P01')
+   * @param {string} message - Primary error message
+   * @param {Object} [options]
+   * @param {string} [options.detail] - Optional detail line
+   * @param {string} [options.severity='FATAL'] - ERROR, FATAL or PANIC
+   */
+  constructor(code, message, options = {}) {
+    super(message);
+    this.name = 'PgError';
+    this.code = code;
+    this.detail = options.detail;
+    this.severity = options.severity || 'FATAL';
+  }
+}
+
+// Connecting failed: only ever to PostgreSQL, which isn't there (starting, restarting or stopped)
+const CONNECT_FAILURE_CODES = new Set(['ECONNREFUSED', 'ENOENT']);
+// A connection broke: PostgreSQL went away if it was the backend's (else the client left)
+const CONNECTION_LOST_CODES = new Set(['ECONNRESET', 'EPIPE']);
+
+/**
+ * Mark an error as coming from the connection to PostgreSQL
+ * Lets toPgError() tell the server going away from the client's own socket failing.
+ *
+ * @param {Error} error
+ * @returns {Error} The same error
+ */
+export function backendError(error) {
+  error.fromBackend = true;
+  return error;
+}
+
+/**
+ * Map any router failure to a PgError the client can be told about
+ * - PgError: unchanged
+ * - backend unreachable, or its connection lost (see backendError()): 57P03 cannot_connect_now
+ * - errors carrying a SQLSTATE (pg client errors): same code and message
+ * - anything else: XX000 internal_error
+ *
+ * Code that wraps a PostgreSQL error in a message of its own (provisioning, migrations,
+ * seeds) copies `code` and `detail` onto the wrapper, so the client still gets the SQLSTATE.
+ *
+ * @param {Error} error
+ * @returns {PgError}
+ */
+export function toPgError(error) {
+  if (error instanceof PgError) {
+    return error;
+  }
+  if (CONNECT_FAILURE_CODES.has(error.code) || (error.fromBackend && CONNECTION_LOST_CODES.has(error.code))) {
+    return new PgError('57P03', 'the database system is not accepting connections', {
+      detail: error.message
+    });
+  }
+  if (typeof error.code === 'string' && /^[0-9A-Z]{5}$/.test(error.code)) {
+    return new PgError(error.code, error.message, { detail: error.detail });
+  }
+  return new PgError('XX000', error.message);
+}
+
+/**
+ * Send an ErrorResponse and close the client connection
+ * Sockets that can't be written anymore (client gone, failed TLS handshake) are just destroyed.
+ *
+ * @param {net.Socket} socket - Client socket
+ * @param {Error} error - Any error (mapped with toPgError())
+ */
+export function rejectConnection(socket, error) {
+  if (!socket.writable) {
+    socket.destroy();
+    return;
+  }
+  socket.end(buildErrorResponse(toPgError(error)), () => socket.destroy());
+}
+
+/**
+ * Build a typed protocol message: 1-byte type, int32 length (including itself), body
+ *
+ * @param {string} type - Message type character
+ * @param {Buffer} [body] - Message body
+ * @returns {Buffer} Framed message
+ */
+export function buildMessage(type, body = Buffer.alloc(0)) {
+  const message = Buffer.allocUnsafe(5 + body.length);
+  message.write(type, 0, 'latin1');
+  message.writeInt32BE(4 + body.length, 1);
+  body.copy(message, 5);
+  return message;
+}
+
+/**
+ * Build an ErrorResponse ('E') message
+ *
+ * @param {{code: string, message: string, detail?: string, severity?: string}} error - Error fields
+ * @returns {Buffer} ErrorResponse message
+ */
+export function buildErrorResponse(error) {
+  const severity = error.severity || 'FATAL';
+  const fields = [
+    ['S', severity],
+    ['V', severity],
+    ['C', error.code],
+    ['M', error.message],
+  ];
+  if (error.detail) fields.push(['D', error.detail]);
+
+  const parts = fields.map(([field, value]) => Buffer.from(`${field}${value}\0`, 'utf8'));
+  parts.push(Buffer.from([0]));
+  return buildMessage('E', Buffer.concat(parts));
+}
+
+/**
+ * Parse an ErrorResponse body into a PgError
+ *
+ * @param {Buffer} body - ErrorResponse body (without type/length header)
+ * @returns {PgError} Error with the backend's SQLSTATE and message
+ */
+export function parseErrorResponse(body) {
+  const fields = {};
+  let offset = 0;
+  while (offset < body.length && body[offset] !== 0) {
+    const end = body.indexOf(0, offset + 1);
+    if (end === -1) break;
+    fields[String.fromCharCode(body[offset])] = body.toString('utf8', offset + 1, end);
+    offset = end + 1;
+  }
+  return new PgError(fields.C || 'XX000', fields.M || 'Unknown backend error', {
+    detail: fields.D,
+    severity: fields.V || fields.S
+  });
+}
+
+/**
+ * Build a protocol 3.0 StartupMessage from connection parameters
+ *
+ * @param {Object} params - Parameters (user, database, application_name, ...)
+ * @returns {Buffer} Startup message
+ */
+export function buildStartupMessage(params) {
+  const parts = [];
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    parts.push(Buffer.from(`${key}\0${value}\0`, 'utf8'));
+  }
+  parts.push(Buffer.from([0]));
+  const body = Buffer.concat(parts);
+
+  const message = Buffer.allocUnsafe(8 + body.length);
+  message.writeInt32BE(message.length, 0);
+  message.writeInt32BE(PROTOCOL_VERSION_3, 4);
+  body.copy(message, 8);
+  return message;
+}
+
+/**
+ * Startup parameters that open a tenant's schema in a shared database (schema-per-tenant)
+ * search_path goes after the client's own options, so it wins over any search_path there.
+ *
+ * @param {string} database - Shared database
+ * @param {string} schema - Tenant schema (the database name the client asked for)
+ * @param {string} [options] - Client's options startup parameter
+ * @returns {{database: string, options: string}}
+ */
+export function schemaTenantParameters(database, schema, options) {
+  // Backslash escapes spaces (and itself) in options; the quoted identifier keeps commas etc.
+  const searchPath = `"${schema.replace(/"/g, '""')}",public`.replace(/[\\ ]/g, '\\$&');
+  const schemaOption = `-c search_path=${searchPath}`;
+  return { database, options: options ? `${options} ${schemaOption}` : schemaOption };
+}
+
+// Longest message readMessage() buffers: it runs before the client has authenticated,
+// so a declared length is never trusted beyond what authentication needs
+const MAX_AUTH_MESSAGE_LENGTH = 10000;
+
+/**
+ * Read one typed protocol message from a socket
+ * Used for short exchanges (authentication) before the sockets are piped.
+ * Leaves the socket paused; any bytes past the message are unshifted back
+ * so a later pipe() sees them.
+ *
+ * @param {net.Socket} socket - Client or backend socket
+ * @param {number} [timeoutMs=10000] - Give up after this long
+ * @returns {Promise<{type: string, body: Buffer, raw: Buffer}>} Message type, body and full framed bytes
+ * @throws {PgError} 08P01 when the message announces a length over 10000 bytes (or under 4)
+ */
+export function readMessage(socket, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    let pending = Buffer.alloc(0);
+
+    const finish = (error, result) => {
+      clearTimeout(timer);
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+      socket.pause();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const onData = (chunk) => {
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      if (pending.length < 5) return;
+
+      const length = pending.readInt32BE(1);
+      if (length < 4 || length > MAX_AUTH_MESSAGE_LENGTH) {
+        finish(new PgError('08P01', `invalid message length ${length}`));
+        return;
+      }
+      const total = 1 + length;
+      if (pending.length < total) return;
+
+      const raw = pending.subarray(0, total);
+      finish(null, { type: String.fromCharCode(raw[0]), body: raw.subarray(5), raw });
+
+      // Put back what belongs to the next message (after pause, so it stays buffered)
+      if (pending.length > total) {
+        socket.unshift(pending.subarray(total));
+      }
+    };
+
+    const onError = (error) => finish(error);
+    const onClose = () => finish(new Error('Connection closed during authentication'));
+
+    const timer = setTimeout(() => finish(new Error('Timeout waiting for protocol message')), timeoutMs);
+
+    socket.on('data', onData);
+    socket.once('error', onError);
+    socket.once('close', onClose);
+    socket.resume();
+  });
 }
@@ -0,0 +1,116 @@
+/**
+ * Provisioning Policy - which database names may be auto-created
+ *
+ * Without a policy, any name a client sends becomes a database (typos and port
+ * scanners included). A policy restricts auto-provisioning by:
+ * - allowlist / denylist (globs like "tenant_*" or regexes like "/^app_\d+$/")
+ * - reserved names (template0, template1 by default)
+ * - maximum name length and maximum number of databases
+ *
+ * Existing databases are never affected - the policy only gates CREATE DATABASE.
+ *
+ * Pattern rules pick per-database settings with a default, e.g. the template a
+ * new tenant is cloned from ("test_*" -> "schema_v42") or its seed fixtures.
+ */
+
+const DEFAULT_RESERVED = ['template0', 'template1'];
+const MAX_IDENTIFIER_LENGTH = 63; // PostgreSQL NAMEDATALEN - 1
+
+/**
+ * Compile a glob ("tenant_*", "db_?") or regex ("/^app_\d+$/i") pattern
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Normalize patterns given as an array or a comma-separated string
+ * (also used for the database rules of credentials files, see auth.js)
+ * @param {string|string[]|undefined} patterns
+ * @returns {RegExp[]}
+ */
+export function compilePatterns(patterns) {
+  if (!patterns) return [];
+  const list = Array.isArray(patterns) ? patterns : patterns.split(',');
+  return list.map(p => p.trim()).filter(Boolean).map(compilePattern);
+}
+
+export class ProvisionPolicy {
+  /**
+   * @param {Object} options
+   * @param {string|string[]} [options.allow] - Only these names may be created (default: any)
+   * @param {string|string[]} [options.deny] - These names may never be created
+   * @param {number} [options.maxDatabases] - Max databases (excluding postgres and templates), 0 = unlimited
+   * @param {number} [options.maxNameLength=63] - Max name length in bytes
+   * @param {string[]} [options.reserved] - Names that can't be created (default: template0, template1)
+   */
+  constructor(options = {}) {
+    this.allow = compilePatterns(options.allow);
+    this.deny = compilePatterns(options.deny);
+    this.maxDatabases = options.maxDatabases || 0;
+    this.maxNameLength = Math.min(options.maxNameLength || MAX_IDENTIFIER_LENGTH, MAX_IDENTIFIER_LENGTH);
+    this.reserved = new Set(options.reserved || DEFAULT_RESERVED);
+  }
+
+  /**
+   * Check whether a new database may be created
+   * @param {string} dbName - Requested database name
+   * @param {number} databaseCount - Databases that already exist (excluding postgres and templates)
+   * @returns {string|null} Rejection reason, or null if allowed
+   */
+  check(dbName, databaseCount) {
+    if (this.reserved.has(dbName)) {
+      return `"${dbName}" is a reserved name`;
+    }
+    if (Buffer.byteLength(dbName) > this.maxNameLength) {
+      return `name is longer than ${this.maxNameLength} bytes`;
+    }
+    if (this.deny.some(regex => regex.test(dbName))) {
+      return 'name matches the provisioning denylist';
+    }
+    if (this.allow.length > 0 && !this.allow.some(regex => regex.test(dbName))) {
+      return 'name does not match the provisioning allowlist';
+    }
+    if (this.maxDatabases > 0 && databaseCount >= this.maxDatabases) {
+      return `database limit reached (${this.maxDatabases})`;
+    }
+    return null;
+  }
+}
+
+/**
+ * Per-database setting chosen by name pattern (templates, seed sets)
+ * Pattern rules are checked in order; the default applies when none match.
+ */
+export class PatternRules {
+  /**
+   * @param {*} defaultValue - Value for names no rule matches (null = none)
+   * @param {Object|Array} [rules] - {"test_*": value} or [["test_*", value]]
+   *   (same pattern syntax as the policy)
+   */
+  constructor(defaultValue, rules) {
+    this.defaultValue = defaultValue ?? null;
+    const entries = Array.isArray(rules) ? rules : Object.entries(rules || {});
+    this.rules = entries.map(([pattern, value]) => ({ regex: compilePattern(pattern), value }));
+  }
+
+  /**
+   * @param {string} name - Database name
+   * @returns {*} Value of the first matching rule, else the default
+   */
+  resolve(name) {
+    const rule = this.rules.find(({ regex }) => regex.test(name));
+    return rule ? rule.value : this.defaultValue;
+  }
+}
@@ -7,6 +7,19 @@
  * - Unix sockets for local connections (~30% faster)
  * - Binary format COPY (~2x faster than text)
  *
+ * Every non-system schema is restored (optionally filtered by include/exclude
+ * patterns), with per-schema table, row and byte counts in the metrics.
+ *
+ * Before the data: extensions (those the embedded build ships), enums,
+ * sequences, functions, domains and tables (columns as pg_catalog declares
+ * them). After it: views and materialized views in dependency order,
+ * secondary indexes, UNIQUE/CHECK/EXCLUDE/FOREIGN KEY constraints (faster
+ * than maintaining them row by row) and triggers (so they don't fire for
+ * copied rows). Objects owned by an extension come back with CREATE
+ * EXTENSION. An object that fails - a missing extension, a function in a
+ * language the binaries lack - is reported in metrics.errors and the restore
+ * goes on.
+ *
  * Tech Council Design Principles:
  * - nayr: Question assumptions, root cause focus
  * - oettam: Benchmark-driven, measure p99 latency
@@ -24,7 +37,7 @@ import { createLogger } from './logger.js';
  * @param {string[]} patterns - Array of patterns (supports * wildcard)
  * @returns {boolean}
  */
-function matchesPattern(dbName, patterns) {
+export function matchesPattern(dbName, patterns) {
   if (!patterns || patterns.length === 0) return true; // No filter = restore all
 
   return patterns.some(pattern => {
@@ -36,6 +49,88 @@ function matchesPattern(dbName, patterns) {
   });
 }
 
+/**
+ * Quote an identifier ("my ""odd"" name")
+ * @param {string} name
+ * @returns {string}
+ */
+function quoteIdent(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Schema-qualified, quoted name of a table or sequence
+ * @param {{schema: string, name: string}} relation
+ * @returns {string}
+ */
+function qualify({ schema, name }) {
+  return `${quoteIdent(schema)}.${quoteIdent(name)}`;
+}
+
+/**
+ * SQL condition: the object is not part of an extension
+ * @param {string} catalog - System catalog holding the object (pg_class, pg_proc, pg_type)
+ * @param {string} oid - SQL expression for the object's oid
+ * @returns {string}
+ */
+function notExtensionMember(catalog, oid) {
+  return `NOT EXISTS (
+    SELECT 1 FROM pg_depend
+    WHERE classid = '${catalog}'::regclass AND objid = ${oid} AND deptype = 'e'
+  )`;
+}
+
+/**
+ * SQL expression: schema-qualified, quoted name of a function (NULL for oid 0)
+ * @param {string} oid - SQL expression for the function's oid
+ * @returns {string}
+ */
+function functionName(oid) {
+  return `(SELECT quote_ident(fn.nspname) || '.' || quote_ident(fp.proname)
+    FROM pg_proc fp JOIN pg_namespace fn ON fn.oid = fp.pronamespace WHERE fp.oid = ${oid})`;
+}
+
+/**
+ * Order views so each comes after the views it selects from
+ * @param {Array<{oid: number}>} views
+ * @param {Array<{view: number, dependency: number}>} dependencies - From pg_depend
+ * @returns {Array<{oid: number}>}
+ */
+export function sortByDependencies(views, dependencies) {
+  const byOid = new Map(views.map(view => [view.oid, view]));
+  const sorted = [];
+  const visited = new Set();
+
+  const visit = (view) => {
+    if (visited.has(view.oid)) return;
+    visited.add(view.oid);
+    for (const { dependency } of dependencies.filter(d => d.view === view.oid)) {
+      if (byOid.has(dependency)) visit(byOid.get(dependency));
+    }
+    sorted.push(view);
+  };
+
+  views.forEach(visit);
+  return sorted;
+}
+
+/**
+ * Error message for an object that could not be created
+ * @param {{type: string}} statement
+ * @param {Error} err
+ * @returns {string}
+ */
+export function describeFailure(statement, err) {
+  // 58P01 = no control file (older releases), 0A000 = extension is not available
+  if (statement.type === 'extension' && (err.code === '58P01' || err.code === '0A000')) {
+    return `${err.message} - not included in the embedded PostgreSQL build`;
+  }
+  return err.message;
+}
+
+// Without these the data can't be copied: a failure fails the whole database
+const REQUIRED_OBJECTS = new Set(['schema', 'type', 'sequence', 'table']);
+
 /**
  * RestoreManager - Handles automatic restore from external PostgreSQL
  */
@@ -43,6 +138,8 @@ export class RestoreManager {
   constructor(options = {}) {
     this.sourceUrl = options.sourceUrl;              // External PostgreSQL URL
     this.patterns = options.patterns || [];          // Database patterns ["myapp", "tenant_*"]
+    this.includeSchemas = options.includeSchemas || []; // Schema patterns (empty = all non-system schemas)
+    this.excludeSchemas = options.excludeSchemas || []; // Schema patterns skipped even if included
     this.targetPort = options.targetPort;            // Local embedded PostgreSQL port
     this.targetSocketPath = options.targetSocketPath; // Unix socket path (optional)
 
@@ -72,8 +169,10 @@ export class RestoreManager {
       endTime: 0,
       databasesRestored: 0,
       tablesRestored: 0,
+      objectsRestored: {}, // Object type (index, view, function, ...) → count
       rowsRestored: 0,
       bytesTransferred: 0,
+      schemas: {}, // dbName → schema → {tables, rows, bytes}
       errors: []
     };
   }
@@ -122,10 +221,12 @@ export class RestoreManager {
       this.logger.info({
         databasesRestored: this.metrics.databasesRestored,
         tablesRestored: this.metrics.tablesRestored,
+        objectsRestored: this.metrics.objectsRestored,
         rowsRestored: this.metrics.rowsRestored,
         bytesTransferred: this.metrics.bytesTransferred,
         throughputMBps: ((this.metrics.bytesTransferred / 1024 / 1024) / (duration / 1000)).toFixed(2),
         durationMs: duration,
+        schemas: this.metrics.schemas,
         errors: this.metrics.errors.length
       }, 'Restore completed');
 
@@ -225,12 +326,21 @@ export class RestoreManager {
       }
     }
 
-    if (this.metrics.errors.length > 0) {
+    // Errors with an object are single indexes/constraints inside a restored database
+    const failedDatabases = this.metrics.errors.filter(e => !e.object).length;
+    const failedObjects = this.metrics.errors.length - failedDatabases;
+    if (failedDatabases > 0) {
       this.logger.warn({
-        failedCount: this.metrics.errors.length,
+        failedCount: failedDatabases,
         totalCount: databases.length
       }, 'Some databases failed to restore');
     }
+    if (failedObjects > 0) {
+      this.logger.warn({
+        failedCount: failedObjects,
+        objects: this.metrics.errors.filter(e => e.object).map(e => `${e.database}: ${e.object}`)
+      }, 'Some database objects failed to restore');
+    }
   }
 
   /**
@@ -250,22 +360,42 @@ export class RestoreManager {
     const targetDbPool = await this._createTargetDbPool(dbName);
 
     try {
-      // Step 3: Restore schema (types, tables, indexes, FKs)
-      await this._restoreSchema(sourceDbPool, targetDbPool, dbName);
+      // Step 3: Pick the schemas to restore
+      const { schemas, excluded } = await this.getSchemas(sourceDbPool);
+      if (excluded.length > 0) {
+        this.logger.info({ dbName, excluded }, 'Skipping schemas excluded by pattern');
+      }
+      this.metrics.schemas[dbName] = Object.fromEntries(
+        schemas.map(schema => [schema, { tables: 0, rows: 0, bytes: 0 }])
+      );
 
-      // Step 4: Discover tables and copy data in parallel
-      const tables = await this._discoverTables(sourceDbPool);
+      // Step 4: Restore schema (extensions, types, sequences, functions, tables with primary keys)
+      const failures = await this.applyStatements(targetDbPool, await this.getSchemaStatements(sourceDbPool, schemas));
+      this.logger.debug({ dbName, schemas }, 'Schema restored');
+
+      // Step 5: Discover tables and copy data in parallel
+      const tables = await this.getTables(sourceDbPool, schemas);
       this.totalTables += tables.length; // Track total for progress
       if (tables.length > 0) {
-        await this._restoreTablesParallel(sourceDbPool, targetDbPool, tables);
+        await this._restoreTablesParallel(sourceDbPool, targetDbPool, tables, dbName);
+      }
+
+      // Step 6: Views, indexes, constraints and triggers (after data - one build instead of per-row upkeep)
+      failures.push(...await this.applyStatements(targetDbPool, await this.getPostDataStatements(sourceDbPool, schemas)));
+      for (const { object, error } of failures) {
+        this.metrics.errors.push({ database: dbName, object, error });
       }
 
-      // Step 5: Restore sequences (after data for correct values)
-      await this._restoreSequences(sourceDbPool, targetDbPool);
+      // Step 7: Restore sequences (after data for correct values)
+      await this.applySequenceValues(targetDbPool, await this.getSequenceValues(sourceDbPool, schemas));
 
       this.metrics.databasesRestored++;
       const duration = Date.now() - startTime;
-      this.logger.info({ dbName, durationMs: duration }, 'Database restored successfully');
+      this.logger.info({
+        dbName,
+        durationMs: duration,
+        schemas: this.metrics.schemas[dbName]
+      }, 'Database restored successfully');
 
     } finally {
       await sourceDbPool.end();
@@ -321,112 +451,489 @@ export class RestoreManager {
   }
 
   /**
-   * Restore schema: ENUMs, tables, indexes, foreign keys
-   * Order matters: types → tables → indexes → FKs
-   * @param {pg.Pool} sourcePool - External database pool
-   * @param {pg.Pool} targetPool - Local database pool
-   * @param {string} dbName - Database name (for logging)
+   * Non-system schemas of a database, split by the include/exclude patterns
+   * @param {pg.Pool|pg.Client} sourcePool - Database to read
+   * @returns {Promise<{schemas: string[], excluded: string[]}>}
+   */
+  async getSchemas(sourcePool) {
+    const result = await sourcePool.query(`
+      SELECT nspname FROM pg_namespace
+      WHERE nspname !~ '^pg_' AND nspname <> 'information_schema'
+      ORDER BY nspname
+    `);
+
+    const schemas = [];
+    const excluded = [];
+    for (const { nspname } of result.rows) {
+      const included = matchesPattern(nspname, this.includeSchemas) &&
+        !(this.excludeSchemas.length > 0 && matchesPattern(nspname, this.excludeSchemas));
+      (included ? schemas : excluded).push(nspname);
+    }
+    return { schemas, excluded };
+  }
+
+  /**
+   * Read the DDL that recreates a database's schema
+   * Order matters: schemas → extensions → enums → sequences → functions → aggregates → domains
+   * → tables (structure only, no data yet) → sequence ownership. Functions come before the
+   * aggregates built on them and the domain checks and column defaults that call them.
+   * Also used by dump.js, so a dump recreates the same schema a restore does.
+   * @param {pg.Pool|pg.Client} sourcePool - Database to read
+   * @param {string[]} schemas - From getSchemas()
+   * @returns {Promise<Array<{type: string, object: string, sql: string}>>} In execution order
+   */
+  async getSchemaStatements(sourcePool, schemas) {
+    const sequences = await this._getSequenceStatements(sourcePool, schemas);
+    return [
+      ...schemas.map(schema => ({
+        type: 'schema',
+        object: schema,
+        sql: `CREATE SCHEMA IF NOT EXISTS ${quoteIdent(schema)}`
+      })),
+      ...await this._getExtensionStatements(sourcePool),
+      ...await this._getEnumStatements(sourcePool, schemas),
+      ...sequences.create,
+      ...await this._getFunctionStatements(sourcePool, schemas),
+      ...await this._getAggregateStatements(sourcePool, schemas),
+      ...await this._getDomainStatements(sourcePool, schemas),
+      ...await this._getTableStatements(sourcePool, schemas),
+      ...sequences.ownedBy
+    ];
+  }
+
+  /**
+   * Read the objects to create once the data is in
+   * Order: views (each after the views it reads) → secondary indexes (materialized views'
+   * too) → UNIQUE/CHECK/EXCLUDE constraints → FOREIGN KEYs (they need the referenced side's
+   * unique keys) → triggers. Primary keys are part of CREATE TABLE.
+   * @param {pg.Pool|pg.Client} sourcePool - Database to read
+   * @param {string[]} schemas - From getSchemas()
+   * @returns {Promise<Array<{type: string, object: string, sql: string}>>} In execution order
+   */
+  async getPostDataStatements(sourcePool, schemas) {
+    // Indexes that back a constraint are created by the constraint itself
+    const indexes = await sourcePool.query(`
+      SELECT n.nspname AS schema, ic.relname AS name, pg_get_indexdef(i.indexrelid) AS definition
+      FROM pg_index i
+      JOIN pg_class ic ON ic.oid = i.indexrelid
+      JOIN pg_class tc ON tc.oid = i.indrelid
+      JOIN pg_namespace n ON n.oid = ic.relnamespace
+      WHERE n.nspname = ANY($1) AND tc.relkind IN ('r', 'm') AND NOT i.indisprimary
+        AND ${notExtensionMember('pg_class', 'tc.oid')}
+        AND NOT EXISTS (
+          SELECT 1 FROM pg_constraint c
+          WHERE c.conindid = i.indexrelid AND c.conrelid = i.indrelid AND c.contype IN ('p', 'u', 'x')
+        )
+      ORDER BY n.nspname, ic.relname
+    `, [schemas]);
+
+    // Local table constraints (NOT NULL is part of the column definitions)
+    const constraints = await sourcePool.query(`
+      SELECT n.nspname AS schema, t.relname AS table_name, c.conname AS name, c.contype,
+             pg_get_constraintdef(c.oid) AS definition
+      FROM pg_constraint c
+      JOIN pg_class t ON t.oid = c.conrelid
+      JOIN pg_namespace n ON n.oid = t.relnamespace
+      WHERE n.nspname = ANY($1) AND t.relkind = 'r' AND c.conislocal AND c.contype IN ('u', 'c', 'x', 'f')
+        AND ${notExtensionMember('pg_class', 't.oid')}
+      ORDER BY c.contype = 'f', n.nspname, t.relname, c.conname
+    `, [schemas]);
+
+    return [
+      ...await this._getViewStatements(sourcePool, schemas),
+      ...indexes.rows.map(index => ({
+        type: 'index',
+        object: `${index.schema}.${index.name}`,
+        sql: index.definition
+      })),
+      ...constraints.rows.map(constraint => {
+        const table = qualify({ schema: constraint.schema, name: constraint.table_name });
+        return {
+          type: constraint.contype === 'f' ? 'foreign key' : 'constraint',
+          object: `${constraint.schema}.${constraint.table_name}.${constraint.name}`,
+          sql: `ALTER TABLE ${table} ADD CONSTRAINT ${quoteIdent(constraint.name)} ${constraint.definition}`
+        };
+      }),
+      ...await this._getTriggerStatements(sourcePool, schemas)
+    ];
+  }
+
+  /**
+   * Run statements from getSchemaStatements() or getPostDataStatements()
+   * Objects that already exist are skipped. Schemas, types, sequences and tables must be
+   * created (the data needs them); any other object that fails is reported and the rest go
+   * on. Failed objects get a second try after the others, since some need an object that
+   * comes later (a function returning SETOF a table).
+   * @param {pg.Pool|pg.Client} targetPool - Database to create them in
+   * @param {Array<{type: string, object: string, sql: string, unsupported?: string}>} statements
+   * @returns {Promise<Array<{object: string, error: string}>>} Objects that could not be created
+   * @throws {Error} When a schema, type, sequence or table can't be created
+   */
+  async applyStatements(targetPool, statements) {
+    let pending = statements.filter(statement => !statement.unsupported);
+    let failed = [];
+
+    for (let attempt = 1; attempt <= 2 && pending.length > 0; attempt++) {
+      failed = [];
+      for (const statement of pending) {
+        try {
+          await targetPool.query(statement.sql);
+          this.metrics.objectsRestored[statement.type] = (this.metrics.objectsRestored[statement.type] || 0) + 1;
+        } catch (err) {
+          // 42P07 = relation already exists, 42710 = object already exists
+          if (err.code === '42P07' || err.code === '42710') continue;
+          if (REQUIRED_OBJECTS.has(statement.type)) throw err;
+          failed.push({ statement, error: describeFailure(statement, err) });
+        }
+      }
+      pending = failed.map(f => f.statement);
+    }
+
+    const failures = [
+      ...statements.filter(s => s.unsupported).map(statement => ({ statement, error: statement.unsupported })),
+      ...failed
+    ];
+    return failures.map(({ statement: { type, object }, error }) => {
+      this.logger.warn({ object, err: error }, `Failed to restore ${type}`);
+      return { object: `${type} ${object}`, error };
+    });
+  }
+
+  /**
+   * CREATE EXTENSION statements (plpgsql is always there)
+   * Extensions are database-wide, so their schemas are created even when excluded by pattern.
+   */
+  async _getExtensionStatements(sourcePool) {
+    const result = await sourcePool.query(`
+      SELECT e.extname AS name, n.nspname AS schema
+      FROM pg_extension e
+      JOIN pg_namespace n ON n.oid = e.extnamespace
+      WHERE e.extname <> 'plpgsql'
+      ORDER BY e.extname
+    `);
+
+    return result.rows.map(extension => ({
+      type: 'extension',
+      object: extension.name,
+      sql: (extension.schema === 'pg_catalog' ? '' : `CREATE SCHEMA IF NOT EXISTS ${quoteIdent(extension.schema)}; `) +
+        `CREATE EXTENSION IF NOT EXISTS ${quoteIdent(extension.name)} WITH SCHEMA ${quoteIdent(extension.schema)} CASCADE`
+    }));
+  }
+
+  /**
+   * CREATE FUNCTION / CREATE PROCEDURE statements
+   * Bodies aren't checked on creation (like pg_dump), so a SQL function may read a table created
+   * after it. Aggregates come from _getAggregateStatements().
+   */
+  async _getFunctionStatements(sourcePool, schemas) {
+    const result = await sourcePool.query(`
+      SELECT n.nspname AS schema, p.proname AS name, p.prokind,
+             pg_get_function_identity_arguments(p.oid) AS arguments,
+             pg_get_functiondef(p.oid) AS definition
+      FROM pg_proc p
+      JOIN pg_namespace n ON n.oid = p.pronamespace
+      WHERE n.nspname = ANY($1) AND p.prokind <> 'a' AND ${notExtensionMember('pg_proc', 'p.oid')}
+      ORDER BY n.nspname, p.proname, p.oid
+    `, [schemas]);
+
+    return result.rows.map(fn => ({
+      type: fn.prokind === 'p' ? 'procedure' : 'function',
+      object: `${fn.schema}.${fn.name}(${fn.arguments})`,
+      // One implicit transaction, so SET LOCAL only covers this statement
+      sql: `SET LOCAL check_function_bodies = false; ${fn.definition}`
+    }));
+  }
+
+  /**
+   * CREATE AGGREGATE statements, built from pg_aggregate (PostgreSQL has no pg_get_aggregatedef)
+   * Covers plain, moving-window, ordered-set and hypothetical-set aggregates.
+   */
+  async _getAggregateStatements(sourcePool, schemas) {
+    const result = await sourcePool.query(`
+      SELECT n.nspname AS schema, p.proname AS name, p.proparallel,
+             pg_get_function_identity_arguments(p.oid) AS arguments,
+             a.aggkind, a.aggfinalextra, a.aggmfinalextra, a.aggfinalmodify, a.aggmfinalmodify,
+             a.aggtransspace, a.aggmtransspace,
+             quote_literal(a.agginitval) AS initcond, quote_literal(a.aggminitval) AS minitcond,
+             format_type(a.aggtranstype, NULL) AS stype, format_type(a.aggmtranstype, NULL) AS mstype,
+             ${functionName('a.aggtransfn')} AS sfunc, ${functionName('a.aggfinalfn')} AS finalfunc,
+             ${functionName('a.aggcombinefn')} AS combinefunc, ${functionName('a.aggserialfn')} AS serialfunc,
+             ${functionName('a.aggdeserialfn')} AS deserialfunc, ${functionName('a.aggmtransfn')} AS msfunc,
+             ${functionName('a.aggminvtransfn')} AS minvfunc, ${functionName('a.aggmfinalfn')} AS mfinalfunc,
+             (SELECT quote_ident(opn.nspname) || '.' || o.oprname
+              FROM pg_operator o JOIN pg_namespace opn ON opn.oid = o.oprnamespace
+              WHERE o.oid = a.aggsortop) AS sortop
+      FROM pg_aggregate a
+      JOIN pg_proc p ON p.oid = a.aggfnoid
+      JOIN pg_namespace n ON n.oid = p.pronamespace
+      WHERE n.nspname = ANY($1) AND ${notExtensionMember('pg_proc', 'p.oid')}
+      ORDER BY n.nspname, p.proname, p.oid
+    `, [schemas]);
+
+    const modify = { r: 'READ_ONLY', s: 'SHAREABLE', w: 'READ_WRITE' };
+    const parallel = { s: 'SAFE', r: 'RESTRICTED', u: 'UNSAFE' };
+
+    return result.rows.map(agg => {
+      const options = [`SFUNC = ${agg.sfunc}`, `STYPE = ${agg.stype}`];
+      if (agg.aggtransspace > 0) options.push(`SSPACE = ${agg.aggtransspace}`);
+      if (agg.finalfunc) {
+        options.push(`FINALFUNC = ${agg.finalfunc}`, `FINALFUNC_MODIFY = ${modify[agg.aggfinalmodify]}`);
+        if (agg.aggfinalextra) options.push('FINALFUNC_EXTRA');
+      }
+      if (agg.combinefunc) options.push(`COMBINEFUNC = ${agg.combinefunc}`);
+      if (agg.serialfunc) options.push(`SERIALFUNC = ${agg.serialfunc}`, `DESERIALFUNC = ${agg.deserialfunc}`);
+      if (agg.initcond !== null) options.push(`INITCOND = ${agg.initcond}`);
+      if (agg.msfunc) {
+        options.push(`MSFUNC = ${agg.msfunc}`, `MINVFUNC = ${agg.minvfunc}`, `MSTYPE = ${agg.mstype}`);
+        if (agg.aggmtransspace > 0) options.push(`MSSPACE = ${agg.aggmtransspace}`);
+        if (agg.mfinalfunc) {
+          options.push(`MFINALFUNC = ${agg.mfinalfunc}`, `MFINALFUNC_MODIFY = ${modify[agg.aggmfinalmodify]}`);
+          if (agg.aggmfinalextra) options.push('MFINALFUNC_EXTRA');
+        }
+        if (agg.minitcond !== null) options.push(`MINITCOND = ${agg.minitcond}`);
+      }
+      if (agg.sortop) options.push(`SORTOP = OPERATOR(${agg.sortop})`);
+      if (agg.aggkind === 'h') options.push('HYPOTHETICAL');
+      options.push(`PARALLEL = ${parallel[agg.proparallel]}`);
+
+      return {
+        type: 'aggregate',
+        object: `${agg.schema}.${agg.name}(${agg.arguments})`,
+        sql: `CREATE AGGREGATE ${qualify(agg)}(${agg.arguments || '*'}) (${options.join(', ')})`
+      };
+    });
+  }
+
+  /**
+   * CREATE VIEW / CREATE MATERIALIZED VIEW statements, each after the views it reads from
+   * Materialized views are filled from the restored tables (if they were populated on the source).
    */
-  async _restoreSchema(sourcePool, targetPool, dbName) {
-    // 1. Restore ENUM types
-    await this._restoreEnums(sourcePool, targetPool);
+  async _getViewStatements(sourcePool, schemas) {
+    const views = await sourcePool.query(`
+      SELECT c.oid, n.nspname AS schema, c.relname AS name, c.relkind, c.reloptions, c.relispopulated,
+             pg_get_viewdef(c.oid) AS definition
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = ANY($1) AND c.relkind IN ('v', 'm') AND ${notExtensionMember('pg_class', 'c.oid')}
+      ORDER BY n.nspname, c.relname
+    `, [schemas]);
+
+    // A view's rewrite rule depends on every relation its query reads
+    const dependencies = await sourcePool.query(`
+      SELECT DISTINCT r.ev_class AS view, d.refobjid AS dependency
+      FROM pg_rewrite r
+      JOIN pg_depend d ON d.classid = 'pg_rewrite'::regclass AND d.objid = r.oid
+      WHERE d.refclassid = 'pg_class'::regclass AND d.refobjid <> r.ev_class
+    `);
 
-    // 2. Restore tables (structure only, no data yet)
-    await this._restoreTables(sourcePool, targetPool);
+    return sortByDependencies(views.rows, dependencies.rows).map(view => {
+      const options = view.reloptions ? ` WITH (${view.reloptions.join(', ')})` : '';
+      const query = view.definition.trim().replace(/;$/, '');
+      const materialized = view.relkind === 'm';
+      return {
+        type: materialized ? 'materialized view' : 'view',
+        object: `${view.schema}.${view.name}`,
+        sql: materialized
+          ? `CREATE MATERIALIZED VIEW ${qualify(view)}${options} AS ${query} WITH ${view.relispopulated ? '' : 'NO '}DATA`
+          : `CREATE VIEW ${qualify(view)}${options} AS ${query}`
+      };
+    });
+  }
 
-    this.logger.debug({ dbName }, 'Schema restored');
+  /**
+   * CREATE TRIGGER statements (created last, so they don't fire for restored rows)
+   */
+  async _getTriggerStatements(sourcePool, schemas) {
+    const result = await sourcePool.query(`
+      SELECT n.nspname AS schema, c.relname AS table_name, t.tgname AS name,
+             pg_get_triggerdef(t.oid) AS definition
+      FROM pg_trigger t
+      JOIN pg_class c ON c.oid = t.tgrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = ANY($1) AND NOT t.tgisinternal AND ${notExtensionMember('pg_class', 'c.oid')}
+      ORDER BY n.nspname, c.relname, t.tgname
+    `, [schemas]);
+
+    return result.rows.map(trigger => ({
+      type: 'trigger',
+      object: `${trigger.schema}.${trigger.table_name}.${trigger.name}`,
+      sql: trigger.definition
+    }));
   }
 
   /**
-   * Restore ENUM types from external database
+   * CREATE TYPE statements for ENUM types
    */
-  async _restoreEnums(sourcePool, targetPool) {
+  async _getEnumStatements(sourcePool, schemas) {
     const result = await sourcePool.query(`
       SELECT n.nspname as schema, t.typname as name,
-             array_agg(e.enumlabel ORDER BY e.enumsortorder) as values
+             array_agg(e.enumlabel::text ORDER BY e.enumsortorder) as values
       FROM pg_type t
       JOIN pg_enum e ON t.oid = e.enumtypid
       JOIN pg_catalog.pg_namespace n ON n.oid = t.typnamespace
-      WHERE n.nspname = 'public'
+      WHERE n.nspname = ANY($1) AND ${notExtensionMember('pg_type', 't.oid')}
       GROUP BY n.nspname, t.typname
-    `);
+    `, [schemas]);
 
-    for (const enumType of result.rows) {
+    return result.rows.map(enumType => {
       const values = enumType.values.map(v => `'${v.replace(/'/g, "''")}'`).join(', ');
-      const createSql = `CREATE TYPE "${enumType.name}" AS ENUM (${values})`;
-
-      try {
-        await targetPool.query(createSql);
-      } catch (err) {
-        if (err.code !== '42710') throw err; // 42710 = type already exists
-      }
-    }
+      return {
+        type: 'type',
+        object: `${enumType.schema}.${enumType.name}`,
+        sql: `CREATE TYPE ${qualify(enumType)} AS ENUM (${values})`
+      };
+    });
   }
 
   /**
-   * Restore table structures from external database
+   * CREATE DOMAIN statements, in creation order (a domain can be based on an earlier one)
    */
-  async _restoreTables(sourcePool, targetPool) {
-    // Get table list
-    const tablesResult = await sourcePool.query(`
-      SELECT table_name FROM information_schema.tables
-      WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
-      ORDER BY table_name
-    `);
+  async _getDomainStatements(sourcePool, schemas) {
+    const result = await sourcePool.query(`
+      SELECT n.nspname AS schema, t.typname AS name, format_type(t.typbasetype, t.typtypmod) AS base_type,
+             t.typnotnull, t.typdefault,
+             CASE WHEN t.typcollation <> bt.typcollation
+               THEN quote_ident(cn.nspname) || '.' || quote_ident(co.collname) END AS collation,
+             ARRAY(
+               SELECT 'CONSTRAINT ' || quote_ident(c.conname) || ' ' || pg_get_constraintdef(c.oid)
+               FROM pg_constraint c WHERE c.contypid = t.oid AND c.contype = 'c'
+               ORDER BY c.conname
+             ) AS constraints
+      FROM pg_type t
+      JOIN pg_type bt ON bt.oid = t.typbasetype
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      LEFT JOIN pg_collation co ON co.oid = t.typcollation
+      LEFT JOIN pg_namespace cn ON cn.oid = co.collnamespace
+      WHERE t.typtype = 'd' AND n.nspname = ANY($1) AND ${notExtensionMember('pg_type', 't.oid')}
+      ORDER BY t.oid
+    `, [schemas]);
+
+    return result.rows.map(domain => ({
+      type: 'type',
+      object: `${domain.schema}.${domain.name}`,
+      sql: `CREATE DOMAIN ${qualify(domain)} AS ${domain.base_type}` +
+        (domain.collation ? ` COLLATE ${domain.collation}` : '') +
+        (domain.typdefault ? ` DEFAULT ${domain.typdefault}` : '') +
+        (domain.typnotnull ? ' NOT NULL' : '') +
+        domain.constraints.map(constraint => ` ${constraint}`).join('')
+    }));
+  }
 
-    for (const row of tablesResult.rows) {
-      const tableName = row.table_name;
-      const createSql = await this._getTableCreateStatement(sourcePool, tableName);
+  /**
+   * CREATE SEQUENCE statements, plus OWNED BY for serial columns (run after the tables)
+   * Column defaults reference these (nextval('users_id_seq'::regclass)), so they come first.
+   * Identity columns create their own sequences.
+   * @returns {Promise<{create: Object[], ownedBy: Object[]}>} Statements as in getSchemaStatements()
+   */
+  async _getSequenceStatements(sourcePool, schemas) {
+    const result = await sourcePool.query(`
+      SELECT s.schemaname AS schema, s.sequencename AS name, s.data_type, s.start_value, s.min_value,
+             s.max_value, s.increment_by, s.cycle, tn.nspname AS table_schema, t.relname AS table_name,
+             a.attname AS column_name
+      FROM pg_sequences s
+      JOIN pg_class c ON c.relname = s.sequencename
+      JOIN pg_namespace n ON n.oid = c.relnamespace AND n.nspname = s.schemaname
+      LEFT JOIN pg_depend d ON d.classid = 'pg_class'::regclass AND d.objid = c.oid
+        AND d.refclassid = 'pg_class'::regclass AND d.deptype = 'a'
+      LEFT JOIN pg_class t ON t.oid = d.refobjid
+      LEFT JOIN pg_namespace tn ON tn.oid = t.relnamespace
+      LEFT JOIN pg_attribute a ON a.attrelid = d.refobjid AND a.attnum = d.refobjsubid
+      WHERE s.schemaname = ANY($1) AND ${notExtensionMember('pg_class', 'c.oid')}
+        AND NOT EXISTS (
+          SELECT 1 FROM pg_depend
+          WHERE classid = 'pg_class'::regclass AND objid = c.oid AND deptype = 'i'
+        )
+      ORDER BY s.schemaname, s.sequencename
+    `, [schemas]);
+
+    return {
+      create: result.rows.map(seq => ({
+        type: 'sequence',
+        object: `${seq.schema}.${seq.name}`,
+        sql: `CREATE SEQUENCE ${qualify(seq)} AS ${seq.data_type} INCREMENT BY ${seq.increment_by} ` +
+          `MINVALUE ${seq.min_value} MAXVALUE ${seq.max_value} START WITH ${seq.start_value}` +
+          (seq.cycle ? ' CYCLE' : ' NO CYCLE')
+      })),
+      // A serial column in an excluded schema would have no table to be owned by
+      ownedBy: result.rows
+        .filter(seq => seq.table_name && schemas.includes(seq.table_schema))
+        .map(seq => {
+          const table = qualify({ schema: seq.table_schema, name: seq.table_name });
+          return {
+            type: 'sequence owner',
+            object: `${seq.schema}.${seq.name}`,
+            sql: `ALTER SEQUENCE ${qualify(seq)} OWNED BY ${table}.${quoteIdent(seq.column_name)}`
+          };
+        })
+    };
+  }
 
-      try {
-        await targetPool.query(createSql);
-      } catch (err) {
-        if (err.code !== '42P07') throw err; // 42P07 = table already exists
-      }
+  /**
+   * CREATE TABLE statements for every table
+   */
+  async _getTableStatements(sourcePool, schemas) {
+    const statements = [];
+    for (const table of await this.getTables(sourcePool, schemas)) {
+      statements.push({
+        type: 'table',
+        object: `${table.schema}.${table.name}`,
+        sql: await this._getTableCreateStatement(sourcePool, table)
+      });
     }
+    return statements;
   }
 
   /**
-   * Generate CREATE TABLE statement from information_schema
+   * Generate CREATE TABLE statement from pg_catalog
+   * Types come from format_type (typmods, domains and array types as declared), defaults and
+   * generation expressions from pg_attrdef, so the binary COPY matches the source columns.
    * @param {pg.Pool} sourcePool - Source database pool
-   * @param {string} tableName - Table name
+   * @param {{schema: string, name: string}} table - Table
    * @returns {Promise<string>} CREATE TABLE SQL
    */
-  async _getTableCreateStatement(sourcePool, tableName) {
-    // Get columns
+  async _getTableCreateStatement(sourcePool, table) {
+    // Get columns (an identity column's sequence keeps its name, so its position can be restored)
     const columnsResult = await sourcePool.query(`
-      SELECT column_name, data_type, udt_name, character_maximum_length,
-             column_default, is_nullable, numeric_precision, numeric_scale
-      FROM information_schema.columns
-      WHERE table_schema = 'public' AND table_name = $1
-      ORDER BY ordinal_position
-    `, [tableName]);
+      SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type, a.attnotnull,
+             a.attidentity, a.attgenerated, pg_get_expr(d.adbin, d.adrelid) AS expression,
+             CASE WHEN a.attcollation <> t.typcollation
+               THEN quote_ident(cn.nspname) || '.' || quote_ident(co.collname) END AS collation,
+             sn.nspname AS seq_schema, sc.relname AS seq_name, s.seqstart, s.seqincrement,
+             s.seqmin, s.seqmax, s.seqcache, s.seqcycle
+      FROM pg_attribute a
+      JOIN pg_type t ON t.oid = a.atttypid
+      LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+      LEFT JOIN pg_collation co ON co.oid = a.attcollation
+      LEFT JOIN pg_namespace cn ON cn.oid = co.collnamespace
+      LEFT JOIN pg_depend dep ON a.attidentity <> '' AND dep.classid = 'pg_class'::regclass
+        AND dep.refobjid = a.attrelid AND dep.refobjsubid = a.attnum AND dep.deptype = 'i'
+      LEFT JOIN pg_sequence s ON s.seqrelid = dep.objid
+      LEFT JOIN pg_class sc ON sc.oid = s.seqrelid
+      LEFT JOIN pg_namespace sn ON sn.oid = sc.relnamespace
+      WHERE a.attrelid = $1::regclass AND a.attnum > 0 AND NOT a.attisdropped
+      ORDER BY a.attnum
+    `, [qualify(table)]);
 
     const columns = columnsResult.rows.map(col => {
-      let type = col.data_type;
-
-      // Handle special types
-      if (type === 'USER-DEFINED') {
-        type = `"${col.udt_name}"`; // ENUM or custom type
-      } else if (type === 'character varying' && col.character_maximum_length) {
-        type = `varchar(${col.character_maximum_length})`;
-      } else if (type === 'character' && col.character_maximum_length) {
-        type = `char(${col.character_maximum_length})`;
-      } else if (type === 'numeric' && col.numeric_precision) {
-        type = col.numeric_scale
-          ? `numeric(${col.numeric_precision},${col.numeric_scale})`
-          : `numeric(${col.numeric_precision})`;
-      } else if (type === 'ARRAY') {
-        type = `${col.udt_name.replace(/^_/, '')}[]`;
-      }
+      let colDef = `${quoteIdent(col.name)} ${col.type}`;
 
-      let colDef = `"${col.column_name}" ${type}`;
+      if (col.collation) {
+        colDef += ` COLLATE ${col.collation}`;
+      }
 
-      if (col.column_default) {
-        colDef += ` DEFAULT ${col.column_default}`;
+      if (col.attgenerated) {
+        // 's' = stored, 'v' = virtual (PostgreSQL 18+)
+        colDef += ` GENERATED ALWAYS AS (${col.expression}) ${col.attgenerated === 'v' ? 'VIRTUAL' : 'STORED'}`;
+      } else if (col.attidentity) {
+        const sequence = qualify({ schema: col.seq_schema, name: col.seq_name });
+        colDef += ` GENERATED ${col.attidentity === 'a' ? 'ALWAYS' : 'BY DEFAULT'} AS IDENTITY (` +
+          `SEQUENCE NAME ${sequence} START WITH ${col.seqstart} INCREMENT BY ${col.seqincrement} ` +
+          `MINVALUE ${col.seqmin} MAXVALUE ${col.seqmax} CACHE ${col.seqcache}${col.seqcycle ? ' CYCLE' : ''})`;
+      } else if (col.expression) {
+        colDef += ` DEFAULT ${col.expression}`;
       }
 
-      if (col.is_nullable === 'NO') {
+      if (col.attnotnull) {
         colDef += ' NOT NULL';
       }
 
@@ -440,38 +947,41 @@ export class RestoreManager {
       JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
       WHERE i.indrelid = $1::regclass AND i.indisprimary
       ORDER BY array_position(i.indkey, a.attnum)
-    `, [tableName]);
+    `, [qualify(table)]);
 
     if (pkResult.rows.length > 0) {
-      const pkCols = pkResult.rows.map(r => `"${r.attname}"`).join(', ');
+      const pkCols = pkResult.rows.map(r => quoteIdent(r.attname)).join(', ');
       columns.push(`PRIMARY KEY (${pkCols})`);
     }
 
-    return `CREATE TABLE "${tableName}" (\n  ${columns.join(',\n  ')}\n)`;
+    return `CREATE TABLE ${qualify(table)} (\n  ${columns.join(',\n  ')}\n)`;
   }
 
   /**
    * Discover tables in the database
-   * @param {pg.Pool} sourcePool - Source database pool
-   * @returns {Promise<string[]>} Table names
+   * @param {pg.Pool|pg.Client} sourcePool - Source database pool
+   * @param {string[]} schemas - From getSchemas()
+   * @returns {Promise<Array<{schema: string, name: string}>>} Tables
    */
-  async _discoverTables(sourcePool) {
+  async getTables(sourcePool, schemas) {
     const result = await sourcePool.query(`
-      SELECT table_name FROM information_schema.tables
-      WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
-      ORDER BY table_name
-    `);
+      SELECT table_schema, table_name FROM information_schema.tables
+      WHERE table_schema = ANY($1) AND table_type = 'BASE TABLE'
+        AND ${notExtensionMember('pg_class', "format('%I.%I', table_schema, table_name)::regclass")}
+      ORDER BY table_schema, table_name
+    `, [schemas]);
 
-    return result.rows.map(r => r.table_name);
+    return result.rows.map(r => ({ schema: r.table_schema, name: r.table_name }));
   }
 
   /**
    * Restore table data in parallel using COPY protocol
    * @param {pg.Pool} sourcePool - Source database pool
    * @param {pg.Pool} targetPool - Target database pool
-   * @param {string[]} tables - Table names
+   * @param {Array<{schema: string, name: string}>} tables - Tables
+   * @param {string} dbName - Database name (for per-schema metrics)
    */
-  async _restoreTablesParallel(sourcePool, targetPool, tables) {
+  async _restoreTablesParallel(sourcePool, targetPool, tables, dbName) {
     // Batch tables to limit concurrency
     const batches = [];
     for (let i = 0; i < tables.length; i += this.maxParallelTables) {
@@ -480,7 +990,7 @@ export class RestoreManager {
 
     for (const batch of batches) {
       await Promise.all(
-        batch.map(table => this._copyTableData(sourcePool, targetPool, table))
+        batch.map(table => this._copyTableData(sourcePool, targetPool, table, dbName))
       );
     }
   }
@@ -489,12 +999,17 @@ export class RestoreManager {
    * Copy table data using binary COPY protocol (high performance)
    * @param {pg.Pool} sourcePool - Source database pool
    * @param {pg.Pool} targetPool - Target database pool
-   * @param {string} tableName - Table name
+   * @param {{schema: string, name: string}} table - Table
+   * @param {string} dbName - Database name (for per-schema metrics)
    */
-  async _copyTableData(sourcePool, targetPool, tableName) {
+  async _copyTableData(sourcePool, targetPool, table, dbName) {
+    const tableName = qualify(table);
+    const schemaMetrics = this.metrics.schemas[dbName][table.schema];
+    schemaMetrics.tables++;
+
     // Get row count first (for metrics)
     const countResult = await sourcePool.query(
-      `SELECT COUNT(*)::int as count FROM "${tableName}"`
+      `SELECT COUNT(*)::int as count FROM ${tableName}`
     );
     const rowCount = countResult.rows[0].count;
 
@@ -509,10 +1024,10 @@ export class RestoreManager {
 
     try {
       const copyToStream = sourceClient.query(
-        copyTo(`COPY "${tableName}" TO STDOUT WITH (FORMAT binary)`)
+        copyTo(`COPY ${tableName} TO STDOUT WITH (FORMAT binary)`)
       );
       const copyFromStream = targetClient.query(
-        copyFrom(`COPY "${tableName}" FROM STDIN WITH (FORMAT binary)`)
+        copyFrom(`COPY ${tableName} FROM STDIN WITH (FORMAT binary)`)
       );
 
       // Track bytes transferred
@@ -535,6 +1050,8 @@ export class RestoreManager {
           this.metrics.bytesTransferred += bytesTransferred;
           this.metrics.rowsRestored += rowCount;
           this.metrics.tablesRestored++;
+          schemaMetrics.rows += rowCount;
+          schemaMetrics.bytes += bytesTransferred;
           resolve();
         });
       });
@@ -558,29 +1075,42 @@ export class RestoreManager {
   }
 
   /**
-   * Restore sequences to correct values (after data restore)
-   * @param {pg.Pool} sourcePool - Source database pool
-   * @param {pg.Pool} targetPool - Target database pool
+   * Read sequence positions (after the data, so they cover every copied row)
+   * @param {pg.Pool|pg.Client} sourcePool - Source database pool
+   * @param {string[]} schemas - From getSchemas()
+   * @returns {Promise<Array<{schema: string, name: string, lastValue: string, isCalled: boolean}>>}
    */
-  async _restoreSequences(sourcePool, targetPool) {
-    // Get all sequences
+  async getSequenceValues(sourcePool, schemas) {
+    // Get all sequences (information_schema.sequences leaves out identity columns' sequences)
     const seqResult = await sourcePool.query(`
-      SELECT sequence_name FROM information_schema.sequences
-      WHERE sequence_schema = 'public'
-    `);
+      SELECT n.nspname AS schema, c.relname AS name
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind = 'S' AND n.nspname = ANY($1) AND ${notExtensionMember('pg_class', 'c.oid')}
+    `, [schemas]);
 
+    const sequences = [];
     for (const seq of seqResult.rows) {
-      const seqName = seq.sequence_name;
-
-      // Get current value from source
-      const valueResult = await sourcePool.query(`SELECT last_value FROM "${seqName}"`);
-      const lastValue = valueResult.rows[0].last_value;
+      const sequence = { schema: seq.schema, name: seq.name };
+      // is_called = false: nextval() returns last_value itself (sequence never used)
+      const valueResult = await sourcePool.query(`SELECT last_value, is_called FROM ${qualify(sequence)}`);
+      const { last_value: lastValue, is_called: isCalled } = valueResult.rows[0];
+      sequences.push({ ...sequence, lastValue, isCalled });
+    }
+    return sequences;
+  }
 
-      // Set on target
+  /**
+   * Set sequences to the positions read by getSequenceValues()
+   * @param {pg.Pool|pg.Client} targetPool - Target database pool
+   * @param {Array<{schema: string, name: string, lastValue: string, isCalled: boolean}>} sequences
+   */
+  async applySequenceValues(targetPool, sequences) {
+    for (const sequence of sequences) {
       try {
-        await targetPool.query(`SELECT setval($1, $2, true)`, [seqName, lastValue]);
+        await targetPool.query('SELECT setval($1, $2, $3)', [qualify(sequence), sequence.lastValue, sequence.isCalled]);
       } catch (err) {
-        this.logger.warn({ sequence: seqName, err: err.message }, 'Failed to restore sequence');
+        this.logger.warn({ sequence: qualify(sequence), err: err.message }, 'Failed to restore sequence');
       }
     }
   }
@@ -10,14 +10,46 @@
  * - Auto-provision databases on first connection
  * - Zero configuration required
  * - Memory mode (default) or persistent storage
+ * - Optional TLS termination (SSLRequest upgrade)
+ * - Query cancellation (CancelRequest relayed to the owning backend)
+ * - Optional SCRAM-SHA-256 authentication with per-database owner roles
+ * - Optional SQL migrations and seed fixtures applied to each new database before clients connect
+ * - Optional routing hook (reject, redirect or rewrite startup parameters per connection)
+ * - Optional schema-per-tenant mode (one shared database, tenant picked through search_path)
+ * - Optional per-database connection limits with a wait queue
+ * - Optional transaction pooling (backends shared between clients per transaction)
+ * - Per-database dump/load (schema + binary COPY data)
+ * - Snapshots of the whole data directory (save, restore, or start a memory-mode session from one)
+ * - Optional token-guarded HTTP admin API (stats, databases, create/drop/reset, Prometheus metrics)
  */
 
 import net from 'net';
+import crypto from 'crypto';
 import { PostgresManager } from './postgres.js';
 import { SyncManager } from './sync.js';
+import { MigrationRunner } from './migrations.js';
+import { loadFixtures, createSeedHook } from './seed.js';
+import { PatternRules } from './provision.js';
 import { RestoreManager } from './restore.js';
 import { Dashboard } from './dashboard.js';
-import { extractDatabaseNameFromSocket } from './protocol.js';
+import { AdminServer } from './admin.js';
+import { RouterMetrics, renderMetrics } from './metrics.js';
+import { BackendPool, PooledSession } from './pool.js';
+import { ConnectionLimiter } from './limits.js';
+import { SnapshotStore } from './snapshots.js';
+import {
+  extractDatabaseNameFromSocket,
+  watchBackendKeyData,
+  parseStartupMessage,
+  buildStartupMessage,
+  schemaTenantParameters,
+  rejectConnection,
+  backendError,
+  PgError
+} from './protocol.js';
+import { loadCredentials, authenticateClient, loginToBackend } from './auth.js';
+import { CancelRegistry, encodeCancelKey, sendCancelRequest } from './cancel.js';
+import { resolveTlsFiles, createTlsOptions } from './tls.js';
 import { EventEmitter } from 'events';
 import { createLogger } from './logger.js';
 
@@ -34,6 +66,32 @@ export class MultiTenantRouter extends EventEmitter {
     this.maxConnections = options.maxConnections || 1000;
     this.autoProvision = options.autoProvision !== false;
 
+    // Tenancy: 'database' (default, one database per tenant) or 'schema' (one schema per
+    // tenant inside sharedDatabase, selected by setting search_path in the startup packet)
+    this.tenancy = options.tenancy || 'database';
+    if (!['database', 'schema'].includes(this.tenancy)) {
+      throw new Error(`Invalid tenancy: ${this.tenancy} (expected database or schema)`);
+    }
+    this.sharedDatabase = options.sharedDatabase || 'tenants';
+
+    // Routing hook: async (params, {remoteAddress, tls}) => null | {reject, database, parameters, backend}
+    this.route = options.route || null;
+
+    // Per-database connection caps: default + {pattern: limit}, with a bounded wait queue
+    this.connectionLimiter = new ConnectionLimiter({
+      limit: options.connectionLimit,
+      limits: options.connectionLimits,
+      queueSize: options.connectionQueueSize,
+      queueTimeout: options.connectionQueueTimeout
+    });
+
+    // Which database names may be auto-provisioned: {allow, deny, maxDatabases, maxNameLength, reserved}
+    this.provisionPolicy = options.provisionPolicy || null;
+
+    // Clone new databases from templates: default name + {pattern: template} overrides
+    this.template = options.template || null;
+    this.templates = options.templates || null;
+
     // Internal PostgreSQL port (different from router port)
     this.pgPort = options.pgPort || (this.port + 1000);
 
@@ -46,19 +104,92 @@ export class MultiTenantRouter extends EventEmitter {
     this.syncDatabases = options.syncDatabases
       ? options.syncDatabases.split(',').map(s => s.trim())
       : [];
+    // Schema patterns for the startup restore (default: every non-system schema)
+    this.restoreSchemas = options.restoreSchemas
+      ? options.restoreSchemas.split(',').map(s => s.trim())
+      : [];
+    this.restoreExcludeSchemas = options.restoreExcludeSchemas
+      ? options.restoreExcludeSchemas.split(',').map(s => s.trim())
+      : [];
     this.syncManager = null;
 
+    // TLS options (resolved in start() - a self-signed pair may be generated into the data dir)
+    this.tlsMode = options.tlsMode || null;
+    this.tlsCert = options.tlsCert || null;
+    this.tlsKey = options.tlsKey || null;
+    this.tls = null;
+
+    // Router authentication: credentials file path or async (user, database) => password
+    // null = clients authenticate directly against PostgreSQL (postgres/postgres)
+    this.credentials = options.credentials || null;
+    this.authLookup = this.credentials ? loadCredentials(this.credentials) : null;
+
+    // Pooling: 'session' (default, one backend per client) or 'transaction' (see pool.js)
+    this.poolMode = options.poolMode || 'session';
+    if (!['session', 'transaction'].includes(this.poolMode)) {
+      throw new Error(`Invalid pool mode: ${this.poolMode} (expected session or transaction)`);
+    }
+    this.poolSize = options.poolSize || null; // Backends per database (null = pool.js default)
+    this.pools = new Map(); // dbName → BackendPool
+
+    // Named copies of the data directory; options.snapshot seeds a new cluster from one
+    this.snapshots = new SnapshotStore({
+      dir: options.snapshotDir,
+      logger: this.logger.child({ component: 'snapshots' })
+    });
+
     // PostgreSQL manager (with sync flag if needed)
     this.pgManager = new PostgresManager({
       dataDir: this.baseDir,
       port: this.pgPort,
       logger: this.logger.child({ component: 'postgres' }),
-      syncEnabled: !!this.syncTo  // Enable logical replication if sync is configured
+      syncEnabled: !!this.syncTo,  // Enable logical replication if sync is configured
+      ownerRoles: !!this.authLookup, // Tenants log in as their database's owner role
+      provisionPolicy: this.provisionPolicy,
+      template: this.template,
+      templates: this.templates,
+      pgVersion: options.pgVersion,
+      pgBinDir: options.pgBinDir,
+      memoryDir: options.memoryDir,
+      preset: options.pgPreset,
+      settingsFile: options.pgSettingsFile,
+      settings: options.pgSettings,
+      snapshotStore: this.snapshots,
+      snapshot: options.snapshot
     });
 
+    // Pooled clients without an auth file log in as the superuser, as in session mode
+    this.superuserLookup = async (user) => (user === this.pgManager.user ? this.pgManager.password : null);
+
+    // Ordered SQL migrations, applied to each new database before the client's startup packet is forwarded
+    this.migrations = options.migrations
+      ? new MigrationRunner({ dir: options.migrations, logger: this.logger.child({ component: 'migrations' }) })
+      : null;
+    if (this.migrations) {
+      this.pgManager.addProvisionHook((client, dbName) => this.migrations.apply(client, dbName));
+    }
+
+    // Seed fixtures for newly created databases (after migrations): default + {pattern: source}
+    this.seedLogger = this.logger.child({ component: 'seed' });
+    if (options.seed || options.seeds) {
+      const seedRules = new PatternRules(options.seed, options.seeds);
+      this.pgManager.addProvisionHook(createSeedHook(seedRules, this.seedLogger));
+    }
+
+    // HTTP admin API (null port = disabled; a random token is generated if none is given)
+    this.adminPort = options.adminPort || null;
+    this.adminHost = options.adminHost || this.host;
+    this.adminToken = options.adminToken || null;
+    this.admin = null;
+
     // TCP server
     this.server = null;
     this.connections = new Set();
+    this.databaseConnections = new Map(); // dbName → active proxied sessions
+    this.metrics = new RouterMetrics();
+
+    // BackendKeyData of proxied sessions (for CancelRequest relay)
+    this.cancelKeys = new CancelRegistry();
 
     // Performance: Reduce event listener overhead
     this.setMaxListeners(this.maxConnections + 10);
@@ -79,6 +210,20 @@ export class MultiTenantRouter extends EventEmitter {
     socket.setTimeout(0);
   }
 
+  /**
+   * Address of the embedded PostgreSQL (prefer Unix socket for speed)
+   * @returns {Object} net.connect() options
+   */
+  getBackendAddress() {
+    const socketPath = this.pgManager.getSocketPath();
+    if (socketPath) {
+      // Unix socket connection (Linux/macOS) - ~30% faster than TCP
+      return { path: socketPath };
+    }
+    // TCP fallback (Windows)
+    return { host: '127.0.0.1', port: this.pgPort };
+  }
+
   /**
    * Start multi-tenant router
    */
@@ -95,7 +240,20 @@ export class MultiTenantRouter extends EventEmitter {
     // Start PostgreSQL first
     dashboard.stage('PostgreSQL binaries resolved');
     await this.pgManager.start();
-    dashboard.stage('PostgreSQL started');
+    dashboard.stage(`PostgreSQL ${this.pgManager.binaries.version} started`);
+
+    // Load TLS certificate (or generate a self-signed one next to the data)
+    const tlsFiles = await resolveTlsFiles({
+      mode: this.tlsMode,
+      certPath: this.tlsCert,
+      keyPath: this.tlsKey,
+      dataDir: this.pgManager.databaseDir,
+      logger: this.logger
+    });
+    this.tls = createTlsOptions(tlsFiles);
+    if (this.tls.mode !== 'disable') {
+      dashboard.stage(`TLS enabled (${this.tls.mode})`);
+    }
 
     // Automatic restore from external PostgreSQL (if sync configured)
     // This runs BEFORE SyncManager to restore data before enabling outbound sync
@@ -103,6 +261,8 @@ export class MultiTenantRouter extends EventEmitter {
       const restoreManager = new RestoreManager({
         sourceUrl: this.syncTo,
         patterns: this.syncDatabases,
+        includeSchemas: this.restoreSchemas,
+        excludeSchemas: this.restoreExcludeSchemas,
         targetPort: this.pgPort,
         targetSocketPath: this.pgManager.getSocketPath(),
         logger: this.logger.child({ component: 'restore' }),
@@ -153,6 +313,19 @@ export class MultiTenantRouter extends EventEmitter {
         .catch(err => this.logger.warn({ err: err.message }, 'Sync manager initialization failed (non-fatal)'));
     }
 
+    if (this.adminPort) {
+      this.admin = new AdminServer({
+        target: this,
+        port: this.adminPort,
+        host: this.adminHost,
+        token: this.adminToken,
+        logger: this.logger.child({ component: 'admin' })
+      });
+      await this.admin.start();
+      this.adminToken = this.admin.token;
+      dashboard.stage(`Admin API listening on ${this.adminHost}:${this.adminPort}`);
+    }
+
     return new Promise((resolve, _reject) => {
       // Create TCP server
       this.server = net.createServer({
@@ -162,9 +335,6 @@ export class MultiTenantRouter extends EventEmitter {
         await this.handleConnection(socket);
       });
 
-      // Set max connections
-      this.server.maxConnections = this.maxConnections;
-
       // Error handling
       this.server.on('error', (error) => {
         this.logger.error({ err: error }, 'Server error');
@@ -186,7 +356,9 @@ export class MultiTenantRouter extends EventEmitter {
           baseDir: this.memoryMode ? '(in-memory)' : this.baseDir,
           memoryMode: this.memoryMode,
           autoProvision: this.autoProvision,
-          maxConnections: this.maxConnections
+          maxConnections: this.maxConnections,
+          tls: this.tls.mode,
+          auth: this.authLookup ? 'scram-sha-256' : 'postgres'
         }, 'Multi-tenant router started');
 
         this.emit('listening');
@@ -200,86 +372,354 @@ export class MultiTenantRouter extends EventEmitter {
    * OPTIMIZED: Removed hot path logging for performance
    */
   async handleConnection(socket) {
+    const acceptedAt = process.hrtime.bigint();
+
     // Track connection
     this.connections.add(socket);
+    this.metrics.accepted++;
 
     // Optimize socket BEFORE any I/O
     this.optimizeSocket(socket);
 
     let dbName = null;
     let pgSocket = null;
+    let clientSocket = socket;
+    let releaseSlot = null;
+    let clientGone = null;
 
     try {
-      // Extract database name from PostgreSQL handshake
-      const { dbName: extractedDbName, buffered } = await extractDatabaseNameFromSocket(socket);
-      dbName = extractedDbName;
+      // Extract database name from PostgreSQL handshake (upgrades to TLS if negotiated)
+      const startup = await extractDatabaseNameFromSocket(socket, { tls: this.tls });
+      clientSocket = startup.socket;
+      this.metrics.observeStartup(acceptedAt);
+
+      // Out-of-band query cancellation (no session, connection just closes)
+      if (startup.cancel) {
+        await this.cancelQuery(startup.cancel);
+        clientSocket.destroy();
+        this.connections.delete(socket);
+        return;
+      }
 
-      // Auto-provision database if needed
-      if (this.autoProvision) {
-        await this.pgManager.createDatabase(dbName);
+      // Enforced here rather than with server.maxConnections, which drops sockets silently
+      if (this.connections.size > this.maxConnections) {
+        throw new PgError('53300', 'sorry, too many clients already');
       }
 
-      // Connect to real PostgreSQL (prefer Unix socket for speed)
-      const socketPath = this.pgManager.getSocketPath();
-      if (socketPath) {
-        // Unix socket connection (Linux/macOS) - ~30% faster than TCP
-        pgSocket = net.connect({ path: socketPath });
-      } else {
-        // TCP fallback (Windows)
-        pgSocket = net.connect({ host: '127.0.0.1', port: this.pgPort });
+      dbName = startup.dbName;
+      let buffered = startup.buffered;
+
+      // Routing hook (before authentication, so rejected clients cost nothing)
+      let params = null;
+      let backend = null;
+      if (this.route) {
+        ({ params, backend } = await this.routeConnection(startup, clientSocket));
+        dbName = params.database;
+        buffered = buildStartupMessage(params);
+      }
+
+      // Router authentication (before anything is provisioned for this client)
+      // Pooled clients never reach PostgreSQL's own login, so the router checks them too
+      if (this.authLookup || this.poolMode === 'transaction') {
+        params ??= { ...parseStartupMessage(buffered, false), database: dbName };
+        await authenticateClient(clientSocket, params, this.authLookup || this.superuserLookup);
       }
 
+      // A client that leaves while queued or provisioned gives its place back
+      clientGone = new AbortController();
+      const onClientGone = () => clientGone.abort(new Error('Client disconnected before its session started'));
+      clientSocket.once('close', onClientGone);
+      clientSocket.once('error', onClientGone);
+      if (clientSocket.destroyed) onClientGone();
+
+      // Per-database cap (waits in the database's queue while it is full)
+      releaseSlot = await this.connectionLimiter.acquire(dbName, { signal: clientGone.signal });
+
+      // Auto-provision database if needed (not on backends the routing hook picked)
+      if (this.autoProvision && !backend) {
+        await this.createDatabase(dbName);
+      }
+
+      // Schema tenancy: the backend opens the shared database, search_path picks the tenant
+      if (this.tenancy === 'schema' && !backend) {
+        params ??= parseStartupMessage(buffered, false);
+        params = { ...params, ...this.getBackendDatabase(dbName, params.options) };
+        buffered = buildStartupMessage(params);
+      }
+
+      // Its 'close' has fired already, so nothing would end the session
+      clientGone.signal.throwIfAborted();
+
+      if (this.poolMode === 'transaction') {
+        await this.startPooledSession(socket, clientSocket, dbName, releaseSlot);
+        this.emit('connection', { dbName, socket: clientSocket });
+        return;
+      }
+
+      // Connect to real PostgreSQL
+      pgSocket = net.connect(backend || this.getBackendAddress());
+
       // Wait for PostgreSQL connection
       await new Promise((resolve, reject) => {
         pgSocket.once('connect', resolve);
-        pgSocket.once('error', reject);
+        pgSocket.once('error', error => reject(backendError(error)));
       });
 
       this.optimizeSocket(pgSocket);
 
-      // Send the buffered startup message to PostgreSQL
-      pgSocket.write(buffered);
+      if (this.authLookup) {
+        // Log in as the database's owner role (AuthenticationOk onward goes to the client)
+        const role = await this.pgManager.getDatabaseRole(params.database);
+        await loginToBackend(pgSocket, buildStartupMessage({ ...params, user: role.user }), role);
+      } else {
+        // Send the buffered startup message to PostgreSQL
+        pgSocket.write(buffered);
+      }
 
       // Resume client socket (was paused on connect)
-      socket.resume();
+      clientSocket.resume();
 
       // Bidirectional pipe (TRUE proxy)
-      socket.pipe(pgSocket);
-      pgSocket.pipe(socket);
+      clientSocket.pipe(pgSocket);
+      pgSocket.pipe(clientSocket);
+
+      // Record the session's BackendKeyData so its CancelRequests can be relayed
+      let cancelKeyId = null;
+      watchBackendKeyData(pgSocket, (key) => {
+        cancelKeyId = encodeCancelKey(key);
+        this.cancelKeys.add(cancelKeyId, backend || true);
+      });
+
+      this.trackDatabaseConnection(dbName, 1);
+      this.metrics.trackBackend(pgSocket);
+      let tracked = true;
 
       // Handle cleanup - optimized: single handler, no logging in hot path
       const cleanup = () => {
         this.connections.delete(socket);
+        if (tracked) {
+          this.trackDatabaseConnection(dbName, -1);
+          releaseSlot();
+          tracked = false;
+        }
+        if (cancelKeyId) this.cancelKeys.delete(cancelKeyId);
         if (pgSocket && !pgSocket.destroyed) pgSocket.destroy();
-        if (socket && !socket.destroyed) socket.destroy();
+        if (clientSocket && !clientSocket.destroyed) clientSocket.destroy();
       };
 
-      socket.once('close', cleanup);
-      socket.once('error', cleanup);
-      pgSocket.once('close', () => {
-        if (socket && !socket.destroyed) socket.destroy();
-      });
+      clientSocket.once('close', cleanup);
+      clientSocket.once('error', cleanup);
+      pgSocket.once('close', cleanup);
       pgSocket.once('error', cleanup);
+      if (clientSocket.destroyed) cleanup(); // Left during the backend login
 
-      this.emit('connection', { dbName, socket });
+      this.emit('connection', { dbName, socket: clientSocket });
     } catch (error) {
-      // Only log actual errors
-      this.logger.error({ dbName, err: error }, 'Connection error');
+      // Only log actual errors (a client that left while waiting isn't one)
+      if (!clientGone?.signal.aborted) {
+        this.logger.error({ dbName, err: error }, 'Connection error');
+        this.metrics.recordFailure(error);
+      }
 
-      // Cleanup
+      // Cleanup (the client gets an ErrorResponse instead of a dropped socket)
       if (pgSocket && !pgSocket.destroyed) pgSocket.destroy();
-      socket.destroy();
+      rejectConnection(error.socket || clientSocket, error);
       this.connections.delete(socket);
+      releaseSlot?.();
       this.emit('connection-error', { error, dbName });
     }
   }
 
+  /**
+   * Run the routing hook on a client's startup parameters
+   *
+   * The hook gets every startup parameter (user, database, application_name,
+   * options, replication, ...) and returns nothing (route as usual) or:
+   * - reject: message or {code, message, detail} - refuse the connection (default 28000)
+   * - database: connect to this database instead (auto-provisioned as usual)
+   * - parameters: startup parameters to set or (with null) remove, e.g.
+   *   {options: '-c search_path=app'} or {statement_timeout: '5s'}
+   * - backend: net.connect() options of another PostgreSQL server (session mode without
+   *   router authentication; the client then logs in to that server itself)
+   *
+   * @param {Object} startup - From extractDatabaseNameFromSocket()
+   * @param {net.Socket} clientSocket - Client socket (TLS if negotiated)
+   * @returns {Promise<{params: Object, backend: Object|null}>} Startup parameters to use
+   * @throws {PgError} When the hook rejects the connection
+   */
+  async routeConnection(startup, clientSocket) {
+    const params = { ...parseStartupMessage(startup.buffered, false), database: startup.dbName };
+    const decision = await this.route({ ...params }, {
+      remoteAddress: clientSocket.remoteAddress,
+      tls: clientSocket.encrypted === true
+    }) || {};
+
+    if (decision.reject) {
+      const reject = typeof decision.reject === 'string' ? { message: decision.reject } : decision.reject;
+      throw new PgError(reject.code || '28000', reject.message || 'connection rejected by routing rules', {
+        detail: reject.detail
+      });
+    }
+
+    if (decision.backend && (this.authLookup || this.poolMode === 'transaction')) {
+      throw new Error('Routing to another backend needs session pooling without router authentication');
+    }
+
+    const routed = { ...params, ...decision.parameters };
+    if (decision.database) routed.database = decision.database;
+    for (const [key, value] of Object.entries(routed)) {
+      if (value === null || value === undefined) delete routed[key];
+    }
+    routed.database ??= params.database;
+
+    return { params: routed, backend: decision.backend || null };
+  }
+
+  /**
+   * Startup parameters that put a backend into a tenant's data
+   * (with schema tenancy: the shared database, search_path on the tenant's schema)
+   * @param {string} dbName - Database the client asked for
+   * @param {string} [options] - Client's options startup parameter
+   * @returns {{database: string, options?: string}}
+   */
+  getBackendDatabase(dbName, options) {
+    if (this.tenancy !== 'schema') {
+      return { database: dbName };
+    }
+    return schemaTenantParameters(this.sharedDatabase, dbName, options);
+  }
+
+  /**
+   * Get (or create) the backend pool of a database
+   * @param {string} dbName - Database name
+   * @returns {BackendPool}
+   */
+  getPool(dbName) {
+    let pool = this.pools.get(dbName);
+    if (!pool) {
+      pool = new BackendPool({
+        dbName,
+        size: this.poolSize,
+        connect: () => this.connectPooledBackend(dbName)
+      });
+      this.pools.set(dbName, pool);
+    }
+    return pool;
+  }
+
+  /**
+   * Close a database's backend pool; the next pooled session opens a new one
+   * Needed whenever postgres drops the backends: idle ones are paused and wouldn't notice.
+   * @param {string} dbName - Database name
+   */
+  closePool(dbName) {
+    this.pools.get(dbName)?.close();
+    this.pools.delete(dbName);
+  }
+
+  /**
+   * Open and log in a backend for a pool (as the owner role with auth, else the superuser)
+   * @param {string} dbName - Database name
+   * @returns {Promise<net.Socket>} Socket positioned at AuthenticationOk
+   */
+  async connectPooledBackend(dbName) {
+    const pgSocket = net.connect(this.getBackendAddress());
+    try {
+      await new Promise((resolve, reject) => {
+        pgSocket.once('connect', resolve);
+        pgSocket.once('error', error => reject(backendError(error)));
+      });
+      this.optimizeSocket(pgSocket);
+
+      const startup = this.getBackendDatabase(dbName);
+      const role = this.authLookup
+        ? await this.pgManager.getDatabaseRole(startup.database)
+        : { user: this.pgManager.user, password: this.pgManager.password };
+      await loginToBackend(pgSocket, buildStartupMessage({ ...startup, user: role.user }), role);
+    } catch (error) {
+      pgSocket.destroy();
+      throw error;
+    }
+
+    this.metrics.trackBackend(pgSocket);
+    return pgSocket;
+  }
+
+  /**
+   * Finish a pooled client's login and relay it through its database's pool
+   * @param {net.Socket} socket - Accepted socket (connection tracking key)
+   * @param {net.Socket} clientSocket - Client socket (TLS if negotiated), authenticated
+   * @param {string} dbName - Database name
+   * @param {Function} releaseSlot - Frees the client's connection-limit slot
+   */
+  async startPooledSession(socket, clientSocket, dbName, releaseSlot) {
+    const pool = this.getPool(dbName);
+    const parameters = await pool.getParameters();
+
+    // The client's BackendKeyData is the router's; cancels go to whichever backend it holds
+    const key = { processId: crypto.randomInt(1, 2 ** 31), secretKey: crypto.randomBytes(4) };
+    const keyId = encodeCancelKey(key);
+    const session = new PooledSession(clientSocket, pool);
+    this.cancelKeys.add(keyId, session);
+    this.trackDatabaseConnection(dbName, 1);
+
+    session.once('close', () => {
+      this.connections.delete(socket);
+      this.cancelKeys.delete(keyId);
+      this.trackDatabaseConnection(dbName, -1);
+      releaseSlot();
+    });
+    session.start(parameters, key);
+  }
+
+  /**
+   * Count a proxied session in or out of its database's total
+   * @param {string} dbName - Database name
+   * @param {number} delta - 1 when the session starts, -1 when it ends
+   */
+  trackDatabaseConnection(dbName, delta) {
+    const count = (this.databaseConnections.get(dbName) || 0) + delta;
+    if (count > 0) {
+      this.databaseConnections.set(dbName, count);
+    } else {
+      this.databaseConnections.delete(dbName);
+    }
+  }
+
+  /**
+   * Relay a CancelRequest to PostgreSQL if it belongs to a live session
+   * @param {{processId: number, secretKey: Buffer}} key - Backend key data from the client
+   * @returns {Promise<boolean>} true if the cancel was forwarded
+   */
+  async cancelQuery(key) {
+    const owner = this.cancelKeys.get(encodeCancelKey(key));
+    if (!owner) {
+      this.logger.debug({ processId: key.processId }, 'Ignoring cancel request for unknown session');
+      return false;
+    }
+
+    // Pooled session: cancel on the backend it holds right now (nothing to cancel between transactions)
+    if (owner instanceof PooledSession) {
+      if (!owner.backend) return false;
+      await sendCancelRequest(this.getBackendAddress(), owner.backend.key);
+      return true;
+    }
+
+    // Local session (true) or one the routing hook sent to another server (its address)
+    await sendCancelRequest(owner === true ? this.getBackendAddress() : owner, key);
+    return true;
+  }
+
   /**
    * Stop router (graceful shutdown)
    */
   async stop() {
     this.logger.info('Stopping multi-tenant router');
 
+    if (this.admin) {
+      await this.admin.stop();
+    }
+
     // Close all connections gracefully
     const activeConns = this.connections.size;
     for (const socket of this.connections) {
@@ -287,6 +727,10 @@ export class MultiTenantRouter extends EventEmitter {
     }
     this.connections.clear();
 
+    for (const pool of this.pools.values()) {
+      pool.close();
+    }
+
     // Close TCP server
     if (this.server) {
       await new Promise((resolve) => {
@@ -318,6 +762,9 @@ export class MultiTenantRouter extends EventEmitter {
       host: this.host,
       pgPort: this.pgPort,
       activeConnections: this.connections.size,
+      connectionLimits: this.connectionLimiter.getStats(),
+      poolMode: this.poolMode,
+      pools: Object.fromEntries([...this.pools].map(([dbName, pool]) => [dbName, pool.getStats()])),
       postgres: this.pgManager.getStats()
     };
   }
@@ -328,6 +775,203 @@ export class MultiTenantRouter extends EventEmitter {
   listDatabases() {
     return this.pgManager.getStats().databases;
   }
+
+  /**
+   * List every database in PostgreSQL with its size and backend count
+   * (listDatabases() only returns databases provisioned by this router)
+   */
+  async getDatabases() {
+    return this.pgManager.getDatabases();
+  }
+
+  /**
+   * Active client connections per database
+   * @returns {{total: number, databases: Object<string, number>}}
+   */
+  getConnections() {
+    return {
+      total: this.connections.size,
+      databases: Object.fromEntries(this.databaseConnections)
+    };
+  }
+
+  /**
+   * Replication status of the async sync (disabled unless syncTo is set)
+   */
+  async getReplicationStatus() {
+    if (!this.syncManager) {
+      return { enabled: false };
+    }
+    return { enabled: true, ...await this.syncManager.getReplicationStatus() };
+  }
+
+  /**
+   * Router, PostgreSQL and replication metrics in Prometheus text format
+   * @returns {Promise<string>}
+   */
+  async getMetrics() {
+    return renderMetrics({
+      router: this.metrics.snapshot(this.databaseConnections),
+      postgres: await this.pgManager.getMetrics(),
+      replication: this.syncManager ? await this.syncManager.getReplicationStatus() : null
+    });
+  }
+
+  /**
+   * Create a database as a first connection would (policy, template, migrations, seeds)
+   * With schema tenancy this creates the tenant's schema in the shared database.
+   * @param {string} dbName - Database name
+   */
+  async createDatabase(dbName) {
+    if (this.tenancy === 'schema') {
+      await this.pgManager.createSchema(this.sharedDatabase, dbName);
+    } else {
+      await this.pgManager.createDatabase(dbName);
+    }
+  }
+
+  /**
+   * Mark a database as a template new tenants can be cloned from
+   * @param {string} dbName - Database name
+   * @param {boolean} [isTemplate=true] - false clears the flag
+   */
+  async markAsTemplate(dbName, isTemplate = true) {
+    await this.pgManager.markAsTemplate(dbName, isTemplate);
+  }
+
+  /**
+   * Drop a database (live sessions are terminated)
+   * With schema tenancy this drops the tenant's schema (CASCADE) in the shared database.
+   * @param {string} dbName - Database name
+   * @returns {Promise<boolean>} false if the database didn't exist
+   */
+  async dropDatabase(dbName) {
+    try {
+      if (this.tenancy === 'schema') {
+        return await this.pgManager.dropSchema(this.sharedDatabase, dbName);
+      }
+      return await this.pgManager.dropDatabase(dbName);
+    } finally {
+      // Its pooled backends were terminated (or point at a schema that's gone)
+      this.closePool(dbName);
+    }
+  }
+
+  /**
+   * Drop and recreate a database (template, migrations and seeds are applied again)
+   * With schema tenancy this recreates the tenant's schema.
+   * @param {string} dbName - Database name
+   */
+  async resetDatabase(dbName) {
+    try {
+      if (this.tenancy === 'schema') {
+        await this.pgManager.resetSchema(this.sharedDatabase, dbName);
+      } else {
+        await this.pgManager.resetDatabase(dbName);
+      }
+    } finally {
+      this.closePool(dbName);
+    }
+  }
+
+  /**
+   * Empty every table in a database, keeping the schema
+   * With schema tenancy only the tenant's schema is emptied.
+   * @param {string} dbName - Database name
+   * @returns {Promise<string[]>} Truncated tables
+   */
+  async truncateAll(dbName) {
+    if (this.tenancy === 'schema') {
+      return this.pgManager.truncateSchema(this.sharedDatabase, dbName);
+    }
+    return this.pgManager.truncateAll(dbName);
+  }
+
+  /**
+   * Write a database's schema and data to a stream as a self-contained dump (see dump.js)
+   * @param {string} dbName - Database name
+   * @param {stream.Writable} output - Destination (left open)
+   * @returns {Promise<{database: string, tables: number, rows: number, bytes: number}>}
+   * @throws {PgError} 0A000 with schema tenancy (dumps hold whole databases)
+   */
+  async dumpDatabase(dbName, output) {
+    if (this.tenancy === 'schema') {
+      throw new PgError('0A000', 'Dumps are not supported with schema tenancy (tenants are schemas, dumps hold whole databases)');
+    }
+    return this.pgManager.dumpDatabase(dbName, output);
+  }
+
+  /**
+   * Create a new database from a dump (fails if it exists)
+   * @param {string} dbName - Database name
+   * @param {AsyncIterable<Buffer>} input - Dump stream, e.g. fs.createReadStream(file)
+   * @returns {Promise<{database: string, tables: number, rows: number}>}
+   * @throws {PgError} 0A000 with schema tenancy (dumps hold whole databases)
+   */
+  async loadDatabase(dbName, input) {
+    if (this.tenancy === 'schema') {
+      throw new PgError('0A000', 'Dumps are not supported with schema tenancy (tenants are schemas, dumps hold whole databases)');
+    }
+    return this.pgManager.loadDatabase(dbName, input);
+  }
+
+  /**
+   * Saved snapshots, oldest first
+   * @returns {Promise<Object[]>} {name, createdAt, version, sizeBytes} each
+   */
+  async listSnapshots() {
+    return this.snapshots.list();
+  }
+
+  /**
+   * Save the whole data directory as a named snapshot
+   * PostgreSQL restarts for a moment, so open sessions are disconnected.
+   * @param {string} name - Snapshot name
+   * @returns {Promise<Object>} Snapshot metadata
+   */
+  async createSnapshot(name) {
+    try {
+      return await this.pgManager.createSnapshot(this.snapshots, name);
+    } finally {
+      // Pooled backends went down with postgres
+      [...this.pools.keys()].forEach(dbName => this.closePool(dbName));
+    }
+  }
+
+  /**
+   * Replace the whole data directory with a snapshot (open sessions are disconnected)
+   * @param {string} name - Snapshot name
+   * @returns {Promise<Object>} Snapshot metadata
+   */
+  async restoreSnapshot(name) {
+    if (this.syncManager) {
+      throw new Error('Restoring a snapshot is not supported while replicating (--sync-to)');
+    }
+    try {
+      return await this.pgManager.restoreSnapshot(this.snapshots, name);
+    } finally {
+      [...this.pools.keys()].forEach(dbName => this.closePool(dbName));
+    }
+  }
+
+  /**
+   * Load fixtures into a database (created first if needed)
+   * @param {string} dbName - Database name
+   * @param {string|string[]|Object} fixtures - Fixture file(s)/directories, or {table: rows}
+   * @param {Object} [options]
+   * @param {boolean} [options.truncate=false] - Empty the fixture tables first (reseed)
+   */
+  async seed(dbName, fixtures, options = {}) {
+    await this.createDatabase(dbName);
+    const client = this.tenancy === 'schema'
+      ? await this.pgManager.connectToSchema(this.sharedDatabase, dbName)
+      : await this.pgManager.connectAsOwner(dbName);
+    try {
+      await loadFixtures(client, fixtures, { ...options, dbName, logger: this.seedLogger });
+    } finally {
+      await client.end();
+    }
+  }
 }
 
 /**
@@ -0,0 +1,251 @@
+/**
+ * Seed Fixtures - data loaded into new databases (and on demand via router.seed())
+ *
+ * Fixture sources:
+ * - *.sql: executed as-is
+ * - *.csv: COPY into the table named after the file (header row = column names)
+ * - *.json: array of row objects, COPY into the table named after the file
+ * - directories: all of the above, in natural file name order
+ * - objects (API only): rows per table, e.g. { users: [{ id: 1, name: 'alice' }] }
+ *
+ * File names map to tables: "users.csv" → users, "app.users.csv" → app.users,
+ * and an ordering prefix is ignored ("01_users.csv" → users).
+ * A fixture set loads in one transaction - it either fully applies or not at all.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { from as copyFrom } from 'pg-copy-streams';
+
+const FIXTURE_EXTENSIONS = ['.sql', '.csv', '.json'];
+
+/**
+ * Table name for a fixture file ("01_app.users.csv" → "app.users")
+ * @param {string} file - File path
+ * @returns {string}
+ */
+function tableFromFile(file) {
+  return path.basename(file, path.extname(file)).replace(/^\d+[_-]/, '');
+}
+
+/**
+ * Quote a possibly schema-qualified table name
+ * @param {pg.Client} client
+ * @param {string} table - "users" or "app.users"
+ */
+function quoteTable(client, table) {
+  return table.split('.').map(part => client.escapeIdentifier(part)).join('.');
+}
+
+/**
+ * Expand a fixture source into an ordered list of fixtures
+ * @param {string|string[]|Object} source - Path(s) to files/directories, or {table: rows}
+ * @returns {Array<{type: string, table?: string, file?: string, rows?: Object[]}>}
+ */
+function resolveFixtures(source) {
+  if (Array.isArray(source)) {
+    return source.flatMap(resolveFixtures);
+  }
+
+  if (typeof source === 'object' && source !== null) {
+    return Object.entries(source).map(([table, rows]) => ({ type: 'rows', table, rows }));
+  }
+
+  if (!fs.existsSync(source)) {
+    throw new Error(`Seed fixtures not found: ${path.resolve(source)}`);
+  }
+  const stat = fs.statSync(source);
+  if (stat.isDirectory()) {
+    return fs.readdirSync(source)
+      .filter(file => FIXTURE_EXTENSIONS.includes(path.extname(file)))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .flatMap(file => resolveFixtures(path.join(source, file)));
+  }
+
+  const ext = path.extname(source);
+  if (ext === '.sql') {
+    return [{ type: 'sql', file: source }];
+  }
+  if (ext === '.csv') {
+    return [{ type: 'csv', table: tableFromFile(source), file: source }];
+  }
+  if (ext === '.json') {
+    const rows = JSON.parse(fs.readFileSync(source, 'utf8'));
+    if (!Array.isArray(rows)) {
+      throw new Error(`Fixture ${source} must contain an array of rows`);
+    }
+    return [{ type: 'rows', table: tableFromFile(source), rows }];
+  }
+  throw new Error(`Unsupported fixture file: ${source} (expected ${FIXTURE_EXTENSIONS.join(', ')})`);
+}
+
+/**
+ * Split one CSV line into fields (quoted fields may contain commas and "")
+ * @param {string} line
+ * @returns {string[]}
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Read the header row of a CSV file
+ * @param {string} file
+ * @returns {string[]} Column names
+ */
+function readCsvHeader(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(65536);
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const firstLine = buffer.toString('utf8', 0, bytes).split(/\r?\n/)[0];
+    return parseCsvLine(firstLine.replace(/^\uFEFF/, ''));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Encode a JS value as a CSV field for COPY (unquoted empty = NULL)
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value); // json/jsonb columns
+  } else {
+    text = String(value);
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function* csvRows(rows, columns) {
+  for (const row of rows) {
+    yield columns.map(column => csvValue(row[column])).join(',') + '\n';
+  }
+}
+
+/**
+ * COPY rows into a table
+ * @param {pg.Client} client
+ * @param {string} table
+ * @param {string[]} columns
+ * @param {Readable} input - CSV data
+ * @param {boolean} header - Whether input starts with a header row
+ */
+async function copyCsv(client, table, columns, input, header) {
+  const columnList = columns.map(column => client.escapeIdentifier(column)).join(', ');
+  const sql = `COPY ${quoteTable(client, table)} (${columnList}) FROM STDIN WITH (FORMAT csv, HEADER ${header})`;
+  await pipeline(input, client.query(copyFrom(sql)));
+}
+
+/**
+ * Load one fixture
+ */
+async function loadFixture(client, fixture) {
+  if (fixture.type === 'sql') {
+    await client.query(fs.readFileSync(fixture.file, 'utf8'));
+  } else if (fixture.type === 'csv') {
+    const columns = readCsvHeader(fixture.file);
+    await copyCsv(client, fixture.table, columns, fs.createReadStream(fixture.file), true);
+  } else if (fixture.rows.length > 0) {
+    // Columns = every key used by any row (missing keys load as NULL)
+    const columns = [...new Set(fixture.rows.flatMap(row => Object.keys(row)))];
+    await copyCsv(client, fixture.table, columns, Readable.from(csvRows(fixture.rows, columns)), false);
+  }
+}
+
+/**
+ * Load a fixture set into a database (single transaction)
+ *
+ * @param {pg.Client} client - Connection to the target database
+ * @param {string|string[]|Object} source - Path(s) to files/directories, or {table: rows}
+ * @param {Object} [options]
+ * @param {boolean} [options.truncate=false] - Empty the fixture tables first (RESTART IDENTITY CASCADE)
+ * @param {string} [options.dbName] - For logging and errors
+ * @param {Object} [options.logger] - Pino logger
+ */
+export async function loadFixtures(client, source, options = {}) {
+  const fixtures = resolveFixtures(source);
+  const tables = [...new Set(fixtures.filter(f => f.table).map(f => f.table))];
+
+  let current = null;
+  try {
+    await client.query('BEGIN');
+
+    if (options.truncate && tables.length > 0) {
+      const list = tables.map(table => quoteTable(client, table)).join(', ');
+      await client.query(`TRUNCATE ${list} RESTART IDENTITY CASCADE`);
+    }
+
+    for (const fixture of fixtures) {
+      current = fixture;
+      await loadFixture(client, fixture);
+      options.logger?.debug({ dbName: options.dbName, fixture: fixture.file || fixture.table }, 'Fixture loaded');
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    const name = current ? (current.file || current.table) : 'fixtures';
+    throw Object.assign(
+      new Error(`Seeding ${name} failed on '${options.dbName || 'database'}': ${error.message}`),
+      { code: error.code, detail: error.detail }
+    );
+  }
+
+  options.logger?.info({ dbName: options.dbName, fixtures: fixtures.length }, 'Database seeded');
+}
+
+/**
+ * Provision hook that seeds newly created databases
+ * Every fixture source is checked here, at startup, as migrations are: a bad path fails
+ * the server's start rather than the first client's connection.
+ * @param {PatternRules} rules - Fixture source per database name
+ * @param {Object} logger - Pino logger
+ * @returns {Function} Hook for PostgresManager.addProvisionHook()
+ * @throws {Error} When a fixture source is missing or unreadable
+ */
+export function createSeedHook(rules, logger) {
+  for (const source of [rules.defaultValue, ...rules.rules.map(rule => rule.value)]) {
+    if (source) resolveFixtures(source);
+  }
+
+  return async (client, dbName, { created }) => {
+    // Existing databases already have their data (seeding again would duplicate it)
+    if (!created) return;
+    const source = rules.resolve(dbName);
+    if (source) {
+      await loadFixtures(client, source, { dbName, logger });
+    }
+  };
+}
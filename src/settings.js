@@ -0,0 +1,74 @@
+/**
+ * PostgreSQL Settings - server parameters passed to the embedded postgres
+ *
+ * Sources, later ones winning:
+ * - a named preset ("fast-tests", "durable")
+ * - a config file in postgresql.conf syntax (name = value, # comments)
+ * - individual settings ({name: value}, --pg-setting name=value)
+ *
+ * Settings go on the postgres command line (-c name=value), so server-start
+ * parameters like shared_buffers and max_connections work too. PostgresManager
+ * checks them against pg_settings once the server is up.
+ */
+
+import fs from 'fs';
+
+const PRESETS = {
+  // Throwaway test data: skip WAL flushes and torn-page protection (unsafe on crash)
+  'fast-tests': {
+    fsync: 'off',
+    synchronous_commit: 'off',
+    full_page_writes: 'off'
+  },
+  // PostgreSQL's crash-safe defaults, stated explicitly
+  durable: {
+    fsync: 'on',
+    synchronous_commit: 'on',
+    full_page_writes: 'on'
+  }
+};
+
+/**
+ * Parse postgresql.conf syntax: "name = value", "name value", 'quoted ''values''', # comments
+ * @param {string} text - File contents
+ * @param {string} [file='config'] - For error messages
+ * @returns {Object<string, string>}
+ */
+export function parseSettings(text, file = 'config') {
+  const settings = {};
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (/^\s*(#.*)?$/.test(line)) return;
+
+    const match = /^\s*([A-Za-z_][\w.]*)\s*=?\s*('(?:[^'\\]|''|\\.)*'|[^\s#']+)\s*(#.*)?$/.exec(line);
+    if (!match) {
+      throw new Error(`${file}:${index + 1}: expected "name = value", got: ${line.trim()}`);
+    }
+
+    const [, name, raw] = match;
+    settings[name.toLowerCase()] = raw.startsWith("'")
+      ? raw.slice(1, -1).replace(/''/g, "'").replace(/\\(.)/g, '$1')
+      : raw;
+  });
+  return settings;
+}
+
+/**
+ * Merge a preset, a config file and individual settings (later sources win)
+ * @param {Object} [options]
+ * @param {string} [options.preset] - Name of a PRESETS entry
+ * @param {string} [options.file] - Path to a postgresql.conf-style file
+ * @param {Object<string, string|number|boolean>} [options.settings] - Individual settings
+ * @returns {Object<string, string>} Setting name (lowercase) → value
+ */
+export function resolveSettings({ preset, file, settings } = {}) {
+  if (preset && !PRESETS[preset]) {
+    throw new Error(`Unknown settings preset: ${preset} (expected ${Object.keys(PRESETS).join(' or ')})`);
+  }
+
+  const fromFile = file ? parseSettings(fs.readFileSync(file, 'utf8'), file) : {};
+  const individual = Object.fromEntries(
+    Object.entries(settings || {}).map(([name, value]) => [name.toLowerCase(), String(value)])
+  );
+
+  return { ...PRESETS[preset], ...fromFile, ...individual };
+}
@@ -0,0 +1,190 @@
+/**
+ * Snapshots - named copies of the whole PostgreSQL data directory
+ *
+ * PostgresManager stops postgres (a clean shutdown checkpoints everything),
+ * hands the directory to the store and starts it again, so a copy is always
+ * consistent. Works the same for memory mode: an ephemeral session can be
+ * saved to disk and loaded into a later one.
+ *
+ * Layout: <dir>/<name>/snapshot.json (name, createdAt, version, sizeBytes)
+ *         <dir>/<name>/data/         (PGDATA)
+ *
+ * Files are cloned with copy-on-write (reflink) where the filesystem supports
+ * it (btrfs, XFS, APFS) and copied otherwise. Hard links would not be safe:
+ * PostgreSQL rewrites data files in place.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DEFAULT_SNAPSHOT_DIR = path.join(os.homedir(), '.pgserve', 'snapshots');
+
+// Lock and option files of a running postmaster - meaningless in a copy
+const SKIPPED_FILES = new Set(['postmaster.pid', 'postmaster.opts']);
+
+/**
+ * Copy a directory tree, cloning files copy-on-write where possible
+ * @param {string} source
+ * @param {string} target - Created if missing
+ * @returns {Promise<number>} Bytes copied
+ */
+async function copyTree(source, target) {
+  await fs.promises.mkdir(target, { recursive: true, mode: 0o700 });
+  // PostgreSQL refuses a data directory with group/world access beyond 0750
+  await fs.promises.chmod(target, (await fs.promises.stat(source)).mode);
+  let bytes = 0;
+
+  for (const entry of await fs.promises.readdir(source, { withFileTypes: true })) {
+    if (SKIPPED_FILES.has(entry.name)) continue;
+    const from = path.join(source, entry.name);
+    const to = path.join(target, entry.name);
+
+    if (entry.isDirectory()) {
+      bytes += await copyTree(from, to);
+    } else if (entry.isSymbolicLink()) {
+      await fs.promises.symlink(await fs.promises.readlink(from), to);
+    } else if (entry.isFile()) {
+      await fs.promises.copyFile(from, to, fs.constants.COPYFILE_FICLONE);
+      const stat = await fs.promises.stat(from);
+      await fs.promises.chmod(to, stat.mode);
+      bytes += stat.size;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Check a snapshot name (it becomes a directory name)
+ * @param {string} name
+ */
+function assertValidName(name) {
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name || '')) {
+    throw Object.assign(
+      new Error(`Invalid snapshot name: "${name}" (letters, digits, ".", "_" and "-")`),
+      { code: 'EINVAL' }
+    );
+  }
+}
+
+export class SnapshotStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Where snapshots live (default: ~/.pgserve/snapshots)
+   * @param {Object} [options.logger] - Pino logger
+   */
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || DEFAULT_SNAPSHOT_DIR);
+    this.logger = options.logger;
+  }
+
+  /**
+   * Saved snapshots, oldest first
+   * @returns {Promise<Array<{name: string, createdAt: string, version: string, sizeBytes: number}>>}
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshots = [];
+    for (const entry of entries.filter(e => e.isDirectory() && !e.name.startsWith('.'))) {
+      try {
+        snapshots.push(await this.get(entry.name));
+      } catch {
+        // Not a snapshot (no readable snapshot.json) - ignore
+      }
+    }
+    return snapshots.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Metadata of one snapshot
+   * @param {string} name
+   * @returns {Promise<Object>}
+   * @throws {Error} ENOENT if there is no such snapshot
+   */
+  async get(name) {
+    assertValidName(name);
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.dir, name, 'snapshot.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw Object.assign(new Error(`Snapshot "${name}" does not exist`), { code: 'ENOENT' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Copy a stopped cluster's data directory into the store
+   * Written to a temporary directory first, so a failed copy leaves no half snapshot.
+   * @param {string} name - Snapshot name
+   * @param {string} dataDir - PGDATA (postgres must not be running)
+   * @param {{version: string}} metadata - PostgreSQL major version of the cluster
+   * @returns {Promise<Object>} Snapshot metadata
+   * @throws {Error} EEXIST if the name is taken
+   */
+  async save(name, dataDir, { version }) {
+    assertValidName(name);
+    const target = path.join(this.dir, name);
+    if (fs.existsSync(target)) {
+      throw Object.assign(new Error(`Snapshot "${name}" already exists`), { code: 'EEXIST' });
+    }
+
+    const staging = path.join(this.dir, `.${name}.${process.pid}.tmp`);
+    try {
+      const sizeBytes = await copyTree(dataDir, path.join(staging, 'data'));
+      const metadata = { name, createdAt: new Date().toISOString(), version, sizeBytes };
+      await fs.promises.writeFile(path.join(staging, 'snapshot.json'), JSON.stringify(metadata, null, 2) + '\n');
+      await fs.promises.rename(staging, target);
+      this.logger?.info({ snapshot: name, sizeBytes, dir: this.dir }, 'Snapshot created');
+      return metadata;
+    } catch (error) {
+      await fs.promises.rm(staging, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a stopped cluster's data directory with a snapshot's copy
+   * The current directory is kept aside until the copy is complete and put back on failure.
+   * @param {string} name - Snapshot name
+   * @param {string} dataDir - PGDATA (postgres must not be running)
+   * @param {{version: string}} expected - Major version of the binaries that will run it
+   * @returns {Promise<Object>} Snapshot metadata
+   */
+  async load(name, dataDir, { version }) {
+    const metadata = await this.get(name);
+    if (metadata.version !== version) {
+      throw new Error(
+        `Snapshot "${name}" was taken with PostgreSQL ${metadata.version}, ` +
+        `but the running binaries are PostgreSQL ${version}`
+      );
+    }
+
+    // A missing or empty directory (fresh memory-mode cluster) has nothing to keep aside
+    const existing = fs.existsSync(dataDir) && (await fs.promises.readdir(dataDir)).length > 0;
+    const aside = `${dataDir}.${process.pid}.old`;
+    if (existing) {
+      await fs.promises.rename(dataDir, aside);
+    }
+    try {
+      await copyTree(path.join(this.dir, name, 'data'), dataDir);
+    } catch (error) {
+      await fs.promises.rm(dataDir, { recursive: true, force: true });
+      if (existing) await fs.promises.rename(aside, dataDir);
+      throw error;
+    }
+    if (existing) {
+      await fs.promises.rm(aside, { recursive: true, force: true });
+    }
+
+    this.logger?.info({ snapshot: name, dataDir }, 'Snapshot restored');
+    return metadata;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * TLS Support for the Router
+ *
+ * PostgreSQL clients negotiate TLS in-band: they send an SSLRequest packet,
+ * the server answers 'S' (or 'N'), and the TLS handshake happens on the same
+ * TCP socket before the real startup message is sent.
+ *
+ * Modes:
+ * - disable: always answer 'N' (plaintext only, previous behavior)
+ * - allow:   upgrade when the client asks, accept plaintext otherwise
+ * - require: upgrade when the client asks, reject plaintext startups
+ */
+
+import { spawn } from 'child_process';
+import tls from 'tls';
+import path from 'path';
+import fs from 'fs';
+
+export const TLS_MODES = ['disable', 'allow', 'require'];
+
+const SELF_SIGNED_CERT = 'pgserve-server.crt';
+const SELF_SIGNED_KEY = 'pgserve-server.key';
+
+/**
+ * Generate a self-signed certificate with the openssl CLI
+ * Node has no built-in X.509 writer, and openssl ships with every platform we support
+ * @param {string} dir - Directory to write the cert/key pair into
+ * @returns {Promise<{certPath: string, keyPath: string}>}
+ */
+async function generateSelfSignedCert(dir) {
+  const certPath = path.join(dir, SELF_SIGNED_CERT);
+  const keyPath = path.join(dir, SELF_SIGNED_KEY);
+
+  await new Promise((resolve, reject) => {
+    const proc = spawn('openssl', [
+      'req', '-x509', '-newkey', 'rsa:2048', '-nodes',
+      '-keyout', keyPath,
+      '-out', certPath,
+      '-days', '3650',
+      '-subj', '/CN=pgserve',
+    ]);
+
+    let stderr = '';
+    proc.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    proc.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`openssl failed with code ${code}: ${stderr}`));
+      }
+    });
+
+    proc.on('error', (err) => {
+      reject(new Error(`Failed to spawn openssl (needed to generate a self-signed certificate, or pass --tls-cert/--tls-key): ${err.message}`));
+    });
+  });
+
+  await fs.promises.chmod(keyPath, 0o600);
+  return { certPath, keyPath };
+}
+
+/**
+ * Resolve TLS settings into certificate paths, generating a self-signed pair if needed
+ * @param {Object} options
+ * @param {string} [options.mode] - disable | allow | require (default: allow if a cert is given, else disable)
+ * @param {string} [options.certPath] - PEM certificate path
+ * @param {string} [options.keyPath] - PEM private key path
+ * @param {string} options.dataDir - Where a self-signed pair is stored
+ * @param {Object} [options.logger] - Pino logger
+ * @returns {Promise<{mode: string, certPath: string|null, keyPath: string|null}>}
+ */
+export async function resolveTlsFiles(options = {}) {
+  const mode = options.mode || (options.certPath ? 'allow' : 'disable');
+
+  if (!TLS_MODES.includes(mode)) {
+    throw new Error(`Invalid TLS mode '${mode}' (expected one of: ${TLS_MODES.join(', ')})`);
+  }
+
+  if (mode === 'disable') {
+    return { mode, certPath: null, keyPath: null };
+  }
+
+  if (options.certPath || options.keyPath) {
+    if (!options.certPath || !options.keyPath) {
+      throw new Error('Both a TLS certificate and key are required');
+    }
+    return { mode, certPath: options.certPath, keyPath: options.keyPath };
+  }
+
+  // Reuse a previously generated pair (persistent mode keeps it across restarts)
+  const certPath = path.join(options.dataDir, SELF_SIGNED_CERT);
+  const keyPath = path.join(options.dataDir, SELF_SIGNED_KEY);
+  if (fs.existsSync(certPath) && fs.existsSync(keyPath)) {
+    return { mode, certPath, keyPath };
+  }
+
+  const generated = await generateSelfSignedCert(options.dataDir);
+  options.logger?.info({ certPath: generated.certPath }, 'Generated self-signed TLS certificate');
+  return { mode, ...generated };
+}
+
+/**
+ * Load TLS settings into a form the protocol layer can use
+ * @param {{mode: string, certPath: string|null, keyPath: string|null}} files
+ * @returns {{mode: string, secureContext: tls.SecureContext|null}}
+ */
+export function createTlsOptions(files) {
+  if (files.mode === 'disable') {
+    return { mode: 'disable', secureContext: null };
+  }
+
+  const secureContext = tls.createSecureContext({
+    cert: fs.readFileSync(files.certPath),
+    key: fs.readFileSync(files.keyPath),
+  });
+
+  return { mode: files.mode, secureContext };
+}
+
+/**
+ * Upgrade a plaintext socket to TLS (server side)
+ * Must be called right after answering 'S' to an SSLRequest
+ * @param {net.Socket} socket - Raw client socket
+ * @param {tls.SecureContext} secureContext
+ * @returns {Promise<tls.TLSSocket>} Socket after the handshake completed
+ */
+export function upgradeSocket(socket, secureContext) {
+  return new Promise((resolve, reject) => {
+    const tlsSocket = new tls.TLSSocket(socket, {
+      isServer: true,
+      secureContext,
+    });
+
+    // Same budget as reading the startup message (probe connections give up fast)
+    // A failed handshake leaves nothing usable to answer on: close both layers
+    const timer = setTimeout(() => {
+      tlsSocket.destroy();
+      socket.destroy();
+      reject(new Error('Timeout during TLS handshake'));
+    }, 2000);
+
+    const onError = (error) => {
+      clearTimeout(timer);
+      socket.destroy();
+      reject(error);
+    };
+    tlsSocket.once('error', onError);
+    tlsSocket.once('secure', () => {
+      clearTimeout(timer);
+      tlsSocket.removeListener('error', onError);
+      resolve(tlsSocket);
+    });
+  });
+}
@@ -0,0 +1,177 @@
+/**
+ * Database Dump Tests
+ *
+ * The frame format and the admin API routes on their own (no PostgreSQL needed),
+ * and a round trip through a running server: dumpDatabase, then loadDatabase into
+ * a new database, with the objects restore.js recreates from pg_catalog.
+ */
+
+import { startMultiTenantServer } from '../src/index.js';
+import { frame, readFrames } from '../src/dump.js';
+import { AdminServer } from '../src/admin.js';
+import { createLogger } from '../src/logger.js';
+import pg from 'pg';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { PassThrough } from 'stream';
+
+const { Client } = pg;
+
+const MAGIC = Buffer.from('PGSERVE DUMP 1\n');
+
+// Feed a buffer in chunks of the given size
+async function* chunked(buffer, size) {
+  for (let offset = 0; offset < buffer.length; offset += size) {
+    yield buffer.subarray(offset, offset + size);
+  }
+}
+
+async function collect(frames) {
+  const result = [];
+  for await (const { type, payload } of frames) {
+    result.push({ type, payload: payload.toString() });
+  }
+  return result;
+}
+
+test('Dump - frames split across chunks', async () => {
+  const dump = Buffer.concat([
+    MAGIC,
+    frame('M', Buffer.from('{"a":1}')),
+    frame('D', Buffer.alloc(70000, 'x')),
+    frame('E'),
+    frame('S', Buffer.from('[]'))
+  ]);
+  const expected = [
+    { type: 'M', payload: '{"a":1}' },
+    { type: 'D', payload: 'x'.repeat(70000) },
+    { type: 'E', payload: '' },
+    { type: 'S', payload: '[]' }
+  ];
+
+  for (const size of [1, 4, 7, 16384, dump.length]) {
+    assert.deepStrictEqual(await collect(readFrames(chunked(dump, size))), expected, `chunks of ${size} bytes`);
+  }
+});
+
+test('Dump - bad header and truncated streams', async () => {
+  const notDump = Buffer.from('PGDMP\x01\x0e\x00 custom format archive');
+  await assert.rejects(collect(readFrames(chunked(notDump, 3))), /bad header/);
+  await assert.rejects(collect(readFrames(chunked(Buffer.alloc(0), 1))), /truncated/);
+  await assert.rejects(collect(readFrames(chunked(MAGIC.subarray(0, 5), 1))), /truncated/);
+
+  // Cut inside a frame header and inside a payload
+  const dump = Buffer.concat([MAGIC, frame('M', Buffer.from('{"a":1}')), frame('D', Buffer.from('rows'))]);
+  for (const cut of [MAGIC.length + 12 + 3, dump.length - 2]) {
+    const frames = [];
+    await assert.rejects(async () => {
+      for await (const { type } of readFrames(chunked(dump.subarray(0, cut), 5))) frames.push(type);
+    }, /truncated/);
+    assert.deepStrictEqual(frames, ['M']);
+  }
+});
+
+test('Dump - admin API streams dumps out and loads in', async () => {
+  const archive = Buffer.concat([MAGIC, frame('M', Buffer.from('{}')), frame('D', Buffer.alloc(100000, 'x'))]);
+  const loaded = {};
+  const target = {
+    dumpDatabase: async (dbName, output) => {
+      if (dbName === 'missing') throw Object.assign(new Error(`database "${dbName}" does not exist`), { code: '3D000' });
+      output.write(archive.subarray(0, 1000));
+      if (dbName === 'broken') throw new Error('connection lost');
+      output.write(archive.subarray(1000));
+    },
+    loadDatabase: async (dbName, input) => {
+      loaded[dbName] = await collect(readFrames(input));
+      return { database: dbName, tables: 1, rows: 1 };
+    }
+  };
+  const admin = new AdminServer({ target, port: 15443, token: 'tok', logger: createLogger({ level: 'silent' }) });
+  await admin.start();
+  const request = (path, init) => fetch(`http://127.0.0.1:15443${path}`, {
+    ...init,
+    headers: { Authorization: 'Bearer tok' }
+  });
+
+  try {
+    const dump = await request('/databases/app/dump');
+    assert.strictEqual(dump.headers.get('content-type'), 'application/octet-stream');
+    const body = Buffer.from(await dump.arrayBuffer());
+    assert.ok(body.equals(archive));
+
+    const load = await request('/databases/copy/load', { method: 'POST', body, duplex: 'half' });
+    assert.deepStrictEqual(await load.json(), { database: 'copy', tables: 1, rows: 1 });
+    assert.deepStrictEqual(loaded.copy.map(f => f.type), ['M', 'D']);
+
+    // Failing before the first byte still answers JSON, failing later cuts the body off
+    const missing = await request('/databases/missing/dump');
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.headers.get('content-disposition'), null);
+    assert.deepStrictEqual(await missing.json(), { error: 'database "missing" does not exist', code: '3D000' });
+
+    const broken = await request('/databases/broken/dump');
+    assert.strictEqual(broken.status, 200);
+    await assert.rejects(broken.arrayBuffer());
+  } finally {
+    await admin.stop();
+  }
+});
+
+async function query(port, database, sql) {
+  const client = new Client({ host: '127.0.0.1', port, database, user: 'postgres', password: 'postgres' });
+  await client.connect();
+  try {
+    return await client.query(sql);
+  } finally {
+    await client.end();
+  }
+}
+
+test('Dump - aggregates survive a dump and load', async () => {
+  const router = await startMultiTenantServer({ port: 15442, logger: createLogger({ level: 'silent' }) });
+
+  try {
+    await query(15442, 'dump_source', `
+      CREATE TABLE readings (sensor text, value int);
+      INSERT INTO readings VALUES ('a', 1), ('a', 2), ('b', 5);
+      CREATE FUNCTION double_it(int) RETURNS int LANGUAGE sql AS 'SELECT $1 * 2';
+      CREATE AGGREGATE my_sum(int) (SFUNC = int4pl, STYPE = int, INITCOND = '0', FINALFUNC = double_it);
+      CREATE AGGREGATE my_moving_sum(int) (
+        SFUNC = int4pl, STYPE = int, INITCOND = '0', MSFUNC = int4pl, MINVFUNC = int4mi, MSTYPE = int, MINITCOND = '0'
+      );
+      CREATE AGGREGATE my_max(int) (SFUNC = int4larger, STYPE = int, SORTOP = >, PARALLEL = SAFE);
+    `);
+
+    const dump = new PassThrough();
+    const chunks = [];
+    dump.on('data', chunk => chunks.push(chunk));
+    await router.dumpDatabase('dump_source', dump);
+
+    // Loaded databases count as provisioned: hooks (migrations, seeds) don't run over them
+    const hooked = [];
+    router.pgManager.addProvisionHook(async (client, dbName) => { hooked.push(dbName); });
+
+    const loaded = await router.loadDatabase('dump_copy', [Buffer.concat(chunks)]);
+    assert.strictEqual(loaded.rows, 3);
+    assert.ok(router.pgManager.createdDatabases.has('dump_copy'));
+
+    const result = await query(15442, 'dump_copy', 'SELECT my_sum(value) AS total, my_max(value) AS top FROM readings');
+    assert.strictEqual(result.rows[0].total, 16);
+    assert.strictEqual(result.rows[0].top, 5);
+
+    const moving = await query(15442, 'dump_copy', `
+      SELECT array_agg(s) AS sums FROM (
+        SELECT my_moving_sum(value) OVER (ORDER BY value ROWS 1 PRECEDING) AS s FROM readings
+      ) w
+    `);
+    assert.deepStrictEqual(moving.rows[0].sums, [1, 3, 7]);
+
+    const sortop = await query(15442, 'dump_copy', `
+      SELECT aggsortop::regoperator::text AS op FROM pg_aggregate WHERE aggfnoid = 'my_max'::regproc
+    `);
+    assert.strictEqual(sortop.rows[0].op, '>(integer,integer)');
+    assert.deepStrictEqual(hooked, []);
+  } finally {
+    await router.stop();
+  }
+});
@@ -0,0 +1,128 @@
+/**
+ * Connection Limits Test
+ *
+ * Unit tests for ConnectionLimiter and the router's use of it (no PostgreSQL needed)
+ */
+
+import { ConnectionLimiter } from '../src/limits.js';
+import { MultiTenantRouter } from '../src/router.js';
+import { buildStartupMessage } from '../src/protocol.js';
+import { createLogger } from '../src/logger.js';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import net from 'net';
+import { once } from 'events';
+
+test('ConnectionLimiter - per-pattern caps and FIFO queue', async () => {
+  const limiter = new ConnectionLimiter({ limits: { 'tenant_*': 1 }, queueSize: 1, queueTimeout: 1000 });
+
+  const first = await limiter.acquire('tenant_a');
+  const order = [];
+  const queued = limiter.acquire('tenant_a').then((release) => { order.push('queued'); return release; });
+
+  await assert.rejects(limiter.acquire('tenant_a'), { code: '53300' }); // Queue full
+  await limiter.acquire('other'); // Unlimited
+  assert.deepEqual(limiter.getStats().databases.tenant_a, { limit: 1, active: 1, queued: 1 });
+
+  first();
+  first(); // Releasing twice frees one slot only
+  const second = await queued;
+  assert.deepEqual(order, ['queued']);
+  assert.deepEqual(limiter.getStats().databases.tenant_a, { limit: 1, active: 1, queued: 0 });
+
+  second();
+  assert.deepEqual(limiter.getStats(), { queued: 0, databases: {} });
+});
+
+test('ConnectionLimiter - queue timeout', async () => {
+  const limiter = new ConnectionLimiter({ limit: 1, queueTimeout: 50 });
+  const release = await limiter.acquire('app');
+
+  await assert.rejects(limiter.acquire('app'), { code: '53300', detail: /within 0.05s/ });
+  assert.equal(limiter.getStats().queued, 0);
+  release();
+
+  // 0 means no timeout (not the default): the client waits until a slot is released
+  const untimed = new ConnectionLimiter({ limit: 1, queueTimeout: 0 });
+  assert.equal(untimed.queueTimeout, 0);
+  const held = await untimed.acquire('app');
+  const queued = untimed.acquire('app');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(untimed.getStats().queued, 1);
+  held();
+  (await queued)();
+});
+
+test('ConnectionLimiter - aborted wait leaves the queue', async () => {
+  const limiter = new ConnectionLimiter({ limit: 1 });
+  const release = await limiter.acquire('app');
+
+  const waiting = new AbortController();
+  const queued = limiter.acquire('app', { signal: waiting.signal });
+  assert.equal(limiter.getStats().queued, 1);
+
+  waiting.abort(new Error('client gone'));
+  await assert.rejects(queued, /client gone/);
+  assert.equal(limiter.getStats().queued, 0);
+
+  release();
+  assert.deepEqual(limiter.getStats(), { queued: 0, databases: {} });
+  await assert.rejects(limiter.acquire('app', { signal: waiting.signal }), /client gone/);
+});
+
+test('Router - client that disconnects while queued gives its slot back', async () => {
+  // Stand-in PostgreSQL: accepts connections and keeps them open
+  const backends = new Set();
+  const backend = net.createServer((socket) => {
+    backends.add(socket);
+    socket.resume();
+    socket.on('close', () => backends.delete(socket));
+  });
+  await new Promise((resolve) => backend.listen(0, '127.0.0.1', resolve));
+
+  const router = new MultiTenantRouter({
+    autoProvision: false,
+    connectionLimit: 1,
+    pgPort: backend.address().port,
+    logger: createLogger({ level: 'silent' })
+  });
+  router.pgManager.getSocketPath = () => null; // TCP to the stand-in
+  const server = net.createServer({ pauseOnConnect: true }, (socket) => router.handleConnection(socket));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const connect = async () => {
+    const client = net.connect(server.address().port, '127.0.0.1');
+    await once(client, 'connect');
+    client.write(buildStartupMessage({ user: 'postgres', database: 'app' }));
+    return client;
+  };
+  const waitFor = async (check) => {
+    for (let i = 0; i < 100 && !check(); i++) await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.ok(check());
+  };
+  const stats = () => router.connectionLimiter.getStats();
+
+  try {
+    const first = await connect();
+    await waitFor(() => backends.size === 1);
+
+    const queued = await connect();
+    await waitFor(() => stats().queued === 1);
+    queued.destroy();
+    await waitFor(() => stats().queued === 0);
+
+    first.destroy();
+    await waitFor(() => Object.keys(stats().databases).length === 0);
+    await waitFor(() => backends.size === 0);
+
+    // The slot is free again: the next client gets a backend at once
+    const next = await connect();
+    await waitFor(() => backends.size === 1);
+    next.destroy();
+    await waitFor(() => Object.keys(stats().databases).length === 0);
+  } finally {
+    server.close();
+    backend.close();
+    for (const socket of backends) socket.destroy();
+  }
+});
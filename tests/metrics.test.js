@@ -0,0 +1,50 @@
+/**
+ * Metrics Test
+ *
+ * Unit tests for router counters and Prometheus rendering (no PostgreSQL needed)
+ */
+
+import { RouterMetrics, mergeRouterSnapshots, renderMetrics } from '../src/metrics.js';
+import { PgError } from '../src/protocol.js';
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+test('Metrics - worker snapshots are summed', () => {
+  const first = new RouterMetrics();
+  first.accepted = 2;
+  first.recordFailure(new PgError('28P01', 'password authentication failed'));
+  first.observeStartup(process.hrtime.bigint());
+
+  const second = new RouterMetrics();
+  second.accepted = 1;
+  second.recordFailure(new Error('connect ECONNREFUSED'));
+
+  const merged = mergeRouterSnapshots([
+    first.snapshot(new Map([['app1', 1]])),
+    second.snapshot(new Map([['app1', 2], ['app2', 1]]))
+  ]);
+
+  assert.equal(merged.accepted, 3);
+  assert.equal(merged.rejected, 1);
+  assert.equal(merged.errored, 1);
+  assert.equal(merged.startupCount, 1);
+  assert.deepEqual(merged.databases, { app1: 3, app2: 1 });
+});
+
+test('Metrics - Prometheus text format', () => {
+  const metrics = new RouterMetrics();
+  metrics.observeStartup(process.hrtime.bigint());
+
+  const text = renderMetrics({
+    router: metrics.snapshot(new Map([['tenant "a"', 2]])),
+    postgres: { databases: 4, backends: 3, dataDirBytes: 1024 },
+    replication: { replicationSlots: [{ name: 'pgserve_app1', active: true, lagBytes: 512 }] }
+  });
+
+  assert.match(text, /^# TYPE pgserve_startup_duration_seconds histogram$/m);
+  assert.match(text, /^pgserve_startup_duration_seconds_bucket\{le="\+Inf"\} 1$/m);
+  assert.match(text, /^pgserve_connections_active\{database="tenant \\"a\\""\} 2$/m);
+  assert.match(text, /^pgserve_replication_lag_bytes\{slot="pgserve_app1"\} 512$/m);
+  assert.match(text, /^pgserve_data_dir_bytes 1024$/m);
+  assert.ok(text.endsWith('\n'));
+});
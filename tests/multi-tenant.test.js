@@ -26,6 +26,11 @@ function cleanup() {
   }
 }
 
+// Client for a database behind the router (default login: postgres/postgres)
+function connectTo(database) {
+  return new Client({ host: '127.0.0.1', port: 15432, database, user: 'postgres', password: 'postgres' });
+}
+
 test('Multi-tenant router - basic setup', async (t) => {
   cleanup();
 
@@ -35,13 +40,15 @@ test('Multi-tenant router - basic setup', async (t) => {
     logLevel: 'info'
   });
 
-  // Verify router started
-  const stats = router.getStats();
-  assert.equal(stats.port, 15432);
-  assert.equal(stats.pool.totalInstances, 0); // No instances yet
-
-  await router.stop();
-  cleanup();
+  try {
+    // Verify router started
+    const stats = router.getStats();
+    assert.equal(stats.port, 15432);
+    assert.deepEqual(stats.postgres.databases, []); // Nothing provisioned yet
+  } finally {
+    await router.stop();
+    cleanup();
+  }
 });
 
 test('Multi-tenant router - auto-provision database', async (t) => {
@@ -53,37 +60,28 @@ test('Multi-tenant router - auto-provision database', async (t) => {
     logLevel: 'info'
   });
 
-  // Connect to database "testdb1" (should auto-create)
-  const client = new Client({
-    host: '127.0.0.1',
-    port: 15432,
-    database: 'testdb1',
-    user: 'postgres' // PGlite doesn't require auth
-  });
-
-  await client.connect();
-
-  // Verify instance was created
-  const stats = router.getStats();
-  assert.equal(stats.pool.totalInstances, 1);
-
-  const databases = router.listDatabases();
-  assert.equal(databases.length, 1);
-  assert.equal(databases[0].dbName, 'testdb1');
-  assert.equal(databases[0].locked, true); // Locked to connection
-
-  // Create table
-  await client.query('CREATE TABLE users (id SERIAL PRIMARY KEY, name TEXT)');
-  await client.query("INSERT INTO users (name) VALUES ('Alice')");
-
-  // Query
-  const result = await client.query('SELECT * FROM users');
-  assert.equal(result.rows.length, 1);
-  assert.equal(result.rows[0].name, 'Alice');
-
-  await client.end();
-  await router.stop();
-  cleanup();
+  try {
+    // Connect to database "testdb1" (should auto-create)
+    const client = connectTo('testdb1');
+    await client.connect();
+
+    // Verify the database was provisioned
+    assert.deepEqual(router.listDatabases(), ['testdb1']);
+
+    // Create table
+    await client.query('CREATE TABLE users (id SERIAL PRIMARY KEY, name TEXT)');
+    await client.query("INSERT INTO users (name) VALUES ('Alice')");
+
+    // Query
+    const result = await client.query('SELECT * FROM users');
+    assert.equal(result.rows.length, 1);
+    assert.equal(result.rows[0].name, 'Alice');
+
+    await client.end();
+  } finally {
+    await router.stop();
+    cleanup();
+  }
 });
 
 test('Multi-tenant router - multiple databases isolated', async (t) => {
@@ -95,65 +93,51 @@ test('Multi-tenant router - multiple databases isolated', async (t) => {
     logLevel: 'info'
   });
 
-  // Connect to database 1
-  const client1 = new Client({
-    host: '127.0.0.1',
-    port: 15432,
-    database: 'db1'
-  });
-
-  await client1.connect();
-  await client1.query('CREATE TABLE users (id INT, name TEXT)');
-  await client1.query("INSERT INTO users VALUES (1, 'Alice')");
-
-  // Verify db1 exists
-  let stats = router.getStats();
-  assert.equal(stats.pool.totalInstances, 1);
-
-  await client1.end();
-
-  // Connect to database 2
-  const client2 = new Client({
-    host: '127.0.0.1',
-    port: 15432,
-    database: 'db2'
-  });
-
-  await client2.connect();
-  await client2.query('CREATE TABLE posts (id INT, title TEXT)');
-  await client2.query("INSERT INTO posts VALUES (1, 'Hello World')");
-
-  // Verify db2 exists
-  stats = router.getStats();
-  assert.equal(stats.pool.totalInstances, 2);
-
-  await client2.end();
-
-  // Reconnect to db1 - verify data is isolated
-  const client1Again = new Client({
-    host: '127.0.0.1',
-    port: 15432,
-    database: 'db1'
-  });
-
-  await client1Again.connect();
-
-  // Should have users table, NOT posts table
-  const usersResult = await client1Again.query('SELECT * FROM users');
-  assert.equal(usersResult.rows.length, 1);
-  assert.equal(usersResult.rows[0].name, 'Alice');
-
-  // Posts table should NOT exist
   try {
-    await client1Again.query('SELECT * FROM posts');
-    assert.fail('Should throw error - posts table does not exist in db1');
-  } catch (error) {
-    assert.ok(error.message.includes('does not exist'));
+    // Connect to database 1
+    const client1 = connectTo('db1');
+    await client1.connect();
+    await client1.query('CREATE TABLE users (id INT, name TEXT)');
+    await client1.query("INSERT INTO users VALUES (1, 'Alice')");
+
+    // Verify db1 exists
+    assert.deepEqual(router.listDatabases(), ['db1']);
+
+    await client1.end();
+
+    // Connect to database 2
+    const client2 = connectTo('db2');
+    await client2.connect();
+    await client2.query('CREATE TABLE posts (id INT, title TEXT)');
+    await client2.query("INSERT INTO posts VALUES (1, 'Hello World')");
+
+    // Verify db2 exists
+    assert.deepEqual(router.listDatabases(), ['db1', 'db2']);
+
+    await client2.end();
+
+    // Reconnect to db1 - verify data is isolated
+    const client1Again = connectTo('db1');
+    await client1Again.connect();
+
+    // Should have users table, NOT posts table
+    const usersResult = await client1Again.query('SELECT * FROM users');
+    assert.equal(usersResult.rows.length, 1);
+    assert.equal(usersResult.rows[0].name, 'Alice');
+
+    // Posts table should NOT exist
+    try {
+      await client1Again.query('SELECT * FROM posts');
+      assert.fail('Should throw error - posts table does not exist in db1');
+    } catch (error) {
+      assert.ok(error.message.includes('does not exist'));
+    }
+
+    await client1Again.end();
+  } finally {
+    await router.stop();
+    cleanup();
   }
-
-  await client1Again.end();
-  await router.stop();
-  cleanup();
 });
 
 test('Multi-tenant router - instance reuse', async (t) => {
@@ -165,37 +149,29 @@ test('Multi-tenant router - instance reuse', async (t) => {
     logLevel: 'info'
   });
 
-  // First connection to "reuse-test"
-  const client1 = new Client({
-    host: '127.0.0.1',
-    port: 15432,
-    database: 'reuse-test'
-  });
-
-  await client1.connect();
-  await client1.query('CREATE TABLE test (value INT)');
-  await client1.query('INSERT INTO test VALUES (42)');
-  await client1.end();
-
-  // Second connection to same database (should reuse instance)
-  const client2 = new Client({
-    host: '127.0.0.1',
-    port: 15432,
-    database: 'reuse-test'
-  });
-
-  await client2.connect();
-
-  // Should still have the table from client1
-  const result = await client2.query('SELECT * FROM test');
-  assert.equal(result.rows.length, 1);
-  assert.equal(result.rows[0].value, 42);
-
-  // Still only 1 instance
-  const stats = router.getStats();
-  assert.equal(stats.pool.totalInstances, 1);
-
-  await client2.end();
-  await router.stop();
-  cleanup();
+  try {
+    // First connection to "reuse-test"
+    const client1 = connectTo('reuse-test');
+    await client1.connect();
+    await client1.query('CREATE TABLE test (value INT)');
+    await client1.query('INSERT INTO test VALUES (42)');
+    await client1.end();
+
+    // Second connection to same database (should reuse it)
+    const client2 = connectTo('reuse-test');
+    await client2.connect();
+
+    // Should still have the table from client1
+    const result = await client2.query('SELECT * FROM test');
+    assert.equal(result.rows.length, 1);
+    assert.equal(result.rows[0].value, 42);
+
+    // Still only 1 database
+    assert.deepEqual(router.listDatabases(), ['reuse-test']);
+
+    await client2.end();
+  } finally {
+    await router.stop();
+    cleanup();
+  }
 });
@@ -0,0 +1,236 @@
+/**
+ * Transaction Pooling Test
+ *
+ * Unit tests for the protocol scanner, BackendPool and PooledSession on
+ * in-memory sockets (no PostgreSQL needed)
+ */
+
+import { createScanner, BackendPool, PooledSession } from '../src/pool.js';
+import { MultiTenantRouter } from '../src/router.js';
+import { buildMessage } from '../src/protocol.js';
+import { createLogger } from '../src/logger.js';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Duplex } from 'stream';
+
+// In-memory socket: push() feeds it bytes, everything written to it lands in .written
+function fakeSocket() {
+  const socket = new Duplex({
+    read() {},
+    write(chunk, _encoding, callback) {
+      socket.written.push(chunk);
+      callback();
+    }
+  });
+  socket.written = [];
+  return socket;
+}
+
+// Backend that has just logged in (ReadyForQuery is all readUntilReady() needs)
+function fakeBackend() {
+  const socket = fakeSocket();
+  socket.push(buildMessage('Z', Buffer.from('I')));
+  return socket;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const query = (sql) => buildMessage('Q', Buffer.from(`${sql}\0`));
+const ready = (status) => buildMessage('Z', Buffer.from(status));
+
+test('createScanner - messages split across chunks', () => {
+  const stream = Buffer.concat([
+    query('SELECT 1'),
+    ready('T'),
+    buildMessage('D', Buffer.alloc(300, 1)),
+    buildMessage('X')
+  ]);
+  const expected = [
+    { type: 'Q', offset: 0 },
+    { type: 'Z', offset: 14, status: 'T' },
+    { type: 'D', offset: 20 },
+    { type: 'X', offset: 325 }
+  ];
+
+  for (const size of [1, 3, 6, 7, stream.length]) {
+    const seen = [];
+    let chunkOffset = 0;
+    const scan = createScanner((type, firstByte, start) => {
+      seen.push({ type, offset: chunkOffset + start, ...(type === 'Z' && { status: String.fromCharCode(firstByte) }) });
+    });
+    for (; chunkOffset < stream.length; chunkOffset += size) {
+      scan(stream.subarray(chunkOffset, chunkOffset + size));
+    }
+    assert.deepEqual(seen, expected, `chunks of ${size} bytes`);
+  }
+});
+
+test('BackendPool - waiters get released backends in order', async () => {
+  const sockets = [];
+  const pool = new BackendPool({
+    dbName: 'app',
+    size: 1,
+    connect: async () => {
+      sockets.push(fakeBackend());
+      return sockets.at(-1);
+    }
+  });
+
+  const backend = await pool.acquire();
+  const order = [];
+  const first = pool.acquire().then((b) => { order.push(1); return b; });
+  const second = pool.acquire().then((b) => { order.push(2); return b; });
+  assert.deepEqual(pool.getStats(), { backends: 1, idle: 0, waiting: 2 });
+
+  pool.release(backend);
+  assert.equal(await first, backend); // Handed over, not parked as idle
+  pool.release(backend);
+  assert.equal(await second, backend);
+  assert.deepEqual(order, [1, 2]);
+  assert.equal(sockets.length, 1);
+
+  pool.release(backend);
+  assert.deepEqual(pool.getStats(), { backends: 1, idle: 1, waiting: 0 });
+
+  // A closed backend frees its place for the next waiter
+  const held = await pool.acquire();
+  const waiting = pool.acquire();
+  held.socket.destroy();
+  assert.notEqual(await waiting, held);
+  assert.equal(sockets.length, 2);
+
+  pool.close();
+  await assert.rejects(pool.acquire(), { code: '57P01' });
+});
+
+test('BackendPool - acquire timeout and close fail waiting clients', async () => {
+  const pool = new BackendPool({ dbName: 'app', size: 1, acquireTimeout: 30, connect: async () => fakeBackend() });
+  const backend = await pool.acquire();
+
+  await assert.rejects(pool.acquire(), { code: '53300' });
+  assert.equal(pool.getStats().waiting, 0);
+
+  const waiting = pool.acquire();
+  pool.close();
+  await assert.rejects(waiting, { code: '57P01' });
+
+  // A session finishing after close() (drop, reset) doesn't park its backend
+  pool.release(backend);
+  assert.equal(backend.socket.destroyed, true);
+  assert.equal(pool.getStats().idle, 0);
+});
+
+/**
+ * Session on a one-backend pool; backendSocket() is the backend it borrowed
+ */
+function startSession() {
+  let socket = null;
+  const pool = new BackendPool({
+    dbName: 'app',
+    size: 1,
+    connect: async () => {
+      socket = fakeBackend();
+      return socket;
+    }
+  });
+  const client = fakeSocket();
+  const session = new PooledSession(client, pool);
+  session.start([], { processId: 1, secretKey: Buffer.alloc(4) });
+  return { pool, client, session, backendSocket: () => socket };
+}
+
+test('PooledSession - backend goes back only when idle', async () => {
+  const { pool, client, session, backendSocket } = startSession();
+
+  // A query split across chunks borrows a backend and arrives whole
+  const begin = query('BEGIN');
+  client.push(begin.subarray(0, 3));
+  client.push(begin.subarray(3));
+  await tick();
+  assert.deepEqual(Buffer.concat(backendSocket().written), begin);
+
+  // Inside a transaction the session keeps its backend
+  backendSocket().push(Buffer.concat([buildMessage('C', Buffer.from('BEGIN\0')), ready('T')]));
+  await tick();
+  assert.ok(session.backend);
+  assert.equal(session.isIdle(), false);
+
+  // ReadyForQuery with its status byte in the next chunk: released after the status arrives
+  client.push(query('COMMIT'));
+  await tick();
+  const idle = ready('I');
+  backendSocket().push(idle.subarray(0, 5));
+  await tick();
+  assert.ok(session.backend);
+  backendSocket().push(idle.subarray(5));
+  await tick();
+  assert.equal(session.backend, null);
+  assert.deepEqual(pool.getStats(), { backends: 1, idle: 1, waiting: 0 });
+
+  client.push(buildMessage('X'));
+  client.push(null); // Client hangs up after Terminate
+  await tick();
+  assert.equal(session.closed, true);
+  assert.deepEqual(pool.getStats(), { backends: 1, idle: 1, waiting: 0 });
+  pool.close();
+});
+
+test('PooledSession - client leaving mid-transaction discards the backend', async () => {
+  const { pool, client, session, backendSocket } = startSession();
+
+  client.push(query('BEGIN'));
+  await tick();
+  backendSocket().push(ready('T'));
+  await tick();
+
+  client.destroy();
+  await tick();
+  assert.equal(session.closed, true);
+  assert.equal(backendSocket().destroyed, true);
+  assert.deepEqual(pool.getStats(), { backends: 0, idle: 0, waiting: 0 });
+});
+
+test('PooledSession - Terminate split across chunks discards the backend', async () => {
+  const { pool, client, session, backendSocket } = startSession();
+
+  // Its first byte already went to a backend, so that backend's stream is broken
+  const terminate = buildMessage('X');
+  client.push(terminate.subarray(0, 1));
+  await tick();
+  assert.ok(session.backend);
+  client.push(terminate.subarray(1));
+  client.push(null);
+  await tick();
+
+  assert.equal(session.closed, true);
+  assert.equal(backendSocket().destroyed, true);
+  assert.deepEqual(pool.getStats(), { backends: 0, idle: 0, waiting: 0 });
+});
+
+test('PooledSession - Terminate in one chunk never borrows a backend', async () => {
+  const { pool, client, session, backendSocket } = startSession();
+
+  client.push(buildMessage('X'));
+  client.push(null);
+  await tick();
+
+  assert.equal(session.closed, true);
+  assert.equal(backendSocket(), null);
+  assert.deepEqual(pool.getStats(), { backends: 0, idle: 0, waiting: 0 });
+});
+
+test('Router - drop and reset close the database pool', async () => {
+  const router = new MultiTenantRouter({ logger: createLogger({ level: 'silent' }) });
+  router.pgManager.dropDatabase = async () => true;
+  router.pgManager.resetDatabase = async () => {};
+
+  const dropped = router.getPool('app');
+  await router.dropDatabase('app');
+  assert.equal(dropped.closed, true);
+  assert.equal(router.pools.has('app'), false);
+
+  const reset = router.getPool('app');
+  assert.notEqual(reset, dropped);
+  await router.resetDatabase('app');
+  assert.equal(reset.closed, true);
+  assert.equal(router.pools.has('app'), false);
+});
@@ -0,0 +1,157 @@
+/**
+ * Protocol Helpers Test
+ *
+ * Unit tests for wire-protocol helpers (no PostgreSQL needed):
+ * - CancelRequest packets
+ * - BackendKeyData detection in the backend stream
+ * - StartupMessage / ErrorResponse round trips
+ * - search_path options for schema-per-tenant
+ * - Mapping router failures to SQLSTATEs
+ * - Message length limits before authentication
+ */
+
+import {
+  buildCancelRequest,
+  watchBackendKeyData,
+  buildStartupMessage,
+  parseStartupMessage,
+  extractDatabaseName,
+  buildErrorResponse,
+  parseErrorResponse,
+  toPgError,
+  backendError,
+  schemaTenantParameters,
+  readMessage,
+  PgError
+} from '../src/protocol.js';
+import { encodeCancelKey, decodeCancelKey } from '../src/cancel.js';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import { PassThrough } from 'stream';
+
+// Build a backend message: 1-byte type + int32 length + body
+function backendMessage(type, body) {
+  const header = Buffer.alloc(5);
+  header.write(type, 0);
+  header.writeInt32BE(body.length + 4, 1);
+  return Buffer.concat([header, body]);
+}
+
+test('Protocol - cancel request packet', () => {
+  const key = { processId: 4242, secretKey: Buffer.from([1, 2, 3, 4]) };
+  const packet = buildCancelRequest(key);
+
+  assert.equal(packet.length, 16);
+  assert.equal(packet.readInt32BE(0), 16);
+  assert.equal(packet.readInt32BE(4), 80877102);
+  assert.equal(packet.readInt32BE(8), 4242);
+  assert.deepEqual(packet.subarray(12), key.secretKey);
+
+  assert.deepEqual(decodeCancelKey(encodeCancelKey(key)), key);
+});
+
+test('Protocol - BackendKeyData split across chunks', () => {
+  const keyBody = Buffer.alloc(8);
+  keyBody.writeInt32BE(99, 0);
+  keyBody.writeInt32BE(-123456, 4);
+
+  const stream = Buffer.concat([
+    backendMessage('R', Buffer.alloc(4)), // AuthenticationOk
+    backendMessage('S', Buffer.from('client_encoding\0UTF8\0')),
+    backendMessage('K', keyBody),
+    backendMessage('Z', Buffer.from('I'))
+  ]);
+
+  const socket = new EventEmitter();
+  const keys = [];
+  watchBackendKeyData(socket, (key) => keys.push(key));
+
+  // Feed byte-by-byte to exercise partial message handling
+  for (let i = 0; i < stream.length; i++) {
+    socket.emit('data', stream.subarray(i, i + 1));
+  }
+
+  assert.equal(keys.length, 1);
+  assert.equal(keys[0].processId, 99);
+  assert.equal(keys[0].secretKey.readInt32BE(0), -123456);
+  assert.equal(socket.listenerCount('data'), 0);
+});
+
+test('Protocol - startup message round trip', () => {
+  const params = { user: 'alice', database: 'app1', application_name: 'psql' };
+  const message = buildStartupMessage(params);
+
+  assert.equal(message.readInt32BE(0), message.length);
+  assert.deepEqual(parseStartupMessage(message, false), params);
+  assert.deepEqual(parseStartupMessage(message), { database: 'app1' });
+
+  assert.equal(extractDatabaseName(message), 'app1');
+  assert.equal(extractDatabaseName(buildStartupMessage({ user: 'alice' })), 'postgres');
+
+  // Protocol 2.0 packet: an error for the client, not a silent fallback to 'postgres'
+  const legacy = Buffer.from(message);
+  legacy.writeInt32BE(0x00020000, 4);
+  assert.throws(() => extractDatabaseName(legacy), { code: '08P01', message: /invalid startup packet/ });
+});
+
+test('Protocol - schema tenant search_path option', () => {
+  assert.deepEqual(schemaTenantParameters('tenants', 'acme'), {
+    database: 'tenants',
+    options: '-c search_path="acme",public'
+  });
+
+  // Client options come first; spaces and backslashes in the name are escaped
+  const { options } = schemaTenantParameters('tenants', 'my "co"\\x y', '-c work_mem=64MB');
+  assert.equal(options, '-c work_mem=64MB -c search_path="my\\ ""co""\\\\x\\ y",public');
+});
+
+test('Protocol - error response round trip', () => {
+  const error = new PgError('28P01', 'password authentication failed for user "alice"', { detail: 'nope' });
+  const message = buildErrorResponse(error);
+
+  assert.equal(message.toString('latin1', 0, 1), 'E');
+  assert.equal(message.readInt32BE(1), message.length - 1);
+
+  const parsed = parseErrorResponse(message.subarray(5));
+  assert.equal(parsed.code, '28P01');
+  assert.equal(parsed.message, error.message);
+  assert.equal(parsed.detail, 'nope');
+  assert.equal(parsed.severity, 'FATAL');
+});
+
+test('Protocol - router failures map to SQLSTATEs', () => {
+  const refused = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:9432'), { code: 'ECONNREFUSED' });
+  assert.equal(toPgError(refused).code, '57P03');
+
+  // A reset is PostgreSQL going away only on the backend connection; the client's own is XX000
+  const reset = () => Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' });
+  assert.equal(toPgError(backendError(reset())).code, '57P03');
+  assert.equal(toPgError(reset()).code, 'XX000');
+
+  const pgFailure = Object.assign(new Error('permission denied to create database'), { code: '42501' });
+  assert.equal(toPgError(pgFailure).code, '42501');
+  assert.equal(toPgError(pgFailure).message, pgFailure.message);
+
+  assert.equal(toPgError(new Error('boom')).code, 'XX000');
+
+  const original = new PgError('53300', 'sorry, too many clients already');
+  assert.equal(toPgError(original), original);
+});
+
+test('Protocol - readMessage rejects oversized messages before buffering them', async () => {
+  const socket = new PassThrough();
+  socket.write(Buffer.concat([backendMessage('p', Buffer.from('secret\0')), Buffer.from('next')]));
+  const message = await readMessage(socket);
+  assert.strictEqual(message.type, 'p');
+  assert.strictEqual(message.body.toString(), 'secret\0');
+
+  // ~2 GB announced in the header: rejected on the header alone
+  const huge = Buffer.from([0x70, 0x7f, 0xff, 0xff, 0xff]);
+  const tooShort = Buffer.from([0x70, 0, 0, 0, 3]);
+  for (const header of [huge, tooShort]) {
+    const attacker = new PassThrough();
+    attacker.write(header);
+    await assert.rejects(readMessage(attacker), { code: '08P01', message: /invalid message length/ });
+  }
+});
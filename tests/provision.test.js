@@ -0,0 +1,98 @@
+/**
+ * Provisioning Policy Test
+ *
+ * Unit tests for ProvisionPolicy and PatternRules, the credentials file rules
+ * that share their patterns, and how the manager applies the policy to
+ * concurrent requests (no PostgreSQL needed)
+ */
+
+import { ProvisionPolicy, PatternRules } from '../src/provision.js';
+import { PostgresManager } from '../src/postgres.js';
+import { loadCredentials } from '../src/auth.js';
+import { createLogger } from '../src/logger.js';
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+test('ProvisionPolicy - allow/deny patterns', () => {
+  const policy = new ProvisionPolicy({
+    allow: 'app_*, /^tenant_\\d+$/',
+    deny: ['app_tmp*']
+  });
+
+  assert.equal(policy.check('app_one', 0), null);
+  assert.equal(policy.check('tenant_42', 0), null);
+  assert.match(policy.check('tenant_x', 0), /allowlist/);
+  assert.match(policy.check('app_tmp1', 0), /denylist/);
+  assert.match(policy.check('postgress', 0), /allowlist/);
+});
+
+test('ProvisionPolicy - limits and reserved names', () => {
+  const policy = new ProvisionPolicy({ maxDatabases: 2, maxNameLength: 8 });
+
+  assert.equal(policy.check('short', 1), null);
+  assert.match(policy.check('short', 2), /limit reached/);
+  assert.match(policy.check('muchtoolong', 0), /longer than 8 bytes/);
+  assert.match(policy.check('template1', 0), /reserved/);
+});
+
+test('PatternRules - first matching rule, then the default', () => {
+  const rules = new PatternRules('myapp_template', [
+    ['test_*', 'schema_v42'],
+    ['/^test_/', 'never_reached']
+  ]);
+
+  assert.equal(rules.resolve('test_users'), 'schema_v42');
+  assert.equal(rules.resolve('tenant_1'), 'myapp_template');
+  assert.equal(new PatternRules(null, {}).resolve('tenant_1'), null);
+});
+
+test('loadCredentials - database rules use the policy patterns', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pgserve-auth-')), 'users.json');
+  fs.writeFileSync(file, JSON.stringify({
+    alice: 'secret',
+    bob: { password: 'pw', databases: ['tenant.a*', 'a+b', '/^team_\\d+$/'] }
+  }));
+  const lookup = loadCredentials(file);
+
+  assert.equal(await lookup('alice', 'anything'), 'secret');
+  assert.equal(await lookup('bob', 'tenant.a1'), 'pw');
+  assert.equal(await lookup('bob', 'tenantXa1'), null); // "." is literal
+  assert.equal(await lookup('bob', 'a+b'), 'pw');
+  assert.equal(await lookup('bob', 'aab'), null);
+  assert.equal(await lookup('bob', 'team_42'), 'pw');
+  assert.equal(await lookup('carol', 'tenant.a1'), null);
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
+
+// Admin pool over a list of database names; every query yields first, so
+// unserialized counts and CREATEs from two requests interleave
+function fakeAdminPool(databases) {
+  const query = async (sql, params) => {
+    await new Promise(resolve => setImmediate(resolve));
+    if (sql.includes('FROM pg_database')) {
+      return { rows: [{ count: databases.length, exists: databases.includes(params[0]) }] };
+    }
+    databases.push(sql.match(/CREATE DATABASE "(.+)"/)[1]);
+    return { rows: [] };
+  };
+  const client = { query, escapeIdentifier: name => `"${name}"`, release() {} };
+  return { connect: async () => client };
+}
+
+test('PostgresManager - concurrent requests stay within maxDatabases', async () => {
+  const pgManager = new PostgresManager({
+    logger: createLogger({ level: 'silent' }),
+    provisionPolicy: new ProvisionPolicy({ maxDatabases: 2 })
+  });
+  const databases = ['existing'];
+  pgManager.adminPool = fakeAdminPool(databases);
+
+  const results = await Promise.allSettled(['one', 'two', 'three'].map(name => pgManager.createDatabase(name)));
+
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'rejected']);
+  assert.equal(results[1].reason.code, '3D000');
+  assert.deepEqual(databases, ['existing', 'one']);
+});
@@ -0,0 +1,139 @@
+/**
+ * Restore Test
+ *
+ * Unit tests for the schema helpers of RestoreManager (no PostgreSQL needed)
+ */
+
+import { RestoreManager, matchesPattern, sortByDependencies, describeFailure } from '../src/restore.js';
+import { createLogger } from '../src/logger.js';
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+const logger = createLogger({ level: 'silent' });
+
+// Stand-in for a pg.Pool: run(sql) returns rows or throws
+function fakePool(run) {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push(sql);
+      return { rows: await run(sql, params) };
+    }
+  };
+}
+
+const pgError = (code, message) => Object.assign(new Error(message), { code });
+
+test('matchesPattern - exact names and wildcards', () => {
+  assert.equal(matchesPattern('anything', []), true);
+  assert.equal(matchesPattern('anything', undefined), true);
+  assert.equal(matchesPattern('public', ['public']), true);
+  assert.equal(matchesPattern('public2', ['public']), false);
+  assert.equal(matchesPattern('tenant_42', ['app', 'tenant_*']), true);
+  assert.equal(matchesPattern('x_tenant_42', ['tenant_*']), false);
+  assert.equal(matchesPattern('tmp', ['*']), true);
+});
+
+test('RestoreManager - include and exclude schema patterns', async () => {
+  const restore = new RestoreManager({
+    logger,
+    includeSchemas: ['public', 'tmp_*', 'audit'],
+    excludeSchemas: ['tmp_*']
+  });
+  const pool = fakePool(() => ['audit', 'auth', 'public', 'tmp_1'].map(nspname => ({ nspname })));
+
+  assert.deepEqual(await restore.getSchemas(pool), {
+    schemas: ['audit', 'public'],
+    excluded: ['auth', 'tmp_1']
+  });
+
+  // No include patterns: everything but the excluded ones
+  const all = new RestoreManager({ logger, excludeSchemas: ['auth'] });
+  assert.deepEqual(await all.getSchemas(pool), {
+    schemas: ['audit', 'public', 'tmp_1'],
+    excluded: ['auth']
+  });
+});
+
+test('sortByDependencies - views after the views they read', () => {
+  const views = [{ oid: 1, name: 'a' }, { oid: 2, name: 'b' }, { oid: 3, name: 'c' }, { oid: 4, name: 'd' }];
+  const dependencies = [
+    { view: 1, dependency: 3 }, // a reads c
+    { view: 3, dependency: 2 }, // c reads b
+    { view: 3, dependency: 99 }, // c reads a table
+    { view: 2, dependency: 1 } // and a cycle back to a doesn't loop forever
+  ];
+  assert.deepEqual(sortByDependencies(views, dependencies).map(view => view.name), ['b', 'c', 'a', 'd']);
+  assert.deepEqual(sortByDependencies(views, []).map(view => view.name), ['a', 'b', 'c', 'd']);
+});
+
+test('describeFailure - extensions missing from the embedded build', () => {
+  const extension = { type: 'extension', object: 'postgis' };
+  assert.equal(
+    describeFailure(extension, pgError('0A000', 'extension "postgis" is not available')),
+    'extension "postgis" is not available - not included in the embedded PostgreSQL build'
+  );
+  assert.match(describeFailure(extension, pgError('58P01', 'could not open control file')), /not included/);
+  assert.equal(describeFailure(extension, pgError('42501', 'permission denied')), 'permission denied');
+  assert.equal(
+    describeFailure({ type: 'function', object: 'f()' }, pgError('0A000', 'language "plv8" does not exist')),
+    'language "plv8" does not exist'
+  );
+});
+
+test('RestoreManager - applyStatements retries, skips and reports', async () => {
+  const restore = new RestoreManager({ logger });
+  const created = new Set();
+  const pool = fakePool((sql) => {
+    if (sql === 'CREATE FUNCTION f') {
+      // Returns SETOF a table that comes later: fails the first time round
+      if (!created.has('CREATE TABLE t')) throw pgError('42704', 'type "t" does not exist');
+    }
+    if (sql === 'CREATE VIEW broken') throw pgError('42P01', 'relation "gone" does not exist');
+    if (sql === 'CREATE EXTENSION postgis') throw pgError('0A000', 'extension "postgis" is not available');
+    if (sql === 'CREATE TYPE mood') throw pgError('42710', 'type "mood" already exists');
+    created.add(sql);
+    return [];
+  });
+
+  const failures = await restore.applyStatements(pool, [
+    { type: 'schema', object: 'app', sql: 'CREATE SCHEMA app' },
+    { type: 'extension', object: 'postgis', sql: 'CREATE EXTENSION postgis' },
+    { type: 'type', object: 'app.mood', sql: 'CREATE TYPE mood' },
+    { type: 'function', object: 'app.f()', sql: 'CREATE FUNCTION f' },
+    { type: 'table', object: 'app.t', sql: 'CREATE TABLE t' },
+    { type: 'view', object: 'app.broken', sql: 'CREATE VIEW broken' },
+    { type: 'aggregate', object: 'app.agg(integer)', sql: null, unsupported: 'not restored' }
+  ]);
+
+  assert.deepEqual(failures, [
+    { object: 'aggregate app.agg(integer)', error: 'not restored' },
+    {
+      object: 'extension postgis',
+      error: 'extension "postgis" is not available - not included in the embedded PostgreSQL build'
+    },
+    { object: 'view app.broken', error: 'relation "gone" does not exist' }
+  ]);
+  assert.ok(created.has('CREATE FUNCTION f'));
+  assert.equal(pool.queries.filter(sql => sql === 'CREATE VIEW broken').length, 2);
+  assert.ok(!pool.queries.includes(null)); // Unsupported objects never run
+  // Existing objects are skipped, not counted
+  assert.deepEqual(restore.metrics.objectsRestored, { schema: 1, function: 1, table: 1 });
+});
+
+test('RestoreManager - applyStatements fails on required objects', async () => {
+  const restore = new RestoreManager({ logger });
+  const pool = fakePool((sql) => {
+    if (sql === 'CREATE TABLE t') throw pgError('42704', 'type "missing" does not exist');
+    return [];
+  });
+
+  await assert.rejects(
+    restore.applyStatements(pool, [
+      { type: 'view', object: 'app.v', sql: 'CREATE VIEW v' },
+      { type: 'table', object: 'app.t', sql: 'CREATE TABLE t' }
+    ]),
+    { code: '42704' }
+  );
+});
@@ -0,0 +1,57 @@
+/**
+ * Schema Tenancy Test
+ *
+ * drop, reset and truncate against a running router with --tenancy schema:
+ * each acts on one tenant's schema in the shared database, never the others.
+ */
+
+import { startMultiTenantServer } from '../src/index.js';
+import pg from 'pg';
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+const { Client } = pg;
+
+test('Schema tenancy - drop, reset and truncate act on one tenant schema', async () => {
+  const router = await startMultiTenantServer({
+    port: 15444,
+    tenancy: 'schema',
+    logLevel: 'warn'
+  });
+
+  const query = async (database, sql) => {
+    const client = new Client({ host: '127.0.0.1', port: 15444, database, user: 'postgres', password: 'postgres' });
+    await client.connect();
+    try {
+      return await client.query(sql);
+    } finally {
+      await client.end();
+    }
+  };
+
+  try {
+    await query('acme', 'CREATE TABLE items (id SERIAL, name TEXT)');
+    await query('acme', "INSERT INTO items (name) VALUES ('a'), ('b')");
+    await query('globex', 'CREATE TABLE items (id SERIAL, name TEXT)');
+    await query('globex', "INSERT INTO items (name) VALUES ('c')");
+
+    // Only the tenant's schema is emptied
+    assert.deepEqual(await router.truncateAll('acme'), ['acme.items']);
+    assert.equal((await query('acme', 'SELECT count(*)::int AS n FROM items')).rows[0].n, 0);
+    assert.equal((await query('globex', 'SELECT count(*)::int AS n FROM items')).rows[0].n, 1);
+
+    // Reset recreates the schema empty
+    await router.resetDatabase('acme');
+    assert.equal((await query('acme', "SELECT to_regclass('items') AS t")).rows[0].t, null);
+
+    assert.equal(await router.dropDatabase('globex'), true);
+    assert.equal(await router.dropDatabase('globex'), false);
+    const schemas = await query('acme', "SELECT nspname FROM pg_namespace WHERE nspname IN ('acme', 'globex')");
+    assert.deepEqual(schemas.rows.map(row => row.nspname), ['acme']);
+
+    await assert.rejects(router.truncateAll('missing'), { code: '3D000' });
+    await assert.rejects(router.dumpDatabase('acme', null), { code: '0A000' });
+  } finally {
+    await router.stop();
+  }
+});
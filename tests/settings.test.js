@@ -0,0 +1,47 @@
+/**
+ * PostgreSQL Settings Test
+ *
+ * Unit tests for settings files and presets (no PostgreSQL needed)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseSettings, resolveSettings } from '../src/settings.js';
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+test('Settings - postgresql.conf syntax', () => {
+  const settings = parseSettings([
+    '# comment',
+    '',
+    'Shared_Buffers = 256MB   # trailing comment',
+    "log_line_prefix = '%m [%p] it''s # not a comment'",
+    'work_mem 8MB'
+  ].join('\n'));
+
+  assert.deepEqual(settings, {
+    shared_buffers: '256MB',
+    log_line_prefix: "%m [%p] it's # not a comment",
+    work_mem: '8MB'
+  });
+  assert.throws(() => parseSettings('fsync = off on', 'test.conf'), /test\.conf:1/);
+});
+
+test('Settings - preset < file < individual settings', () => {
+  const file = path.join(os.tmpdir(), `pgserve-settings-${process.pid}.conf`);
+  fs.writeFileSync(file, 'fsync = on\nwork_mem = 4MB\n');
+  try {
+    assert.deepEqual(resolveSettings({ preset: 'fast-tests', file, settings: { WORK_MEM: '64MB', max_connections: 200 } }), {
+      fsync: 'on',
+      synchronous_commit: 'off',
+      full_page_writes: 'off',
+      work_mem: '64MB',
+      max_connections: '200'
+    });
+  } finally {
+    fs.unlinkSync(file);
+  }
+  assert.throws(() => resolveSettings({ preset: 'turbo' }), /Unknown settings preset/);
+  assert.deepEqual(resolveSettings(), {});
+});
@@ -0,0 +1,84 @@
+/**
+ * Snapshot Store Test
+ *
+ * Unit tests for saving and loading data directory copies, and for what the
+ * manager does while postgres is down for one (no PostgreSQL needed)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SnapshotStore } from '../src/snapshots.js';
+import { PostgresManager } from '../src/postgres.js';
+import { createLogger } from '../src/logger.js';
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+test('Snapshots - save, list and load a data directory', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pgserve-snapshots-'));
+  const dataDir = path.join(root, 'data');
+  const store = new SnapshotStore({ dir: path.join(root, 'store') });
+  try {
+    fs.mkdirSync(path.join(dataDir, 'base'), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(path.join(dataDir, 'PG_VERSION'), '17\n');
+    fs.writeFileSync(path.join(dataDir, 'base', '1'), 'before');
+    fs.writeFileSync(path.join(dataDir, 'postmaster.pid'), '123');
+
+    assert.deepEqual(await store.list(), []);
+    const saved = await store.save('before', dataDir, { version: '17' });
+    assert.equal(saved.sizeBytes, 9);
+    await assert.rejects(store.save('before', dataDir, { version: '17' }), { code: 'EEXIST' });
+    await assert.rejects(store.save('../x', dataDir, { version: '17' }), { code: 'EINVAL' });
+
+    fs.writeFileSync(path.join(dataDir, 'base', '1'), 'after');
+    await store.load('before', dataDir, { version: '17' });
+    assert.equal(fs.readFileSync(path.join(dataDir, 'base', '1'), 'utf8'), 'before');
+    assert.equal(fs.existsSync(path.join(dataDir, 'postmaster.pid')), false);
+    assert.equal(fs.statSync(dataDir).mode & 0o777, 0o700);
+
+    assert.deepEqual((await store.list()).map(s => s.name), ['before']);
+    await assert.rejects(store.load('before', dataDir, { version: '16' }), /PostgreSQL 17/);
+    await assert.rejects(store.load('missing', dataDir, { version: '17' }), { code: 'ENOENT' });
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+// Stand-in for the admin pg.Pool: every query succeeds with no rows
+function fakeAdminPool() {
+  const query = async () => ({ rows: [], rowCount: 0 });
+  const client = { query, escapeIdentifier: name => `"${name}"`, release() {} };
+  return { query, end: async () => {}, connect: async () => client };
+}
+
+test('Snapshots - provisioning and admin queries wait for postgres to restart', async () => {
+  const pgManager = new PostgresManager({ logger: createLogger({ level: 'silent' }) });
+  pgManager.binaries = { version: '17' };
+  pgManager.adminPool = fakeAdminPool();
+  pgManager._stopPostgres = async () => {};
+  pgManager._startPostgres = async () => {};
+  pgManager._initAdminPool = async () => {
+    pgManager.adminPool = fakeAdminPool();
+  };
+
+  let finishSave;
+  const store = { save: () => new Promise((resolve) => { finishSave = resolve; }) };
+  const snapshot = pgManager.createSnapshot(store, 'snap');
+  while (pgManager.adminPool) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  let settled = false;
+  const waiting = Promise.all([
+    pgManager.getDatabases(),
+    pgManager.createDatabase('app'),
+    pgManager.databaseExists('app')
+  ]).finally(() => { settled = true; });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(settled, false);
+
+  finishSave({ name: 'snap' });
+  assert.deepEqual(await snapshot, { name: 'snap' });
+  await waiting;
+  assert.ok(pgManager.createdDatabases.has('app'));
+});